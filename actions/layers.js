@@ -22,6 +22,7 @@ export const ADD_THEME_SUBLAYER = 'ADD_THEME_SUBLAYER';
 export const REMOVE_LAYER_FEATURES = 'REMOVE_LAYER_FEATURES';
 export const CLEAR_LAYER = 'CLEAR_LAYER';
 export const CHANGE_LAYER_PROPERTY = 'CHANGE_LAYER_PROPERTY';
+export const CHANGE_LAYER_PROPERTIES = 'CHANGE_LAYER_PROPERTIES';
 export const SET_LAYER_DIMENSIONS = 'SET_LAYER_DIMENSIONS';
 export const REFRESH_LAYER = 'REFRESH_LAYER';
 export const REMOVE_ALL_LAYERS = 'REMOVE_ALL_LAYERS';
@@ -122,6 +123,15 @@ export function changeLayerProperty(layerUuid, property, newvalue, sublayerpath
     };
 }
 
+// Changes multiple properties of a top level layer at once
+export function changeLayerProperties(layerUuid, properties) {
+    return {
+        type: CHANGE_LAYER_PROPERTIES,
+        layerUuid,
+        properties
+    };
+}
+
 export function setLayerDimensions(layerId, dimensions) {
     return {
         type: SET_LAYER_DIMENSIONS,
@@ -11,6 +11,7 @@ import processNotificationsReducer from '../reducers/processNotifications';
 ReducerIndex.register("processNotifications", processNotificationsReducer);
 
 export const PROCESS_STARTED = 'PROCESS_STARTED';
+export const PROCESS_PROGRESS = 'PROCESS_PROGRESS';
 export const PROCESS_FINISHED = 'PROCESS_FINISHED';
 export const CLEAR_PROCESS = 'CLEAR_PROCESS';
 
@@ -28,6 +29,14 @@ export function processStarted(id, name) {
     };
 }
 
+export function processProgress(id, progress) {
+    return {
+        type: PROCESS_PROGRESS,
+        id,
+        progress
+    };
+}
+
 export function processFinished(id, success, message = "") {
     return {
         type: PROCESS_FINISHED,
@@ -11,7 +11,6 @@ import {connect} from 'react-redux';
 import clone from 'clone';
 import FileSaver from 'file-saver';
 import htmlReactParser, {domToReact} from 'html-react-parser';
-import JSZip from 'jszip';
 import isEmpty from 'lodash.isempty';
 import omit from 'lodash.omit';
 import PropTypes from 'prop-types';
@@ -21,133 +20,68 @@ import {LayerRole, addLayerFeatures, removeLayer} from '../actions/layers';
 import {zoomToExtent} from '../actions/map';
 import {openExternalUrl} from '../actions/task';
 import ConfigUtils from '../utils/ConfigUtils';
-import CoordinatesUtils from '../utils/CoordinatesUtils';
+import GeoPackageUtils from '../utils/GeoPackageUtils';
 import LayerUtils from '../utils/LayerUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MiscUtils from '../utils/MiscUtils';
-import VectorLayerUtils from '../utils/VectorLayerUtils';
+import ResourceRegistry from '../utils/ResourceRegistry';
+import WorkerUtils, {WORKER_EXPORT_THRESHOLD} from '../utils/WorkerUtils';
 import Icon from './Icon';
 
 import './style/IdentifyViewer.css';
 
 
+function exportIdentifyResults(format) {
+    return (json, callback) => {
+        // Serialize large results off the main thread
+        const worker = Object.values(json).flat().length > WORKER_EXPORT_THRESHOLD;
+        WorkerUtils.runTask("exportIdentifyResults", {format: format, results: json}, {worker: worker}).then(callback).catch(e => {
+            // eslint-disable-next-line
+            console.warn("Export failed: " + e.message);
+        });
+    };
+}
+
 const BuiltinExporters = [
     {
         id: 'json',
         title: 'json',
         allowClipboard: true,
-        export: (json, callback) => {
-            const data = JSON.stringify(json, null, ' ');
-            callback({
-                data: data, type: "text/plain;charset=utf-8", filename: "results.json"
-            });
-        }
+        export: exportIdentifyResults('json')
     }, {
         id: 'geojson',
         title: 'geojson',
         allowClipboard: true,
-        export: (json, callback) => {
-            const featureCollection = {
-                type: "FeatureCollection",
-                features: Object.values(json).flat().map(entry => {
-                    const feature = omit(entry, ['featurereport', 'displayfield', 'layername', 'layertitle', 'layerinfo', 'attribnames', 'clickPos', 'displayname', 'bbox']);
-                    if (feature.geometry) {
-                        feature.crs = {
-                            type: "name",
-                            properties: {
-                                name: CoordinatesUtils.toOgcUrnCrs(entry.crs)
-                            }
-                        };
-                    }
-                    return feature;
-                })
-            };
-            const data = JSON.stringify(featureCollection, null, ' ');
-            callback({
-                data: data, type: "application/geo+json;charset=utf-8", filename: "results.json"
-            });
-        }
+        export: exportIdentifyResults('geojson')
     }, {
         id: 'csv',
         title: 'CSV',
         allowClipboard: true,
-        export: (json, callback) => {
-            let data = "";
-            Object.entries(json).forEach(([layerName, features]) => {
-                features.forEach(feature => {
-                    data += layerName + ": " + feature.displayname + "\n";
-                    Object.entries(feature.properties || {}).forEach(([attrib, value]) => {
-                        if (attrib !== "htmlContent" && attrib !== "htmlContentInline") {
-                            data += '\t"' + attrib + '"\t"' + String(value).replace('"', '""') + '"\n';
-                        }
-                    });
-                    if (feature.geometry) {
-                        data += '\t"geometry"\t"' + VectorLayerUtils.geoJSONGeomToWkt(feature.geometry) + '"\n';
-                    }
-                });
-                data += "\n";
-            });
-            callback({
-                data: data, type: "text/plain;charset=utf-8", filename: "results.csv"
-            });
-        }
+        export: exportIdentifyResults('csv')
     }, {
         id: 'csvzip',
         title: 'CSV+ZIP',
         allowClipboard: false,
+        export: exportIdentifyResults('csvzip')
+    }, {
+        id: 'gpkg',
+        title: 'GeoPackage',
+        allowClipboard: false,
         export: (json, callback) => {
-            let first = true;
-            const data = [];
-            const filenames = [];
-            Object.entries(json).forEach(([layerName, features]) => {
-                let csv = "";
-                if (first) {
-                    Object.entries(features[0].properties || {}).forEach(([attrib]) => {
-                        if (attrib !== "htmlContent" && attrib !== "htmlContentInline") {
-                            csv += attrib  + ';';
-                        }
-                    });
-                    if (features[0].geometry) {
-                        csv += 'geometry';
-                    } else if (csv !== "") {
-                        csv = csv.slice(0, -1); // Remove trailling semi column ;
-                    }
-                    first = false;
-                    csv += '\n';
-                }
-                features.forEach(feature => {
-                    Object.entries(feature.properties || {}).forEach(([attrib, value]) => {
-                        if (attrib !== "htmlContent" && attrib !== "htmlContentInline") {
-                            csv += String(value).replace('"', '""') + ';';
-                        }
-                    });
-                    if (feature.geometry) {
-                        csv += VectorLayerUtils.geoJSONGeomToWkt(feature.geometry);
-                    } else if (csv !== "") {
-                        csv = csv.slice(0, -1); // Remove trailling semi column ;
-                    }
-                    csv += '\n';
-                });
-                first = true;
-                data.push(csv);
-                filenames.push(layerName);
-            });
-            if (data.length > 1) {
-                const zip = new JSZip();
-                for (let i = 0; i < data.length; i++) {
-                    const blob = new Blob([data[i]], {type: "text/csv;charset=utf-8"});
-                    zip.file(filenames[i] + ".csv", blob);
-                }
-                zip.generateAsync({type: "arraybuffer"}).then((result) => {
-                    callback({
-                        data: result, type: "application/zip", filename: "results.zip"
-                    });
-                });
-            } else {
+            const tables = Object.entries(json).map(([layerName, features]) => ({
+                name: layerName,
+                features: features.map(feature => ({
+                    ...feature, properties: omit(feature.properties || {}, ['htmlContent', 'htmlContentInline'])
+                }))
+            }));
+            GeoPackageUtils.write(tables).then(data => {
                 callback({
-                    data: data[0], type: "text/csv;charset=utf-8", filename: filenames[0] + ".csv"
+                    data: data, type: "application/geopackage+sqlite3", filename: "results.gpkg"
                 });
-            }
+            }).catch(e => {
+                // eslint-disable-next-line
+                console.warn("Export failed: " + e.message);
+            });
         }
     }
 ];
@@ -629,6 +563,9 @@ class IdentifyViewer extends React.Component {
     attribValue = (text, attrName, layer, result) => {
         if (this.props.replaceImageUrls && /^https?:\/\/.*\.(jpg|jpeg|png|bmp)$/i.exec(text)) {
             return (<a href={text} rel="noreferrer" target="_blank"><img src={text} /></a>);
+        } else if (typeof text === "string" && text.startsWith("thumbnail:") && ResourceRegistry.getResource(text)) {
+            // Thumbnails of imported photos
+            return (<img src={ResourceRegistry.getResource(text)} />);
         }
         text = "" + text; // Ensure text is a string
         text = this.props.attributeTransform(attrName, text, layer, result);
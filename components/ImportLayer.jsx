@@ -11,18 +11,17 @@ import {connect} from 'react-redux';
 
 import axios from 'axios';
 import isEmpty from 'lodash.isempty';
-import {WorkerMessageHandler} from "pdfjs-dist/build/pdf.worker";
-import Proj4js from 'proj4';
 import PropTypes from 'prop-types';
 
 import {addLayer, addLayerFeatures} from '../actions/layers';
 import EditableSelect from '../components/widgets/EditableSelect';
 import ConfigUtils from '../utils/ConfigUtils';
 import CoordinatesUtils from '../utils/CoordinatesUtils';
+import GeoPackageUtils from '../utils/GeoPackageUtils';
+import ImportUtils from '../utils/ImportUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MiscUtils from '../utils/MiscUtils';
 import ServiceLayerUtils from '../utils/ServiceLayerUtils';
-import VectorLayerUtils from '../utils/VectorLayerUtils';
 import Spinner from './Spinner';
 import FileSelector from './widgets/FileSelector';
 import LayerCatalogWidget from './widgets/LayerCatalogWidget';
@@ -44,14 +43,24 @@ class ImportLayer extends React.Component {
         url: '',
         pendingRequests: 0,
         serviceLayers: null,
-        addingLayer: false
+        addingLayer: false,
+        geoPackage: null,
+        geoPackageTables: [],
+        delimitedText: null,
+        columnMapping: {},
+        importController: null,
+        importProgress: null
     };
+    componentWillUnmount() {
+        this.closeGeoPackage();
+        this.cancelImport();
+    }
     renderInputField() {
         const placeholder = LocaleUtils.tr("importlayer.urlplaceholder");
         const urlPresets = ConfigUtils.getConfigProp("importLayerUrlPresets", this.props.theme) || [];
         if (this.state.type === "Local") {
             return (
-                <FileSelector accept=".kml,.json,.geojson,.pdf" file={this.state.file} onFileSelected={this.onFileSelected} />
+                <FileSelector accept={ImportUtils.getSupportedExtensions().join(",")} file={this.state.file} onFileSelected={this.onFileSelected} />
             );
         } else {
             return (
@@ -70,6 +79,28 @@ class ImportLayer extends React.Component {
                     {LocaleUtils.tr("importlayer.connect")}
                 </button>
             );
+        } else if (this.state.delimitedText) {
+            const mapping = this.state.columnMapping;
+            const complete = mapping.crs && (mapping.mode === "wkt" ? mapping.wktColumn : mapping.xColumn && mapping.yColumn);
+            button = (
+                <button className="button importlayer-addbutton" disabled={!complete} onClick={this.importDelimitedText} type="button">
+                    {LocaleUtils.tr("importlayer.addlayer")}
+                </button>
+            );
+        } else if (this.state.geoPackage) {
+            button = (
+                <button className="button importlayer-addbutton" disabled={isEmpty(this.state.geoPackageTables)} onClick={this.importGeoPackageTables} type="button">
+                    {LocaleUtils.tr("importlayer.addlayer")}
+                </button>
+            );
+        } else if (this.state.importController) {
+            const progress = this.state.importProgress !== null ? " (" + Math.round(this.state.importProgress * 100) + "%)" : "";
+            button = (
+                <button className="button importlayer-addbutton" onClick={this.cancelImport} title={LocaleUtils.tr("importlayer.cancel")} type="button">
+                    <Spinner />
+                    {LocaleUtils.tr("importlayer.importing") + progress}
+                </button>
+            );
         } else {
             button = (
                 <button className="button importlayer-addbutton" disabled={this.state.file === null || this.state.addingLayer} onClick={this.importFileLayer} type="button">
@@ -81,6 +112,10 @@ class ImportLayer extends React.Component {
         let layerList = null;
         if (this.state.serviceLayers !== null) {
             layerList = (<LayerCatalogWidget catalog={this.state.serviceLayers} pendingRequests={this.state.pendingRequests} />);
+        } else if (this.state.geoPackage) {
+            layerList = this.renderGeoPackageTables();
+        } else if (this.state.delimitedText) {
+            layerList = this.renderColumnMapping();
         }
         const disableLocal = ConfigUtils.getConfigProp("disableImportingLocalLayers", this.props.theme);
         return (
@@ -88,7 +123,7 @@ class ImportLayer extends React.Component {
                 <div className="importlayer-input-fields">
                     <select
                         disabled={this.state.pendingRequests > 0}
-                        onChange={ev => this.setState({type: ev.target.value, file: null, url: "", serviceLayers: null})} value={this.state.type}
+                        onChange={ev => this.changeType(ev.target.value)} value={this.state.type}
                     >
                         <option value="URL">{LocaleUtils.tr("importlayer.url")}</option>
                         {!disableLocal ? (<option value="Local">{LocaleUtils.tr("importlayer.localfile")}</option>) : null}
@@ -100,8 +135,75 @@ class ImportLayer extends React.Component {
             </div>
         );
     }
+    renderGeoPackageTables = () => {
+        return (
+            <div className="importlayer-table-list">
+                <div>{LocaleUtils.tr("importlayer.selecttables")}</div>
+                {this.state.geoPackage.tables.map(table => (
+                    <label key={table.name}>
+                        <input checked={this.state.geoPackageTables.includes(table.name)} onChange={ev => this.toggleGeoPackageTable(table.name, ev.target.checked)} type="checkbox" />
+                        &nbsp;{table.title} ({table.count})
+                    </label>
+                ))}
+            </div>
+        );
+    };
+    renderColumnMapping = () => {
+        const mapping = this.state.columnMapping;
+        const columns = this.state.delimitedText.columns;
+        const columnOptions = [
+            <option disabled key="" value="">{LocaleUtils.tr("importlayer.selectcolumn")}</option>,
+            ...columns.map(column => (<option key={column} value={column}>{column}</option>))
+        ];
+        const crsList = CoordinatesUtils.getAvailableCRS();
+        return (
+            <table className="importlayer-column-mapping">
+                <tbody>
+                    <tr>
+                        <td>{LocaleUtils.tr("importlayer.geometry")}:</td>
+                        <td>
+                            <select onChange={ev => this.updateColumnMapping({mode: ev.target.value})} value={mapping.mode}>
+                                <option value="xy">{LocaleUtils.tr("importlayer.xycolumns")}</option>
+                                <option value="wkt">{LocaleUtils.tr("importlayer.wktcolumn")}</option>
+                            </select>
+                        </td>
+                    </tr>
+                    {mapping.mode === "wkt" ? (
+                        <tr>
+                            <td>WKT:</td>
+                            <td><select onChange={ev => this.updateColumnMapping({wktColumn: ev.target.value})} value={mapping.wktColumn}>{columnOptions}</select></td>
+                        </tr>
+                    ) : [
+                        <tr key="x">
+                            <td>X:</td>
+                            <td><select onChange={ev => this.updateColumnMapping({xColumn: ev.target.value})} value={mapping.xColumn}>{columnOptions}</select></td>
+                        </tr>,
+                        <tr key="y">
+                            <td>Y:</td>
+                            <td><select onChange={ev => this.updateColumnMapping({yColumn: ev.target.value})} value={mapping.yColumn}>{columnOptions}</select></td>
+                        </tr>
+                    ]}
+                    <tr>
+                        <td>{LocaleUtils.tr("importlayer.crs")}:</td>
+                        <td>
+                            <select onChange={ev => this.updateColumnMapping({crs: ev.target.value})} value={mapping.crs}>
+                                {Object.entries(crsList).map(([crs, entry]) => (
+                                    <option key={crs} value={crs}>{entry.label}</option>
+                                ))}
+                            </select>
+                        </td>
+                    </tr>
+                </tbody>
+            </table>
+        );
+    };
+    changeType = (type) => {
+        this.closeGeoPackage();
+        this.setState({type: type, file: null, url: "", serviceLayers: null, delimitedText: null});
+    };
     onFileSelected = (file) => {
-        this.setState({file});
+        this.closeGeoPackage();
+        this.setState({file: file, delimitedText: null});
     };
     scanService = () => {
         let reqUrl = this.state.url;
@@ -113,6 +215,31 @@ class ImportLayer extends React.Component {
         } else {
             reqUrl = MiscUtils.adjustProtocol(reqUrl);
         }
+        // Single-file datasets read via range requests, only attempt to load these to avoid fetching the whole file in the service requests below
+        const fileTypes = [{
+            pattern: /\.tiff?$/i,
+            getCapabilities: ServiceLayerUtils.getCOGCapabilities,
+            getLayer: ServiceLayerUtils.getCOGLayer
+        }, {
+            pattern: /\.fgb$/i,
+            getCapabilities: ServiceLayerUtils.getFlatGeobufCapabilities,
+            getLayer: ServiceLayerUtils.getFlatGeobufLayer
+        }, {
+            pattern: /\.pmtiles$/i,
+            getCapabilities: ServiceLayerUtils.getPMTilesCapabilities,
+            getLayer: ServiceLayerUtils.getPMTilesLayer
+        }];
+        const fileType = fileTypes.find(entry => reqUrl.split("?")[0].match(entry.pattern));
+        if (fileType) {
+            const name = reqUrl.split("?")[0].split("/").pop();
+            fileType.getCapabilities(reqUrl).then(({capabilities, requestUrl}) => {
+                this.setState({pendingRequests: 0, serviceLayers: [fileType.getLayer(capabilities, requestUrl, name)]});
+            }).catch(() => {
+                this.setState({pendingRequests: 0, serviceLayers: []});
+            });
+            this.setState({pendingRequests: 1, serviceLayers: null});
+            return;
+        }
         let pendingRequests = 0;
         // Attempt to load catalog
         if (reqUrl.toLowerCase().endsWith(".json") || (reqUrl.toLowerCase().endsWith(".xml") && !reqUrl.toLowerCase().endsWith("wmtscapabilities.xml"))) {
@@ -220,6 +347,38 @@ class ImportLayer extends React.Component {
             }));
         });
 
+        // Attempt to load as ArcGIS REST services directory / service
+        if (reqUrl.toLowerCase().includes("/rest/services")) {
+            ++pendingRequests;
+            ServiceLayerUtils.getArcGISCapabilities(reqUrl).then(({capabilities}) => {
+                const result = ServiceLayerUtils.getArcGISLayers(capabilities);
+                this.setState((state) => ({
+                    pendingRequests: state.pendingRequests - 1,
+                    serviceLayers: (state.serviceLayers || []).concat(result)
+                }));
+            }).catch(() => {
+                this.setState((state) => ({
+                    pendingRequests: state.pendingRequests - 1,
+                    serviceLayers: state.serviceLayers || []
+                }));
+            });
+        }
+
+        // Attempt to load as OGC API Features
+        ++pendingRequests;
+        ServiceLayerUtils.getOGCAPIFeaturesCollections(reqUrl).then(({capabilities, requestUrl}) => {
+            const result = ServiceLayerUtils.getOGCAPIFeaturesLayers(capabilities, requestUrl);
+            this.setState((state) => ({
+                pendingRequests: state.pendingRequests - 1,
+                serviceLayers: (state.serviceLayers || []).concat(result)
+            }));
+        }).catch(() => {
+            this.setState((state) => ({
+                pendingRequests: state.pendingRequests - 1,
+                serviceLayers: state.serviceLayers || []
+            }));
+        });
+
         this.setState({pendingRequests: pendingRequests, serviceLayers: null});
     };
     importFileLayer = () => {
@@ -228,145 +387,107 @@ class ImportLayer extends React.Component {
         }
         this.setState({addingLayer: true});
         const file = this.state.file;
-        if (file.name.toLowerCase().endsWith(".pdf")) {
-            this.addGeoPDFLayer(file);
+        const filename = file.name.toLowerCase();
+        let promise = null;
+        if (filename.endsWith(".csv") || filename.endsWith(".tsv")) {
+            // Let the user choose the geometry columns
+            promise = file.text().then(text => this.setupDelimitedText(file.name, text));
+        } else if (filename.endsWith(".gpkg")) {
+            promise = this.openGeoPackage(file);
         } else {
-            const reader = new FileReader();
-            reader.onload = (ev) => {
-                if (file.name.toLowerCase().endsWith(".kml")) {
-                    this.addKMLLayer(file.name, ev.target.result);
-                } else if (file.name.toLowerCase().endsWith(".geojson") || file.name.toLowerCase().endsWith(".json")) {
-                    let data = {};
-                    try {
-                        data = JSON.parse(ev.target.result);
-                        this.addGeoJSONLayer(file.name, data);
-                    } catch (e) {
-                        /* Pass */
-                    }
-                } else if (file.name.toLowerCase().endsWith(".pdf")) {
-                    this.addGeoPDFLayer(file.name, ev.target.result);
-                }
-                this.setState({file: null, addingLayer: false});
+            const controller = new AbortController();
+            const options = {
+                signal: controller.signal,
+                onProgress: (progress) => this.setState({importProgress: progress})
             };
-            reader.readAsText(this.state.file);
+            this.setState({importController: controller, importProgress: null});
+            promise = ImportUtils.importFile(file, this.props.mapCrs, options).then(entries => {
+                this.addImportedLayers(entries);
+                this.setState({file: null, addingLayer: false, importController: null});
+            });
         }
+        promise.catch((error) => {
+            if (error.name !== "AbortError") {
+                /* eslint-disable-next-line */
+                alert(error.userMessage || LocaleUtils.tr("importlayer.addfailed"));
+            }
+            this.setState({file: null, addingLayer: false, importController: null});
+        });
     };
-    addKMLLayer = (filename, data) => {
-        this.addGeoJSONLayer(filename, {features: VectorLayerUtils.kmlToGeoJSON(data)});
+    cancelImport = () => {
+        if (this.state.importController) {
+            this.state.importController.abort();
+        }
     };
-    addGeoJSONLayer = (filename, data) => {
-        if (!isEmpty(data.features)) {
-            let defaultCrs = "EPSG:4326";
-            if (data.crs && data.crs.properties && data.crs.properties.name) {
-                // Extract CRS from FeatureCollection crs
-                defaultCrs = CoordinatesUtils.fromOgcUrnCrs(data.crs.properties.name);
+    addImportedLayers = (entries) => {
+        entries.filter(Boolean).forEach(entry => {
+            if (entry.features) {
+                this.props.addLayerFeatures(entry.layer, entry.features, !entry.append);
+            } else {
+                this.props.addLayer(entry.layer);
             }
-            const features = data.features.map(feature => {
-                let crs = defaultCrs;
-                if (feature.crs && feature.crs.properties && feature.crs.properties.name) {
-                    crs = CoordinatesUtils.fromOgcUrnCrs(feature.crs.properties.name);
-                } else if (typeof feature.crs === "string") {
-                    crs = feature.crs;
-                }
-                if (feature.geometry && feature.geometry.coordinates) {
-                    feature.geometry.coordinates = feature.geometry.coordinates.map(VectorLayerUtils.convert3dto2d);
-                }
-                return {...feature, crs: crs};
-            });
-            this.props.addLayerFeatures({
-                name: filename,
-                title: filename.replace(/\.[^/.]+$/, ""),
-                zoomToExtent: true
-            }, features, true);
+        });
+    };
+    setupDelimitedText = (filename, data) => {
+        const delimitedText = ImportUtils.parseDelimitedText(data, filename.toLowerCase().endsWith(".tsv") ? "\t" : null);
+        this.setState({
+            file: null,
+            addingLayer: false,
+            delimitedText: {...delimitedText, name: filename},
+            columnMapping: ImportUtils.guessColumnMapping(delimitedText.columns, this.props.mapCrs) || {
+                mode: "xy", xColumn: "", yColumn: "", wktColumn: "", crs: this.props.mapCrs
+            }
+        });
+    };
+    updateColumnMapping = (diff) => {
+        this.setState((state) => ({columnMapping: {...state.columnMapping, ...diff}}));
+    };
+    importDelimitedText = () => {
+        const features = ImportUtils.delimitedTextToFeatures(this.state.delimitedText, this.state.columnMapping);
+        const entry = ImportUtils.createVectorLayer(this.state.delimitedText.name, {features});
+        if (entry) {
+            this.addImportedLayers([entry]);
         } else {
-            // eslint-disable-next-line
+            /* eslint-disable-next-line */
             alert(LocaleUtils.tr("importlayer.nofeatures"));
         }
+        this.setState({delimitedText: null, columnMapping: {}});
     };
-    addGeoPDFLayer = (file) => {
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-            const pdfText = atob(ev.target.result.slice(28));
-            /* FIXME: This is a very ugly way to extract PDF objects */
-            const GPTS = pdfText.match(/\/GPTS\s+\[([^\]]+)\]/);
-            const LPTS = pdfText.match(/\/LPTS\s+\[([^\]]+)\]/);
-            const Viewport = pdfText.match(/<<([^>]+\/Type\s+\/Viewport[^>]+)>>/);
-            const EPSG = pdfText.match(/\/EPSG\s*(\d+)/);
-            if (!GPTS || !LPTS || !Viewport || !EPSG) {
-                /* eslint-disable-next-line */
-                alert(LocaleUtils.tr("importlayer.notgeopdf"));
-                this.setState({file: null, addingLayer: false});
-                return;
-            }
-            const pairs = (res, value, idx, array) => idx % 2 === 0 ? [...res, array.slice(idx, idx + 2)] : res;
-            const gpts = GPTS[1].split(/\s+/).filter(Boolean).map(Number).reduce(pairs, []).map(e => e.reverse()); // lat-lon => lon-lat
-            const lpts = LPTS[1].split(/\s+/).filter(Boolean).map(Number).reduce(pairs, []);
-            const viewport = Viewport[1].match(/\/BBox\s+\[([^\]]+)\]/)[1].split(/\s+/).filter(Boolean).map(Number);
-            const epsg = EPSG[1];
-            const projDef = Proj4js.defs('EPSG:' + epsg);
-            if (!projDef) {
+    openGeoPackage = (file) => {
+        return GeoPackageUtils.open(file, this.props.mapCrs).then(geoPackage => {
+            if (isEmpty(geoPackage.tables)) {
+                geoPackage.close();
                 /* eslint-disable-next-line */
-                alert(LocaleUtils.tr("importlayer.unknownproj", 'EPSG:' + epsg));
+                alert(LocaleUtils.tr("importlayer.nofeatures"));
                 this.setState({file: null, addingLayer: false});
-                return;
+            } else if (geoPackage.tables.length === 1) {
+                this.addGeoPackageLayers(geoPackage, [geoPackage.tables[0].name]);
+            } else {
+                // Let the user choose the tables to import
+                this.setState({addingLayer: false, geoPackage: geoPackage, geoPackageTables: geoPackage.tables.map(table => table.name)});
             }
-            // Construct geog CS
-            const geogCs = {
-                projName: 'longlat',
-                ellps: projDef.ellps,
-                datum_params: projDef.datum_params,
-                no_defs: projDef.no_defs
-            };
-
-            // Compute the georeferenced area
-            // Note: this is a simplistic implementation, assuming that the frame is rectangular and not skewed
-            const getCornerIdx = (x, y) => lpts.findIndex(entry => Math.round(entry[0]) === x && Math.round(entry[1]) === y);
-            const idxBL = getCornerIdx(0, 0);
-            const idxTR = getCornerIdx(1, 1);
-
-            const computeCorner = (idx) => ({
-                pixel: [
-                    viewport[0] * (1 - lpts[idx][0]) + viewport[2] * lpts[idx][0],
-                    viewport[1] * (1 - lpts[idx][1]) + viewport[3] * lpts[idx][1]
-                ],
-                coo: Proj4js(geogCs, this.props.mapCrs, gpts[idx])
-            });
-            const bl = computeCorner(idxBL);
-            const tr = computeCorner(idxTR);
-            const geoextent = [bl.coo[0], bl.coo[1], tr.coo[0], tr.coo[1]];
-            const imgextent = [bl.pixel[0], bl.pixel[1], tr.pixel[0], tr.pixel[1]];
-
-            import('pdfjs-dist/build/pdf').then(pdfjsLib => {
-                pdfjsLib.GlobalWorkerOptions.workerSrc = WorkerMessageHandler;
-
-                pdfjsLib.getDocument(ev.target.result).promise.then((pdf) => {
-                    pdf.getPage(1).then((page) => {
-                        const pageViewport = page.getViewport({scale: 1});
-                        const canvas = document.createElement('canvas');
-                        canvas.width = imgextent[2] - imgextent[0];
-                        canvas.height = imgextent[3] - imgextent[1];
-                        const context = canvas.getContext('2d');
-                        context.translate(-imgextent[0], -(pageViewport.height - imgextent[3]));
-                        page.render({canvasContext: context, viewport: pageViewport}).promise.then(() => {
-                            this.props.addLayer({
-                                type: "image",
-                                name: file.name,
-                                title: file.name,
-                                url: canvas.toDataURL(),
-                                projection: this.props.mapCrs,
-                                imageExtent: geoextent
-                            });
-                            this.setState({file: null, addingLayer: false});
-                        });
-                    });
-                });
-            }).catch(() => {
-                /* eslint-disable-next-line */
-                console.warn("pdfjs import failed");
-                this.setState({file: null, addingLayer: false});
-            });
-        };
-        reader.readAsDataURL(file);
+        });
+    };
+    toggleGeoPackageTable = (tableName, selected) => {
+        this.setState((state) => ({
+            geoPackageTables: selected ? [...state.geoPackageTables, tableName] : state.geoPackageTables.filter(name => name !== tableName)
+        }));
+    };
+    importGeoPackageTables = () => {
+        this.addGeoPackageLayers(this.state.geoPackage, this.state.geoPackageTables);
+    };
+    addGeoPackageLayers = (geoPackage, tableNames) => {
+        this.addImportedLayers(geoPackage.tables.filter(table => tableNames.includes(table.name)).map(table => {
+            return ImportUtils.createVectorLayer(table.title, {features: geoPackage.readFeatures(table.name)});
+        }));
+        geoPackage.close();
+        this.setState({file: null, addingLayer: false, geoPackage: null, geoPackageTables: []});
+    };
+    closeGeoPackage = () => {
+        if (this.state.geoPackage) {
+            this.state.geoPackage.close();
+            this.setState({geoPackage: null, geoPackageTables: []});
+        }
     };
 }
 
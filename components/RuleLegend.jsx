@@ -0,0 +1,103 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+
+import axios from 'axios';
+import PropTypes from 'prop-types';
+
+import LocaleUtils from '../utils/LocaleUtils';
+import Icon from './Icon';
+import Spinner from './Spinner';
+
+import './style/RuleLegend.css';
+
+function collectSymbols(node) {
+    // Layers with a single symbol provide an icon rather than a symbol list
+    if (node.symbols) {
+        return node.symbols;
+    } else if (node.icon) {
+        return [{icon: node.icon, title: node.title}];
+    }
+    return (node.nodes || []).map(collectSymbols).flat();
+}
+
+/**
+ * Displays the QGIS Server JSON legend of a layer, one row per symbol.
+ *
+ * Symbols of rule-based or classified renderers have a checkbox to toggle the rule.
+ */
+export default class RuleLegend extends React.Component {
+    static propTypes = {
+        /** The keys of the hidden rules. */
+        hiddenRules: PropTypes.array,
+        /** The JSON legend URL, see `LayerUtils.getLegendJsonUrl`. */
+        legendUrl: PropTypes.string,
+        /** Callback `onChange(hiddenRules)` invoked when a rule is toggled. If unset, no checkboxes are displayed. */
+        onChange: PropTypes.func
+    };
+    static defaultProps = {
+        hiddenRules: []
+    };
+    state = {
+        symbols: null,
+        error: false
+    };
+    componentDidMount() {
+        this.loadLegend();
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.legendUrl !== prevProps.legendUrl) {
+            this.loadLegend();
+        }
+    }
+    loadLegend = () => {
+        const legendUrl = this.props.legendUrl;
+        this.setState({symbols: null, error: false});
+        axios.get(legendUrl).then(response => {
+            if (legendUrl === this.props.legendUrl) {
+                this.setState({symbols: collectSymbols(response.data || {})});
+            }
+        }).catch(() => {
+            if (legendUrl === this.props.legendUrl) {
+                this.setState({error: true});
+            }
+        });
+    };
+    render() {
+        if (this.state.error) {
+            return (<div className="rule-legend rule-legend-message">{LocaleUtils.tr("rulelegend.loadfailed")}</div>);
+        } else if (!this.state.symbols) {
+            return (<div className="rule-legend rule-legend-message"><Spinner /></div>);
+        }
+        return (
+            <div className="rule-legend">
+                {this.state.symbols.map((symbol, idx) => {
+                    const hidden = symbol.ruleKey !== undefined && this.props.hiddenRules.includes(symbol.ruleKey);
+                    return (
+                        <div className={hidden ? "rule-legend-entry rule-legend-entry-hidden" : "rule-legend-entry"} key={symbol.ruleKey ?? idx}>
+                            {this.props.onChange && symbol.ruleKey !== undefined ? (
+                                <Icon icon={hidden ? "unchecked" : "checked"} onClick={() => this.toggleRule(symbol.ruleKey)} />
+                            ) : null}
+                            {symbol.icon ? (<img src={"data:image/png;base64," + symbol.icon} />) : (<span className="rule-legend-noicon" />)}
+                            <span className="rule-legend-title" title={symbol.title}>{symbol.title}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+    toggleRule = (ruleKey) => {
+        const hiddenRules = this.props.hiddenRules;
+        if (hiddenRules.includes(ruleKey)) {
+            this.props.onChange(hiddenRules.filter(key => key !== ruleKey));
+        } else {
+            this.props.onChange([...hiddenRules, ruleKey]);
+        }
+    };
+}
@@ -60,6 +60,7 @@ class SearchBox extends React.Component {
         removeLayer: PropTypes.func,
         searchOptions: PropTypes.shape({
             allowSearchFilters: PropTypes.bool,
+            clusterResults: PropTypes.bool,
             hideResultLabels: PropTypes.bool,
             highlightStyle: PropTypes.object,
             minScaleDenom: PropTypes.number,
@@ -927,7 +928,8 @@ class SearchBox extends React.Component {
         // Add result geometry
         const layer = {
             id: "searchselection",
-            role: LayerRole.SELECTION
+            role: LayerRole.SELECTION,
+            cluster: this.props.searchOptions.clusterResults
         };
         for (const feature of data.features) {
             feature.geometry = VectorLayerUtils.reprojectGeometry(feature.geometry, data.crs.properties.name, this.props.map.projection);
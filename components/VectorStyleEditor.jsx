@@ -0,0 +1,202 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+
+import PropTypes from 'prop-types';
+
+import LocaleUtils from '../utils/LocaleUtils';
+import VectorStyleUtils from '../utils/VectorStyleUtils';
+import ColorButton from './widgets/ColorButton';
+import NumberInput from './widgets/NumberInput';
+import TextInput from './widgets/TextInput';
+
+import './style/VectorStyleEditor.css';
+
+const RAMP_TITLES = {
+    viridis: LocaleUtils.trmsg("vectorstyle.ramps.viridis"),
+    blues: LocaleUtils.trmsg("vectorstyle.ramps.blues"),
+    greens: LocaleUtils.trmsg("vectorstyle.ramps.greens"),
+    reds: LocaleUtils.trmsg("vectorstyle.ramps.reds"),
+    ylorrd: LocaleUtils.trmsg("vectorstyle.ramps.ylorrd"),
+    spectral: LocaleUtils.trmsg("vectorstyle.ramps.spectral"),
+    categories: LocaleUtils.trmsg("vectorstyle.ramps.categories")
+};
+
+/**
+ * Edits the thematic style of a vector layer, see `VectorStyleUtils`.
+ *
+ * Renders the rows of the layer settings table in the LayerTree.
+ */
+export default class VectorStyleEditor extends React.Component {
+    static propTypes = {
+        layer: PropTypes.object,
+        /** Callback `onChange(vectorStyle)`, `vectorStyle` is `null` if the original feature styles are to be used. */
+        onChange: PropTypes.func
+    };
+    render() {
+        const style = this.props.layer.vectorStyle;
+        const renderer = style?.renderer || "";
+        const rows = [(
+            <tr key="vectorstyle">
+                <td>{LocaleUtils.tr("vectorstyle.style")}:</td>
+                <td>
+                    <select onChange={ev => this.changeRenderer(ev.target.value)} value={renderer}>
+                        <option value="">{LocaleUtils.tr("vectorstyle.original")}</option>
+                        <option value="single">{LocaleUtils.tr("vectorstyle.single")}</option>
+                        <option value="categorized">{LocaleUtils.tr("vectorstyle.categorized")}</option>
+                        <option value="graduated">{LocaleUtils.tr("vectorstyle.graduated")}</option>
+                    </select>
+                </td>
+            </tr>
+        )];
+        if (!style) {
+            return rows;
+        }
+        const symbol = {...VectorStyleUtils.DEFAULT_SYMBOL, ...style.symbol};
+        const classified = renderer === "categorized" || renderer === "graduated";
+        const attributes = this.getAttributes(renderer === "graduated");
+        rows.push((
+            <tr key="stroke">
+                <td>{LocaleUtils.tr("vectorstyle.stroke")}:</td>
+                <td className="vector-style-editor-symbol">
+                    <ColorButton color={symbol.strokeColor} onColorChanged={color => this.changeSymbol("strokeColor", color)} />
+                    <NumberInput decimals={0} min={0} onChange={value => this.changeSymbol("strokeWidth", value ?? 1)} value={symbol.strokeWidth} />
+                    &nbsp;px
+                </td>
+            </tr>
+        ), !classified ? (
+            <tr key="fill">
+                <td>{LocaleUtils.tr("vectorstyle.fill")}:</td>
+                <td className="vector-style-editor-symbol">
+                    <ColorButton color={symbol.fillColor} onColorChanged={color => this.changeSymbol("fillColor", color)} />
+                </td>
+            </tr>
+        ) : null, (
+            <tr key="pointsize">
+                <td>{LocaleUtils.tr("vectorstyle.pointradius")}:</td>
+                <td>
+                    <NumberInput decimals={0} min={1} onChange={value => this.changeSymbol("circleRadius", value ?? VectorStyleUtils.DEFAULT_SYMBOL.circleRadius)} value={symbol.circleRadius} />
+                    &nbsp;px
+                </td>
+            </tr>
+        ));
+        if (classified) {
+            rows.push((
+                <tr key="attribute">
+                    <td>{LocaleUtils.tr("vectorstyle.attribute")}:</td>
+                    <td>
+                        <select onChange={ev => this.changeClassification({attribute: ev.target.value || null})} value={style.attribute || ""}>
+                            <option disabled value="">{LocaleUtils.tr("vectorstyle.selectattribute")}</option>
+                            {attributes.map(attr => (
+                                <option key={attr} value={attr}>{attr}</option>
+                            ))}
+                        </select>
+                    </td>
+                </tr>
+            ), renderer === "graduated" ? (
+                <tr key="method">
+                    <td>{LocaleUtils.tr("vectorstyle.method")}:</td>
+                    <td>
+                        <select onChange={ev => this.changeClassification({method: ev.target.value})} value={style.method}>
+                            <option value="equalinterval">{LocaleUtils.tr("vectorstyle.equalinterval")}</option>
+                            <option value="quantile">{LocaleUtils.tr("vectorstyle.quantile")}</option>
+                            <option value="jenks">{LocaleUtils.tr("vectorstyle.jenks")}</option>
+                        </select>
+                        <NumberInput decimals={0} max={12} min={2} onChange={value => this.changeClassification({classCount: value ?? 5})} value={style.classCount} />
+                    </td>
+                </tr>
+            ) : null, (
+                <tr key="ramp">
+                    <td>{LocaleUtils.tr("vectorstyle.ramp")}:</td>
+                    <td className="vector-style-editor-ramp">
+                        <span style={{background: VectorStyleUtils.rampGradient(style.ramp)}} />
+                        <select onChange={ev => this.changeClassification({ramp: ev.target.value})} value={style.ramp}>
+                            {VectorStyleUtils.COLOR_RAMPS.map(ramp => (
+                                <option key={ramp} value={ramp}>{LocaleUtils.tr(RAMP_TITLES[ramp])}</option>
+                            ))}
+                        </select>
+                    </td>
+                </tr>
+            ), (
+                <tr key="classes">
+                    <td colSpan="2">
+                        <div className="vector-style-editor-classes">
+                            {(style.classes || []).map((entry, idx) => (
+                                <div key={idx}>
+                                    <ColorButton color={entry.color} onColorChanged={color => this.changeClass(idx, {color})} />
+                                    <TextInput onChange={label => this.changeClass(idx, {label})} value={entry.label} />
+                                </div>
+                            ))}
+                        </div>
+                    </td>
+                </tr>
+            ));
+        }
+        rows.push((
+            <tr key="labels">
+                <td>{LocaleUtils.tr("vectorstyle.labels")}:</td>
+                <td>
+                    <select onChange={ev => this.changeStyle({labelAttribute: ev.target.value || null})} value={style.labelAttribute || ""}>
+                        <option value="">{LocaleUtils.tr("vectorstyle.nolabels")}</option>
+                        {this.getAttributes(false).map(attr => (
+                            <option key={attr} value={attr}>{attr}</option>
+                        ))}
+                    </select>
+                </td>
+            </tr>
+        ));
+        return rows;
+    }
+    getAttributes = (numericOnly) => {
+        const attributes = new Set();
+        // Inspecting a sample of the features is sufficient to determine the attributes
+        for (const feature of (this.props.layer.features || []).slice(0, 1000)) {
+            Object.entries(feature.properties || {}).forEach(([key, value]) => {
+                if (typeof value === "object" && value !== null) {
+                    return;
+                }
+                if (!numericOnly || typeof value === "number" || (typeof value === "string" && value !== "" && isFinite(value))) {
+                    attributes.add(key);
+                }
+            });
+        }
+        return [...attributes].sort();
+    };
+    changeRenderer = (renderer) => {
+        if (!renderer) {
+            this.props.onChange(null);
+            return;
+        }
+        const style = this.props.layer.vectorStyle;
+        const attributes = this.getAttributes(renderer === "graduated");
+        this.changeClassification({
+            renderer: renderer,
+            attribute: attributes.includes(style?.attribute) ? style.attribute : null,
+            method: style?.method || "equalinterval",
+            classCount: style?.classCount || 5,
+            ramp: renderer === "categorized" ? "categories" : "viridis"
+        });
+    };
+    changeClassification = (diff) => {
+        // Reclassify whenever a classification parameter changes
+        const style = {...this.props.layer.vectorStyle, ...diff};
+        this.props.onChange({...style, classes: VectorStyleUtils.computeClasses(this.props.layer.features || [], style)});
+    };
+    changeStyle = (diff) => {
+        this.props.onChange({...this.props.layer.vectorStyle, ...diff});
+    };
+    changeSymbol = (key, value) => {
+        const style = this.props.layer.vectorStyle;
+        this.changeStyle({symbol: {...style.symbol, [key]: value}});
+    };
+    changeClass = (idx, diff) => {
+        const classes = this.props.layer.vectorStyle.classes.map((entry, i) => i === idx ? {...entry, ...diff} : entry);
+        this.changeStyle({classes});
+    };
+}
@@ -14,6 +14,7 @@ import PropTypes from 'prop-types';
 
 import {setLayerLoading} from '../../actions/layers';
 import CoordinatesUtils from '../../utils/CoordinatesUtils';
+import LayerUtils from '../../utils/LayerUtils';
 import MapUtils from '../../utils/MapUtils';
 import Signal from '../../utils/Signal';
 import LayerRegistry from './layers/index';
@@ -36,7 +37,10 @@ class OlLayer extends React.Component {
     };
     componentDidMount() {
         this.tilestoload = 0;
+        this.refreshInterval = null;
+        this.refreshTimer = null;
         this.createLayer(this.makeOptions(this.props.options));
+        this.updateRefreshTimer();
     }
     componentDidUpdate(prevProps) {
         if (!this.state.layer) {
@@ -45,19 +49,23 @@ class OlLayer extends React.Component {
         const newOptions = this.makeOptions(this.props.options);
         const oldOptions = this.makeOptions(prevProps.options);
 
-        this.updateLayer(newOptions, oldOptions);
+        const layer = this.updateLayer(newOptions, oldOptions);
         // WMS layer handles visibility separately
         if (newOptions.type !== "wms") {
-            this.state.layer.setVisible(newOptions.visibility);
+            layer.setVisible(newOptions.visibility);
         }
-        this.state.layer.setOpacity(newOptions.opacity / 255.0);
-        this.state.layer.setZIndex(this.props.zIndex);
+        layer.setOpacity(newOptions.opacity / 255.0);
+        layer.setZIndex(this.props.zIndex);
 
         if (this.props.swipe !== prevProps.swipe) {
             this.props.map.render();
         }
+        if (this.props.options !== prevProps.options) {
+            this.updateRefreshTimer();
+        }
     }
     componentWillUnmount() {
+        clearInterval(this.refreshTimer);
         if (this.state.layer && this.props.map) {
             this.props.map.removeLayer(this.state.layer);
         }
@@ -105,44 +113,91 @@ class OlLayer extends React.Component {
             layer.setVisible(layer.get("empty") !== true && options.visibility);
             layer.setOpacity(options.opacity / 255.0);
             layer.setZIndex(this.props.zIndex);
-            this.addLayer(layer, options);
+            this.addLayer(layer);
+            this.setupLayer(layer, options);
             this.setState({layer: layer});
         }
     };
     updateLayer = (newOptions, oldOptions) => {
         // optimization to avoid to update the layer if not necessary
         if (newOptions === oldOptions) {
-            return;
+            return this.state.layer;
         }
         const layerCreator = LayerRegistry[this.props.options.type];
         if (layerCreator && layerCreator.update) {
-            layerCreator.update(
+            const newLayer = layerCreator.update(
                 this.state.layer,
                 newOptions,
                 oldOptions,
                 this.props.map
             );
+            if (newLayer && newLayer !== this.state.layer) {
+                // The update requires a different layer class (i.e. heatmap), the new layer shares the source of the old one
+                this.props.map.removeLayer(this.state.layer);
+                newLayer.set('id', newOptions.id);
+                this.addLayer(newLayer);
+                this.setState({layer: newLayer});
+                return newLayer;
+            }
             OlLayerUpdated.notify(this.state.layer);
         }
+        return this.state.layer;
     };
-    addLayer = (layer, options) => {
+    updateRefreshTimer = () => {
+        const layerCreator = LayerRegistry[this.props.options.type];
+        const interval = layerCreator?.refresh ? LayerUtils.getRefreshInterval(this.props.options) : null;
+        if (interval === this.refreshInterval) {
+            return;
+        }
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this.refreshInterval = interval;
+        if (interval) {
+            // Refresh the native layer directly, so that other layers and the layer state are not touched
+            this.refreshTimer = setInterval(() => {
+                if (this.state.layer && this.state.layer.getVisible()) {
+                    layerCreator.refresh(this.state.layer, this.makeOptions(this.props.options), this.props.map);
+                }
+            }, interval * 1000);
+        }
+    };
+    addLayer = (layer) => {
         this.props.map.addLayer(layer);
         OlLayerAdded.notify(layer);
-        layer.on('prerender', (event) => {
-            const ctx = event.context;
-            ctx.save();
-            ctx.beginPath();
-            if (this.props.swipe !== null && this.props.swipe !== undefined) {
-                const width = ctx.canvas.width * (this.props.swipe / 100);
-                ctx.rect(0, 0, width, ctx.canvas.height);
-                ctx.clip();
-            }
-        });
+        // Render events are only emitted by the leaf layers
+        const renderLayers = layer instanceof ol.layer.Group ? layer.getLayers().getArray() : [layer];
+        renderLayers.forEach(renderLayer => {
+            renderLayer.on('prerender', (event) => {
+                const ctx = event.context;
+                if (ctx instanceof WebGLRenderingContext || ctx instanceof WebGL2RenderingContext) {
+                    // WebGL layers (i.e. cog)
+                    if (this.props.swipe !== null && this.props.swipe !== undefined) {
+                        const width = ctx.canvas.width * (this.props.swipe / 100);
+                        ctx.enable(ctx.SCISSOR_TEST);
+                        ctx.scissor(0, 0, width, ctx.canvas.height);
+                    }
+                    return;
+                }
+                ctx.save();
+                ctx.beginPath();
+                if (this.props.swipe !== null && this.props.swipe !== undefined) {
+                    const width = ctx.canvas.width * (this.props.swipe / 100);
+                    ctx.rect(0, 0, width, ctx.canvas.height);
+                    ctx.clip();
+                }
+            });
 
-        layer.on('postrender', (event) => {
-            event.context.restore();
+            renderLayer.on('postrender', (event) => {
+                const ctx = event.context;
+                if (ctx instanceof WebGLRenderingContext || ctx instanceof WebGL2RenderingContext) {
+                    ctx.disable(ctx.SCISSOR_TEST);
+                } else {
+                    ctx.restore();
+                }
+            });
         });
-
+    };
+    setupLayer = (layer, options) => {
         if (options.zoomToExtent && options.bbox && options.bbox.bounds) {
             const map = this.props.map;
             const extent = CoordinatesUtils.reprojectBbox(options.bbox.bounds, options.bbox.crs, map.getView().getProjection());
@@ -191,15 +246,20 @@ class OlLayer extends React.Component {
                     }
                 });
             } else if (sublayer.getSource() && sublayer.getSource() instanceof ol.source.Vector && sublayer.getSource().getUrl()) {
-                sublayer.getSource().on('featuresloadstart', () => {
-                    this.props.setLayerLoading(id, true);
-                });
-                sublayer.getSource().on('featuresloadend', () => {
-                    this.props.setLayerLoading(id, false);
-                });
-                sublayer.getSource().on('featuresloaderror', () => {
-                    this.props.setLayerLoading(id, false);
-                });
+                const trackFeaturesLoading = (source) => {
+                    source.on('featuresloadstart', () => {
+                        this.props.setLayerLoading(id, true);
+                    });
+                    source.on('featuresloadend', () => {
+                        this.props.setLayerLoading(id, false);
+                    });
+                    source.on('featuresloaderror', () => {
+                        this.props.setLayerLoading(id, false);
+                    });
+                };
+                trackFeaturesLoading(sublayer.getSource());
+                // The source is replaced when the layer is refreshed
+                sublayer.on('change:source', () => trackFeaturesLoading(sublayer.getSource()));
             }
         });
     };
@@ -11,12 +11,16 @@ import {connect} from 'react-redux';
 
 import ol from 'openlayers';
 import PropTypes from 'prop-types';
+import {v4 as uuidv4} from 'uuid';
 
-import {changeMapView, clickOnMap} from '../../actions/map';
+import {addLayer, addLayerFeatures} from '../../actions/layers';
+import {changeMapView, clickOnMap, zoomToExtent} from '../../actions/map';
 import {changeMousePositionState} from '../../actions/mousePosition';
+import {processFinished, processProgress, processStarted} from '../../actions/processNotifications';
 import {setCurrentTask} from '../../actions/task';
 import ConfigUtils from '../../utils/ConfigUtils';
 import CoordinatesUtils from '../../utils/CoordinatesUtils';
+import ImportUtils from '../../utils/ImportUtils';
 import LocaleUtils from '../../utils/LocaleUtils';
 import MapUtils from '../../utils/MapUtils';
 
@@ -31,6 +35,8 @@ ol.Map.prototype.setRequestsPaused = function(paused) {
 
 class OlMap extends React.Component {
     static propTypes = {
+        addLayer: PropTypes.func,
+        addLayerFeatures: PropTypes.func,
         bbox: PropTypes.object,
         center: PropTypes.array,
         children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
@@ -44,12 +50,17 @@ class OlMap extends React.Component {
         onMouseMove: PropTypes.func,
         panPageSize: PropTypes.number,
         panStepSize: PropTypes.number,
+        processFinished: PropTypes.func,
+        processProgress: PropTypes.func,
+        processStarted: PropTypes.func,
         projection: PropTypes.string,
         resolutions: PropTypes.array,
         setCurrentTask: PropTypes.func,
+        theme: PropTypes.object,
         trackMousePos: PropTypes.bool,
         unsetTaskOnMapClick: PropTypes.bool,
-        zoom: PropTypes.number.isRequired
+        zoom: PropTypes.number.isRequired,
+        zoomToExtent: PropTypes.func
     };
     static defaultProps = {
         id: 'map',
@@ -270,11 +281,63 @@ class OlMap extends React.Component {
         };
 
         return (
-            <div id={this.props.id} key="map" style={style}>
+            <div id={this.props.id} key="map" onDragOver={this.onDragOver} onDrop={this.onDrop} style={style}>
                 {children}
             </div>
         );
     }
+    dropEnabled = (ev) => {
+        return ev.dataTransfer.types.includes("Files") && !ConfigUtils.getConfigProp("disableImportingLocalLayers", this.props.theme);
+    };
+    onDragOver = (ev) => {
+        if (this.dropEnabled(ev)) {
+            ev.preventDefault();
+            ev.dataTransfer.dropEffect = "copy";
+        }
+    };
+    onDrop = (ev) => {
+        if (!this.dropEnabled(ev)) {
+            return;
+        }
+        ev.preventDefault();
+        // Import the dropped files one after another, since decoding many large files at once can exhaust the memory,
+        // and zoom to their combined extent once all are imported
+        const importFile = (file) => {
+            const processId = uuidv4();
+            this.props.processStarted(processId, LocaleUtils.tr("map.importingfile", file.name));
+            let percent = 0;
+            const onProgress = (progress) => {
+                // Only dispatch actual changes
+                if (Math.round(progress * 100) !== percent) {
+                    percent = Math.round(progress * 100);
+                    this.props.processProgress(processId, progress);
+                }
+            };
+            return ImportUtils.importFile(file, this.props.projection, {onProgress}).then(entries => {
+                entries.forEach(entry => {
+                    const layer = {...entry.layer, zoomToExtent: false};
+                    if (entry.features) {
+                        this.props.addLayerFeatures(layer, entry.features, !entry.append);
+                    } else {
+                        this.props.addLayer(layer);
+                    }
+                });
+                this.props.processFinished(processId, true);
+                return entries;
+            }).catch(error => {
+                this.props.processFinished(processId, false, error.userMessage || LocaleUtils.tr("importlayer.addfailed"));
+                return [];
+            });
+        };
+        [...ev.dataTransfer.files].reduce((promise, file) => promise.then(results => {
+            return importFile(file).then(entries => [...results, ...entries]);
+        }), Promise.resolve([])).then(results => {
+            const extent = ImportUtils.computeExtent(results, this.props.projection);
+            if (extent) {
+                this.props.zoomToExtent(extent, this.props.projection);
+            }
+        });
+    };
     onClick = (button, event, pixel) => {
         if (this.ignoreNextClick) {
             this.ignoreNextClick = false;
@@ -289,11 +352,32 @@ class OlMap extends React.Component {
         }
         const features = [];
         const format = new ol.format.GeoJSON();
+        const view = this.map.getView();
+        let clusterExtent = null;
         this.map.forEachFeatureAtPixel(pixel, (feature, layer) => {
-            const featureObj = format.writeFeatureObject(feature);
+            const clusterFeatures = layer?.getSource() instanceof ol.source.Cluster ? feature.get('features') : null;
+            if (Array.isArray(clusterFeatures)) {
+                // Zoom in on clicked clusters, report the clustered features if they cannot be expanded further
+                const extent = ol.extent.boundingExtent(clusterFeatures.map(f => f.getGeometry().getCoordinates()));
+                const expandable = ol.extent.getWidth(extent) > 0 || ol.extent.getHeight(extent) > 0;
+                if (button === 0 && !clusterExtent && clusterFeatures.length > 1 && expandable && view.getResolution() > view.getMinResolution()) {
+                    clusterExtent = extent;
+                } else {
+                    clusterFeatures.forEach(clusterFeature => {
+                        features.push({...format.writeFeatureObject(clusterFeature), layerId: layer.get('id')});
+                    });
+                }
+                return;
+            }
+            // Features of vector tile layers are rendered features, which only support the most basic feature methods
+            const featureObj = format.writeFeatureObject(feature instanceof ol.render.Feature ? ol.render.toFeature(feature) : feature);
             featureObj.layerId = layer ? layer.get('id') : null;
             features.push(featureObj);
         });
+        if (clusterExtent) {
+            view.fit(clusterExtent, {padding: [50, 50, 50, 50], duration: 250});
+            return;
+        }
         const data = {
             ts: +new Date(),
             coordinate: this.map.getEventCoordinate(event),
@@ -352,11 +436,18 @@ class OlMap extends React.Component {
 
 export default connect((state) => ({
     mapMargins: state.windows.mapMargins,
+    theme: state.theme.current,
     trackMousePos: state.mousePosition.enabled || false,
     unsetTaskOnMapClick: state.task.unsetOnMapClick
 }), {
     onMapViewChanges: changeMapView,
     onClick: clickOnMap,
     onMouseMove: changeMousePositionState,
-    setCurrentTask: setCurrentTask
+    setCurrentTask: setCurrentTask,
+    addLayer: addLayer,
+    addLayerFeatures: addLayerFeatures,
+    processProgress: processProgress,
+    processStarted: processStarted,
+    processFinished: processFinished,
+    zoomToExtent: zoomToExtent
 })(OlMap);
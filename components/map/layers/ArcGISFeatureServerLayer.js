@@ -0,0 +1,91 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import ol from 'openlayers';
+import url from 'url';
+
+import FeatureStyles from '../../../utils/FeatureStyles';
+
+
+function queryParams(extent, offset, limit) {
+    return {
+        f: "json",
+        where: "1=1",
+        outFields: "*",
+        returnGeometry: true,
+        geometry: extent.join(","),
+        geometryType: "esriGeometryEnvelope",
+        spatialRel: "esriSpatialRelIntersects",
+        inSR: 4326,
+        outSR: 4326,
+        resultOffset: limit ? offset : undefined,
+        resultRecordCount: limit || undefined
+    };
+}
+
+export default {
+    create: (options) => {
+        const format = new ol.format.EsriJSON();
+        // Only page through results if the service supports it, otherwise the server returns up to its maxRecordCount
+        const limit = options.supportsPagination ? (options.limit ?? options.maxRecordCount ?? 1000) : 0;
+        const maxFeatures = options.maxFeatures ?? 10000;
+        const queryUrl = options.url.split("?")[0].replace(/\/$/, "") + "/query";
+        const urlParams = url.parse(options.url, true).query;
+
+        const vectorSource = new ol.source.Vector({
+            // Only set so that loading events are tracked, loading is handled by the loader below
+            url: queryUrl,
+            loader: function(extent, resolution, projection, success, failure) {
+                const bbox = ol.proj.transformExtent(extent, projection, "EPSG:4326");
+                let features = [];
+                const loadPage = (offset) => {
+                    axios.get(queryUrl, {params: {...urlParams, ...queryParams(bbox, offset, limit)}}).then(response => {
+                        if (response.data?.error) {
+                            throw new Error(response.data.error.message);
+                        }
+                        const pageFeatures = format.readFeatures(response.data, {
+                            dataProjection: "EPSG:4326",
+                            featureProjection: projection
+                        });
+                        vectorSource.addFeatures(pageFeatures);
+                        features = features.concat(pageFeatures);
+                        if (limit && response.data.exceededTransferLimit && pageFeatures.length > 0 && features.length < maxFeatures) {
+                            loadPage(offset + pageFeatures.length);
+                        } else {
+                            success(features);
+                        }
+                    }).catch(() => {
+                        vectorSource.removeLoadedExtent(extent);
+                        failure();
+                    });
+                };
+                loadPage(0);
+            },
+            strategy: ol.loadingstrategy.bbox
+        });
+
+        return new ol.layer.Vector({
+            source: vectorSource,
+            minResolution: options.minResolution,
+            maxResolution: options.maxResolution,
+            style: (feature) => FeatureStyles.default(feature, {
+                fillColor: options.color,
+                strokeColor: feature.getGeometry().getType().endsWith("LineString") ? options.color : "#000",
+                strokeWidth: 1,
+                strokeDash: [],
+                circleRadius: 5
+            })
+        });
+    },
+    update: (layer, newOptions, oldOptions) => {
+        if ((oldOptions.rev || 0) !== (newOptions.rev || 0)) {
+            layer.getSource().refresh();
+        }
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ol from 'openlayers';
+import url from 'url';
+
+import ConfigUtils from '../../../utils/ConfigUtils';
+
+
+function exportParams(options) {
+    // Query parameters of the service url (i.e. token) are passed as request params
+    return {
+        ...url.parse(options.url, true).query,
+        LAYERS: options.layers || "",
+        FORMAT: options.format || "png32",
+        TRANSPARENT: options.transparent !== undefined ? options.transparent : true,
+        DPI: options.dpi || ConfigUtils.getConfigProp("wmsDpi") || 96,
+        ...options.params
+    };
+}
+
+function useTileCache(options) {
+    // The tile cache always renders the full map, use export if only some layers are shown
+    return !!options.tileInfo && !options.layers;
+}
+
+export default {
+    create: (options) => {
+        if (useTileCache(options)) {
+            const tileInfo = options.tileInfo;
+            const [baseUrl, query] = options.url.split("?");
+            return new ol.layer.Tile({
+                minResolution: options.minResolution,
+                maxResolution: options.maxResolution,
+                source: new ol.source.XYZ({
+                    url: baseUrl.replace(/\/$/, "") + "/tile/{z}/{y}/{x}" + (query ? "?" + query : ""),
+                    projection: tileInfo.crs,
+                    tileGrid: new ol.tilegrid.TileGrid({
+                        origin: tileInfo.origin,
+                        resolutions: tileInfo.resolutions,
+                        tileSize: tileInfo.tileSize
+                    })
+                })
+            });
+        }
+        return new ol.layer.Image({
+            minResolution: options.minResolution,
+            maxResolution: options.maxResolution,
+            source: new ol.source.ImageArcGISRest({
+                url: options.url.split("?")[0],
+                params: exportParams(options),
+                projection: options.projection,
+                ratio: 1
+            })
+        });
+    },
+    update: (layer, newOptions, oldOptions) => {
+        const source = layer.getSource();
+        if (!source.updateParams) {
+            if ((oldOptions.rev || 0) !== (newOptions.rev || 0)) {
+                source.refresh();
+            }
+            return;
+        }
+        const oldParams = exportParams(oldOptions);
+        const newParams = exportParams(newOptions);
+        const changed = (oldOptions.rev || 0) !== (newOptions.rev || 0) || Object.keys({...oldParams, ...newParams}).find(key => {
+            return newParams[key] !== oldParams[key];
+        }) !== undefined;
+        if (changed) {
+            source.updateParams({...newParams, __t: +new Date()});
+        }
+    }
+};
@@ -0,0 +1,74 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isEqual from 'lodash.isequal';
+import ol from 'openlayers';
+
+import ResourceRegistry from '../../../utils/ResourceRegistry';
+
+
+function createSource(options) {
+    const sourceInfo = {
+        bands: options.bands,
+        nodata: options.nodata ?? undefined
+    };
+    if (options.blob) {
+        sourceInfo.blob = ResourceRegistry.getResource(options.blob);
+    } else {
+        sourceInfo.url = options.url;
+    }
+    return new ol.source.GeoTIFF({
+        sources: [sourceInfo],
+        // Keep raw values, stretching is done in the style and pixel values can be reported as-is
+        normalize: false,
+        projection: options.projection
+    });
+}
+
+function styleVariables(options) {
+    return {
+        min: options.min ?? 0,
+        max: options.max ?? 255
+    };
+}
+
+function createStyle(options) {
+    const bands = options.bands || [1];
+    const stretch = (idx) => ['clamp', ['/', ['-', ['band', idx + 1], ['var', 'min']], ['-', ['var', 'max'], ['var', 'min']]], 0, 1];
+    // When a nodata value is set, the source appends an alpha band after the selected bands
+    const alpha = options.nodata !== null && options.nodata !== undefined ? ['band', bands.length + 1] : 1;
+    const channels = bands.length >= 3 ? [stretch(0), stretch(1), stretch(2)] : [stretch(0), stretch(0), stretch(0)];
+    return {
+        color: ['array', ...channels, alpha],
+        variables: styleVariables(options)
+    };
+}
+
+export default {
+    create: (options) => {
+        return new ol.layer.WebGLTile({
+            source: createSource(options),
+            style: createStyle(options),
+            minResolution: options.minResolution,
+            maxResolution: options.maxResolution
+        });
+    },
+    update: (layer, newOptions, oldOptions) => {
+        if (
+            newOptions.url !== oldOptions.url ||
+            newOptions.blob !== oldOptions.blob ||
+            newOptions.nodata !== oldOptions.nodata ||
+            !isEqual(newOptions.bands, oldOptions.bands)
+        ) {
+            layer.setSource(createSource(newOptions));
+            layer.setStyle(createStyle(newOptions));
+        } else if (newOptions.min !== oldOptions.min || newOptions.max !== oldOptions.max) {
+            layer.updateStyleVariables(styleVariables(newOptions));
+        }
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {deserialize} from 'flatgeobuf/lib/mjs/ol';
+import ol from 'openlayers';
+
+import FeatureStyles from '../../../utils/FeatureStyles';
+import ResourceRegistry from '../../../utils/ResourceRegistry';
+
+
+function featureKey(feature) {
+    // FlatGeobuf features have no ids, derive one to avoid adding features twice when loading adjacent extents.
+    // The full key is used, as hash collisions would drop features.
+    return feature.getGeometry().getExtent().join(",") + JSON.stringify(feature.getProperties(), (key, value) => value instanceof ol.geom.Geometry ? undefined : value);
+}
+
+function createStyleFunction(options) {
+    return (feature) => {
+        const styleName = options.styleName || 'default';
+        const styleOptions = options.styleOptions || {};
+        return FeatureStyles[styleName](feature, styleOptions);
+    };
+}
+
+export default {
+    create: (options, map) => {
+        const mapCrs = map.getView().getProjection().getCode();
+        const dataCrs = options.projection || "EPSG:4326";
+        const prepareFeature = (feature) => {
+            if (dataCrs !== mapCrs) {
+                feature.getGeometry()?.transform(dataCrs, mapCrs);
+            }
+            if (feature.getGeometry()) {
+                feature.setId(featureKey(feature));
+            }
+            return feature;
+        };
+
+        let loader = null;
+        if (options.blob) {
+            // Local file, read everything at once. NOTE: the loader is called with the source as this
+            loader = function(extent, resolution, projection, success, failure) {
+                ResourceRegistry.getResource(options.blob).arrayBuffer().then(data => {
+                    const features = deserialize(new Uint8Array(data)).map(prepareFeature);
+                    this.addFeatures(features);
+                    success(features);
+                }).catch(() => {
+                    failure();
+                });
+            };
+        } else {
+            // Remote file, use the spatial index to only fetch features within the requested extent
+            loader = function(extent, resolution, projection, success, failure) {
+                const bbox = ol.proj.transformExtent(extent, projection, dataCrs);
+                const rect = {minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3]};
+                const iterator = deserialize(options.url, rect);
+                let features = [];
+                let batch = [];
+                const readNext = () => iterator.next().then(({value, done}) => {
+                    if (!done) {
+                        batch.push(prepareFeature(value));
+                    }
+                    if (done || batch.length >= 1000) {
+                        this.addFeatures(batch);
+                        features = features.concat(batch);
+                        batch = [];
+                    }
+                    if (done) {
+                        success(features);
+                    } else {
+                        readNext();
+                    }
+                }).catch(() => {
+                    this.removeLoadedExtent(extent);
+                    failure();
+                });
+                readNext();
+            };
+        }
+
+        const vectorSource = new ol.source.Vector({
+            // Only set so that loading events are tracked, loading is handled by the loader
+            url: options.url || options.blob,
+            loader: loader,
+            strategy: options.blob ? ol.loadingstrategy.all : ol.loadingstrategy.bbox
+        });
+
+        return new ol.layer.Vector({
+            source: vectorSource,
+            style: createStyleFunction(options),
+            minResolution: options.minResolution,
+            maxResolution: options.maxResolution
+        });
+    },
+    update: (layer, newOptions, oldOptions) => {
+        if (newOptions.styleName !== oldOptions.styleName || newOptions.styleOptions !== oldOptions.styleOptions) {
+            layer.setStyle(createStyleFunction(newOptions));
+        } else if ((oldOptions.rev || 0) !== (newOptions.rev || 0)) {
+            layer.getSource().changed();
+        }
+    }
+};
@@ -9,22 +9,55 @@
 
 import ol from 'openlayers';
 
+import FeatureStyles from '../../../utils/FeatureStyles';
+import GridUtils from '../../../utils/GridUtils';
+import MapUtils from '../../../utils/MapUtils';
+
+function updateGrid(layer, map) {
+    const source = layer.getSource();
+    source.clear();
+    const size = map.getSize();
+    if (!layer.getVisible() || !size) {
+        return;
+    }
+    const view = map.getView();
+    const crs = view.getProjection().getCode();
+    const extent = view.calculateExtent(size);
+    const scale = view.getResolution() * MapUtils.dpi2dpu(null, crs);
+    const format = new ol.format.GeoJSON();
+    const features = GridUtils.computeGrid(layer.get("grid") || {}, extent, crs, scale).map(entry => {
+        const feature = format.readFeature(entry);
+        feature.setStyle(FeatureStyles.default(feature, entry.styleOptions));
+        return feature;
+    });
+    source.addFeatures(features);
+}
+
 export default {
     create: (options, map) => {
-        const graticule = new ol.Graticule({
-            strokeStyle: options.style || new ol.style.Stroke({
-                color: 'rgba(255,120,0,0.9)',
-                width: 2,
-                lineDash: [0.5, 4]
-            })
+        const layer = new ol.layer.Vector({
+            source: new ol.source.Vector(),
+            minResolution: options.minResolution,
+            maxResolution: options.maxResolution
         });
-        graticule.setMap(map);
-
-        return {
-            detached: true,
-            remove: () => {
-                graticule.setMap(null);
+        layer.set("grid", options.grid || {type: "graticule"});
+        // The grid is recomputed for the current view, until the layer is removed from the map
+        const onMoveEnd = () => {
+            if (!map.getLayers().getArray().includes(layer)) {
+                map.un('moveend', onMoveEnd);
+            } else {
+                updateGrid(layer, map);
             }
         };
+        map.on('moveend', onMoveEnd);
+        layer.on('change:visible', () => updateGrid(layer, map));
+        updateGrid(layer, map);
+        return layer;
+    },
+    update: (layer, newOptions, oldOptions, map) => {
+        if (newOptions.grid !== oldOptions.grid) {
+            layer.set("grid", newOptions.grid || {type: "graticule"});
+            updateGrid(layer, map);
+        }
     }
 };
@@ -9,16 +9,32 @@
 
 import ol from 'openlayers';
 
+function createSource(options) {
+    // The image of restored georeferenced layers is only available once it has been warped
+    if (!options.url) {
+        return null;
+    }
+    return new ol.source.ImageStatic({
+        url: options.url,
+        projection: options.projection,
+        imageExtent: options.imageExtent
+    });
+}
+
 export default {
     create: (options) => {
         return new ol.layer.Image({
-            source: new ol.source.ImageStatic({
-                url: options.url,
-                projection: options.projection,
-                imageExtent: options.imageExtent
-            })
+            source: createSource(options)
         });
     },
-    update: () => {
+    update: (layer, newOptions, oldOptions) => {
+        // The image may be replaced, i.e. while georeferencing
+        if (
+            newOptions.url !== oldOptions.url ||
+            newOptions.projection !== oldOptions.projection ||
+            newOptions.imageExtent !== oldOptions.imageExtent
+        ) {
+            layer.setSource(createSource(newOptions));
+        }
     }
 };
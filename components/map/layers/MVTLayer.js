@@ -9,13 +9,68 @@
 import {applyStyle} from 'ol-mapbox-style';
 import ol from 'openlayers';
 
+import FeatureStyles from '../../../utils/FeatureStyles';
+import PMTilesUtils from '../../../utils/PMTilesUtils';
+
+function loadStyle(layer, options, pmtiles) {
+    fetch(options.style).then(function(response) {
+        response.json().then(function(glStyle) {
+            // The source of PMTiles archives is set up by the layer, as the style source url is not resolvable
+            applyStyle(layer, glStyle, {source: Object.keys(glStyle.sources)[0], updateSource: !pmtiles});
+        });
+    });
+}
+
+// Minimum interval in ms between the hit tests of the hover highlight
+const HOVER_HIT_TEST_INTERVAL = 100;
+
+function setupHoverHighlight(layer, options, map) {
+    // Highlights the features under the mouse pointer in an overlay, until the layer is removed from the map.
+    // The highlight is styled with the `hoverStyle` layer option, see `FeatureStyles.default`.
+    const highlightLayer = new ol.layer.Vector({
+        source: new ol.source.Vector(),
+        style: (feature) => FeatureStyles.default(feature, options.hoverStyle || {})
+    });
+    highlightLayer.setMap(map);
+    let pixel = null;
+    let hitTestTimeout = null;
+    const highlightFeatures = () => {
+        hitTestTimeout = null;
+        const source = highlightLayer.getSource();
+        source.clear();
+        if (!pixel || !layer.getVisible()) {
+            return;
+        }
+        map.forEachFeatureAtPixel(pixel, (feature) => {
+            source.addFeature(ol.render.toFeature(feature));
+        }, {layerFilter: l => l === layer, hitTolerance: 2});
+    };
+    const onPointerMove = (ev) => {
+        pixel = ev.dragging ? null : ev.pixel;
+        if (!hitTestTimeout) {
+            hitTestTimeout = setTimeout(highlightFeatures, HOVER_HIT_TEST_INTERVAL);
+        }
+    };
+    const onLayerRemoved = (ev) => {
+        if (ev.element === layer) {
+            clearTimeout(hitTestTimeout);
+            highlightLayer.setMap(null);
+            map.un('pointermove', onPointerMove);
+            map.getLayers().un('remove', onLayerRemoved);
+        }
+    };
+    map.on('pointermove', onPointerMove);
+    map.getLayers().on('remove', onLayerRemoved);
+}
+
 export default {
-    create: (options) => {
+    create: (options, map) => {
+        const pmtiles = !!options.blob || PMTilesUtils.isPMTilesUrl(options.url);
         const layer = new ol.layer.VectorTile({
             minResolution: options.minResolution,
             maxResolution: options.maxResolution,
             declutter: options.declutter,
-            source: new ol.source.VectorTile({
+            source: pmtiles ? undefined : new ol.source.VectorTile({
                 projection: options.projection,
                 format: new ol.format.MVT({}),
                 url: options.url,
@@ -24,12 +79,17 @@ export default {
             }),
             ...(options.layerConfig || {})
         });
-        if (options.style) {
-            fetch(options.style).then(function(response) {
-                response.json().then(function(glStyle) {
-                    applyStyle(layer, glStyle, Object.keys(glStyle.sources)[0]);
-                });
+        if (pmtiles) {
+            PMTilesUtils.setupLayer(layer, options, map, () => {
+                if (options.style) {
+                    loadStyle(layer, options, pmtiles);
+                }
             });
+        } else if (options.style) {
+            loadStyle(layer, options, pmtiles);
+        }
+        if (options.hoverHighlight) {
+            setupHoverHighlight(layer, options, map);
         }
         return layer;
     }
@@ -0,0 +1,81 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import ol from 'openlayers';
+import url from 'url';
+
+import FeatureStyles from '../../../utils/FeatureStyles';
+
+
+function buildItemsUrl(itemsUrl, extent, limit) {
+    const urlParts = url.parse(itemsUrl, true);
+    delete urlParts.search;
+    urlParts.query = {
+        ...urlParts.query,
+        bbox: extent.join(","),
+        limit: limit
+    };
+    return url.format(urlParts);
+}
+
+function findNextLink(data) {
+    return (data.links || []).find(link => link.rel === "next" && (!link.type || link.type.includes("json")));
+}
+
+export default {
+    create: (options) => {
+        const format = new ol.format.GeoJSON();
+        const limit = options.limit ?? 1000;
+        const maxFeatures = options.maxFeatures ?? 10000;
+
+        const vectorSource = new ol.source.Vector({
+            // Only set so that loading events are tracked, loading is handled by the loader below
+            url: options.itemsUrl,
+            loader: function(extent, resolution, projection, success, failure) {
+                // OGC API Features bbox filter is always in CRS84
+                const bbox = ol.proj.transformExtent(extent, projection, "EPSG:4326");
+                let features = [];
+                const loadPage = (pageUrl) => {
+                    axios.get(pageUrl, {headers: {Accept: "application/geo+json, application/json"}}).then(response => {
+                        const pageFeatures = format.readFeatures(response.data, {
+                            dataProjection: "EPSG:4326",
+                            featureProjection: projection
+                        });
+                        vectorSource.addFeatures(pageFeatures);
+                        features = features.concat(pageFeatures);
+                        const next = findNextLink(response.data);
+                        if (next && pageFeatures.length > 0 && features.length < maxFeatures) {
+                            loadPage(next.href);
+                        } else {
+                            success(features);
+                        }
+                    }).catch(() => {
+                        vectorSource.removeLoadedExtent(extent);
+                        failure();
+                    });
+                };
+                loadPage(buildItemsUrl(options.itemsUrl, bbox, limit));
+            },
+            strategy: ol.loadingstrategy.bbox
+        });
+
+        return new ol.layer.Vector({
+            source: vectorSource,
+            style: (feature) => FeatureStyles.default(feature, {
+                fillColor: options.color,
+                strokeColor: feature.getGeometry().getType().endsWith("LineString") ? options.color : "#000",
+                strokeWidth: 1,
+                strokeDash: [],
+                circleRadius: 5
+            })
+        });
+    },
+    update: (/* layer, newOptions, oldOptions */) => {
+    }
+};
@@ -9,13 +9,170 @@
 
 import ol from 'openlayers';
 
-import FeatureStyles from '../../../utils/FeatureStyles';
+import FeatureStyles, {DEFAULT_CLUSTER_DISTANCE, computeHeatmapStyle} from '../../../utils/FeatureStyles';
+import VectorLayerUtils from '../../../utils/VectorLayerUtils';
+import VectorStyleUtils from '../../../utils/VectorStyleUtils';
+
+function createTimeFilter(options) {
+    // Features are shown if the current time of the time dimension is within their start and end time, as for WMS layers
+    const dimension = (options.dimensions || []).find(entry => entry.units === "ISO8601" && entry.fieldName);
+    const value = dimension ? (options.dimensionValues || {})[dimension.name.toUpperCase()] : undefined;
+    if (!value) {
+        return null;
+    }
+    const time = Date.parse(value);
+    return (feature) => {
+        const start = Date.parse(feature.get(dimension.fieldName));
+        const end = dimension.endFieldName ? Date.parse(feature.get(dimension.endFieldName)) : NaN;
+        return !(start > time) && !(end < time);
+    };
+}
+
+function createVectorStyleFunction(vectorStyle) {
+    // Thematic styling configured in the style editor
+    return (feature) => {
+        const properties = feature.getProperties();
+        const styleOptions = VectorStyleUtils.featureStyleOptions(properties, feature.getGeometry()?.getType(), vectorStyle);
+        if (!styleOptions) {
+            return null;
+        }
+        return FeatureStyles.default(feature, {...styleOptions, label: VectorStyleUtils.featureLabel(properties, vectorStyle)});
+    };
+}
+
+function createStyleFunction(options) {
+    const baseStyleFunction = options.styleFunction || (options.vectorStyle ? createVectorStyleFunction(options.vectorStyle) : null) || (feature => {
+        const styleName = options.styleName || 'default';
+        const styleOptions = options.styleOptions || {};
+        return FeatureStyles[styleName](feature, styleOptions);
+    });
+    const timeFilter = createTimeFilter(options);
+    return timeFilter ? (feature, resolution) => {
+        return timeFilter(feature) ? baseStyleFunction(feature, resolution) : null;
+    } : baseStyleFunction;
+}
+
+function createClusterStyleFunction(options) {
+    const styleFunction = createStyleFunction(options);
+    return (feature, resolution) => {
+        const clusterFeatures = feature.get('features');
+        if (clusterFeatures.length === 1) {
+            const featureStyle = clusterFeatures[0].getStyleFunction();
+            return featureStyle ? featureStyle(clusterFeatures[0], resolution) : styleFunction(clusterFeatures[0], resolution);
+        }
+        return FeatureStyles.cluster(feature, options.clusterStyleOptions);
+    };
+}
+
+function setLayerStyle(layer, options) {
+    if (layer instanceof ol.layer.Group) {
+        // Non-point features are rendered by the first sublayer, the clustered points by the second one
+        const styleFunction = createStyleFunction(options);
+        const [nonPointLayer, clusterLayer] = layer.getLayers().getArray();
+        nonPointLayer.setStyle((feature, resolution) => feature.getGeometry()?.getType() === "Point" ? null : styleFunction(feature, resolution));
+        clusterLayer.setStyle(createClusterStyleFunction(options));
+    } else {
+        layer.setStyle(createStyleFunction(options));
+    }
+}
+
+function createVectorLayer(featureSource, options) {
+    if (!options.cluster) {
+        return new ol.layer.Vector({
+            msId: options.id,
+            source: featureSource,
+            style: createStyleFunction(options)
+        });
+    }
+    // Only points are clustered, the other features are rendered unclustered on a separate layer
+    const clusterSource = new ol.source.Cluster({
+        source: featureSource,
+        distance: options.clusterDistance ?? DEFAULT_CLUSTER_DISTANCE,
+        geometryFunction: (feature) => feature.getGeometry()?.getType() === "Point" ? feature.getGeometry() : null
+    });
+    const layer = new ol.layer.Group({layers: [
+        new ol.layer.Vector({msId: options.id, source: featureSource}),
+        new ol.layer.Vector({msId: options.id, source: clusterSource})
+    ]});
+    // Features picked on the map report the sublayer, hence it carries the layer id as well
+    layer.getLayers().forEach(sublayer => sublayer.set('id', options.id));
+    setLayerStyle(layer, options);
+    return layer;
+}
+
+export function getFeatureSource(layer) {
+    return layer instanceof ol.layer.Group ? layer.getLayers().item(0).getSource() : layer.getSource();
+}
+
+export function createHeatmapLayer(source, options) {
+    const style = computeHeatmapStyle(options.heatmap);
+    // Weights are normalized by the maximum attribute value, which is recomputed whenever the source changes
+    const weight = {attribute: style.weight, source: null, revision: -1, max: 1};
+    const layer = new ol.layer.Heatmap({
+        source: source,
+        radius: style.radius,
+        blur: style.blur,
+        gradient: style.gradient,
+        minResolution: options.minResolution,
+        maxResolution: options.maxResolution,
+        weight: (feature) => {
+            if (!weight.attribute) {
+                return 1;
+            }
+            // NOTE: the source may be replaced, i.e. when the layer is refreshed
+            const layerSource = layer.getSource();
+            if (weight.source !== layerSource || weight.revision !== layerSource.getRevision()) {
+                weight.max = layerSource.getFeatures().reduce((max, f) => Math.max(max, parseFloat(f.get(weight.attribute)) || 0), 0) || 1;
+                weight.source = layerSource;
+                weight.revision = layerSource.getRevision();
+            }
+            return (parseFloat(feature.get(weight.attribute)) || 0) / weight.max;
+        }
+    });
+    layer.set('heatmapWeight', weight);
+    return layer;
+}
+
+function setFeatureStyle(feature, hiddenFolders, vectorStyle) {
+    // Features of hidden folders are not rendered, the other features are styled according to their style name,
+    // unless the layer has a vector style, which is applied by the layer style function
+    const styleName = feature.get('styleName');
+    if (hiddenFolders.has(feature.get('folder'))) {
+        feature.setStyle([]);
+    } else if (styleName && !vectorStyle) {
+        feature.setStyle(FeatureStyles[styleName](feature, feature.get('styleOptions')));
+    } else {
+        feature.setStyle(null);
+    }
+}
+
+export function updateHeatmapLayer(layer, newOptions, oldOptions) {
+    const newStyle = computeHeatmapStyle(newOptions.heatmap);
+    const oldStyle = computeHeatmapStyle(oldOptions.heatmap);
+    if (newStyle.radius !== oldStyle.radius) {
+        layer.setRadius(newStyle.radius);
+    }
+    if (newStyle.blur !== oldStyle.blur) {
+        layer.setBlur(newStyle.blur);
+    }
+    if (newStyle.gradient !== oldStyle.gradient) {
+        layer.setGradient(newStyle.gradient);
+    }
+    if (newStyle.weight !== oldStyle.weight) {
+        const weight = layer.get('heatmapWeight');
+        weight.attribute = newStyle.weight;
+        weight.revision = -1;
+        // Bumps the source revision, which makes the renderer re-evaluate the weights
+        layer.getSource().changed();
+    }
+}
 
 export default {
     create: (options, map) => {
         const source = new ol.source.Vector();
         const format = new ol.format.GeoJSON();
         const mapCrs = map.getView().getProjection().getCode();
+        const hiddenFolders = VectorLayerUtils.getHiddenFolders(options.sublayers);
 
         const features = (options.features || []).reduce((collection, feature) => {
             const featureObject = format.readFeatures({...feature, type: "Feature"});
@@ -34,39 +191,49 @@ export default {
                 f.set('circleParams', feature.circleParams);
                 f.set('shape', feature.shape);
                 f.set('measurements', feature.measurements);
-                if (featureStyleName) {
-                    f.setStyle(FeatureStyles[featureStyleName](f, featureStyleOptions));
-                }
+                f.set('folder', feature.folder);
+                setFeatureStyle(f, hiddenFolders, options.vectorStyle);
             });
             return collection.concat(featureObject);
         }, []);
         source.addFeatures(features);
-        const vectorLayer = new ol.layer.Vector({
-            msId: options.id,
-            source: source,
-            style: options.styleFunction || (feature => {
-                const styleName = options.styleName || 'default';
-                const styleOptions = options.styleOptions || {};
-                return FeatureStyles[styleName](feature, styleOptions);
-            })
-        });
-        return vectorLayer;
+        if (options.heatmap) {
+            return createHeatmapLayer(source, options);
+        }
+        return createVectorLayer(source, options);
     },
     update: (layer, newOptions, oldOptions, map) => {
         const mapCrs = map.getView().getProjection().getCode();
 
-        if (newOptions.styleName !== oldOptions.styleName || newOptions.styleOptions !== oldOptions.styleOptions) {
-            layer.setStyle(feature => {
-                const styleName = newOptions.styleName || 'default';
-                const styleOptions = newOptions.styleOptions || {};
-                return FeatureStyles[styleName](feature, styleOptions);
-            });
-        } else if (newOptions.styleFunction !== oldOptions.styleFunction) {
-            layer.setStyle(newOptions.styleFunction);
+        let newLayer = layer;
+        if (!!newOptions.heatmap !== !!oldOptions.heatmap) {
+            const featureSource = getFeatureSource(layer);
+            newLayer = newOptions.heatmap ? createHeatmapLayer(featureSource, newOptions) : createVectorLayer(featureSource, newOptions);
+        } else if (newOptions.heatmap) {
+            updateHeatmapLayer(layer, newOptions, oldOptions);
+        } else if (!!newOptions.cluster !== !!oldOptions.cluster) {
+            newLayer = createVectorLayer(getFeatureSource(layer), newOptions);
+        } else if (
+            newOptions.styleName !== oldOptions.styleName ||
+            newOptions.styleOptions !== oldOptions.styleOptions ||
+            newOptions.styleFunction !== oldOptions.styleFunction ||
+            newOptions.clusterStyleOptions !== oldOptions.clusterStyleOptions ||
+            newOptions.vectorStyle !== oldOptions.vectorStyle ||
+            newOptions.dimensionValues !== oldOptions.dimensionValues
+        ) {
+            setLayerStyle(layer, newOptions);
+        }
+        if (newLayer === layer && !newOptions.heatmap && newOptions.cluster && newOptions.clusterDistance !== oldOptions.clusterDistance) {
+            layer.getLayers().item(1).getSource().setDistance(newOptions.clusterDistance ?? DEFAULT_CLUSTER_DISTANCE);
+        }
+        const hiddenFolders = VectorLayerUtils.getHiddenFolders(newOptions.sublayers);
+        if (newOptions.sublayers !== oldOptions.sublayers || newOptions.vectorStyle !== oldOptions.vectorStyle) {
+            // Folder visibility or vector style changed
+            getFeatureSource(layer).getFeatures().forEach(f => setFeatureStyle(f, hiddenFolders, newOptions.vectorStyle));
         }
         if (newOptions.features !== oldOptions.features) {
             const format = new ol.format.GeoJSON();
-            const source = layer.getSource();
+            const source = getFeatureSource(layer);
 
             const oldFeaturesMap = (oldOptions.features || []).reduce((res, f) => {
                 res[f.id] = f; return res;
@@ -113,9 +280,8 @@ export default {
                     f.set('circleParams', feature.circleParams);
                     f.set('shape', feature.shape);
                     f.set('measurements', feature.measurements);
-                    if (featureStyleName) {
-                        f.setStyle(FeatureStyles[featureStyleName](f, featureStyleOptions));
-                    }
+                    f.set('folder', feature.folder);
+                    setFeatureStyle(f, hiddenFolders, newOptions.vectorStyle);
                 });
                 newFeatureObjects = newFeatureObjects.concat(featureObject);
             }
@@ -123,8 +289,9 @@ export default {
                 source.addFeatures(newFeatureObjects);
             }
         } else if ((oldOptions.rev || 0) !== (newOptions.rev || 0)) {
-            layer.getSource().changed();
+            getFeatureSource(newLayer).changed();
         }
+        return newLayer;
     },
     render: () => {
         return null;
@@ -142,5 +142,9 @@ export default {
                 }, 500));
             }
         }
+    },
+    refresh: (layer) => {
+        // The previous image remains visible until the new one is loaded
+        layer.getSource().updateParams({__t: +new Date()});
     }
 };
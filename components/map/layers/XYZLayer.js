@@ -8,8 +8,19 @@
 
 import ol from 'openlayers';
 
+import PMTilesUtils from '../../../utils/PMTilesUtils';
+
 export default {
-    create: (options) => {
+    create: (options, map) => {
+        if (options.blob || PMTilesUtils.isPMTilesUrl(options.url)) {
+            const layer = new ol.layer.Tile({
+                minResolution: options.minResolution,
+                maxResolution: options.maxResolution,
+                ...(options.layerConfig || {})
+            });
+            PMTilesUtils.setupLayer(layer, options, map);
+            return layer;
+        }
         return new ol.layer.Tile({
             minResolution: options.minResolution,
             maxResolution: options.maxResolution,
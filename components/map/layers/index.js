@@ -7,11 +7,16 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import arcgisFeatureServerLayer from './ArcGISFeatureServerLayer';
+import arcgisMapServerLayer from './ArcGISMapServerLayer';
 import bingLayer from './BingLayer';
+import cogLayer from './COGLayer';
+import flatGeobufLayer from './FlatGeobufLayer';
 import googleLayer from './GoogleLayer';
 import graticuleLayer from './GraticuleLayer';
 import imageLayer from './ImageLayer';
 import mvtLayer from './MVTLayer';
+import ogcApiFeaturesLayer from './OGCAPIFeaturesLayer';
 import osmLayer from './OSMLayer';
 import overlayLayer from './OverlayLayer';
 import vectorLayer from './VectorLayer';
@@ -21,11 +26,16 @@ import wmtsLayer from './WMTSLayer';
 import xyzLayer from './XYZLayer';
 
 export default {
+    arcgisfeatureserver: arcgisFeatureServerLayer,
+    arcgismapserver: arcgisMapServerLayer,
     bing: bingLayer,
+    cog: cogLayer,
+    flatgeobuf: flatGeobufLayer,
     google: googleLayer,
     graticule: graticuleLayer,
     image: imageLayer,
     mvt: mvtLayer,
+    ogcapifeatures: ogcApiFeaturesLayer,
     osm: osmLayer,
     overlay: overlayLayer,
     vector: vectorLayer,
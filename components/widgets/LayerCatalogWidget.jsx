@@ -116,7 +116,7 @@ class LayerCatalogWidget extends React.PureComponent {
                     alert(LocaleUtils.tr("importlayer.addfailed"));
                 }
             });
-        } else if (entry.type === "wms" || entry.type === "wfs" || entry.type === "wmts") {
+        } else if (["wms", "wfs", "wmts", "ogcapifeatures", "cog", "flatgeobuf", "arcgismapserver", "arcgisfeatureserver"].includes(entry.type)) {
             this.props.addLayer({...entry, sublayers: null});
         }
     };
@@ -123,7 +123,7 @@ export default class SearchWidget extends React.Component {
         this.setState({reqId: reqId, results: [], pending: this.props.searchProviders.length});
 
         this.props.searchProviders.forEach(provider => {
-            provider.onSearch(this.state.text, this.props.searchParams, (response) => {
+            provider.onSearch(this.state.text, {...this.props.searchParams, cfgParams: provider.params}, (response) => {
                 this.setState((state) => {
                     if (state.reqId !== reqId) {
                         return {};
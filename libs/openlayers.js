@@ -15,6 +15,7 @@ import OlMap from 'ol/Map';
 import OlObject from 'ol/Object';
 import OlOverlay from 'ol/Overlay';
 import OlTileQueue from 'ol/TileQueue';
+import OlTileState from 'ol/TileState';
 import OlView from 'ol/View';
 import {defaults as olControlDefaults} from 'ol/control';
 import OlControlAttribution from 'ol/control/Attribution';
@@ -23,6 +24,7 @@ import OlControlScaleLine from 'ol/control/ScaleLine';
 import OlControlZoom from 'ol/control/Zoom';
 import * as OlEventsCondition from 'ol/events/condition';
 import * as OlExtent from 'ol/extent';
+import OlFormatEsriJSON from 'ol/format/EsriJSON';
 import OlFormatGML2 from 'ol/format/GML2';
 import OlFormatGML3 from 'ol/format/GML3';
 import OlFormatGML32 from 'ol/format/GML32';
@@ -30,6 +32,7 @@ import OlFormatGeoJSON from 'ol/format/GeoJSON';
 import OlFormatKML from 'ol/format/KML';
 import OlFormatMVT from 'ol/format/MVT';
 import OlFormatWFS from 'ol/format/WFS';
+import OlFormatWKB from 'ol/format/WKB';
 import OlFormatWKT from 'ol/format/WKT';
 import OlFormatWMSCapabilities from 'ol/format/WMSCapabilities';
 import OlFormatWMTSCapabilities from 'ol/format/WMTSCapabilities';
@@ -56,14 +59,20 @@ import OlInteractionSnap from 'ol/interaction/Snap';
 import OlInteractionTranslate from 'ol/interaction/Translate';
 import OlGraticule from 'ol/layer/Graticule';
 import OlLayerGroup from 'ol/layer/Group';
+import OlLayerHeatmap from 'ol/layer/Heatmap';
 import OlLayerImage from 'ol/layer/Image';
 import OlLayer from 'ol/layer/Layer';
 import OlLayerTile from 'ol/layer/Tile';
 import OlLayerVector from 'ol/layer/Vector';
 import OlLayerVectorTile from 'ol/layer/VectorTile';
+import OlLayerWebGLTile from 'ol/layer/WebGLTile';
 import * as OlLoadingstrategy from 'ol/loadingstrategy';
 import * as OlProj from 'ol/proj';
+import OlRenderFeature, {toFeature as olRenderToFeature} from 'ol/render/Feature';
 import OlSourceBingMaps from 'ol/source/BingMaps';
+import OlSourceCluster from 'ol/source/Cluster';
+import OlSourceGeoTIFF from 'ol/source/GeoTIFF';
+import OlSourceImageArcGISRest from 'ol/source/ImageArcGISRest';
 import OlSourceImageStatic from 'ol/source/ImageStatic';
 import OlSourceImageWMS from 'ol/source/ImageWMS';
 import OlSourceOSM from 'ol/source/OSM';
@@ -80,6 +89,7 @@ import OlStyleRegularShape from 'ol/style/RegularShape';
 import OlStyleStroke from 'ol/style/Stroke';
 import OlStyleStyle from 'ol/style/Style';
 import OlStyleText from 'ol/style/Text';
+import {createXYZ as olTilegridCreateXYZ} from 'ol/tilegrid';
 import OlTilegridTileGrid from 'ol/tilegrid/TileGrid';
 import OlTilegridWMTS from 'ol/tilegrid/WMTS';
 import OlInteractionDrawRegular from 'ol-ext/interaction/DrawRegular';
@@ -103,6 +113,7 @@ export default {
     extent: OlExtent,
     Feature: OlFeature,
     format: {
+        EsriJSON: OlFormatEsriJSON,
         GeoJSON: OlFormatGeoJSON,
         GML2: OlFormatGML2,
         GML3: OlFormatGML3,
@@ -112,6 +123,7 @@ export default {
         WFS: OlFormatWFS,
         WMSCapabilities: OlFormatWMSCapabilities,
         WMTSCapabilities: OlFormatWMTSCapabilities,
+        WKB: OlFormatWKB,
         WKT: OlFormatWKT
     },
     Geolocation: OlGeolocation,
@@ -150,15 +162,24 @@ export default {
         Tile: OlLayerTile,
         Vector: OlLayerVector,
         VectorTile: OlLayerVectorTile,
-        Group: OlLayerGroup
+        WebGLTile: OlLayerWebGLTile,
+        Group: OlLayerGroup,
+        Heatmap: OlLayerHeatmap
     },
     loadingstrategy: OlLoadingstrategy,
     Map: OlMap,
     Object: OlObject,
     Overlay: OlOverlay,
     proj: OlProj,
+    render: {
+        Feature: OlRenderFeature,
+        toFeature: olRenderToFeature
+    },
     source: {
         BingMaps: OlSourceBingMaps,
+        Cluster: OlSourceCluster,
+        GeoTIFF: OlSourceGeoTIFF,
+        ImageArcGISRest: OlSourceImageArcGISRest,
         ImageStatic: OlSourceImageStatic,
         ImageWMS: OlSourceImageWMS,
         OSM: OlSourceOSM,
@@ -179,11 +200,13 @@ export default {
         Text: OlStyleText
     },
     tilegrid: {
+        createXYZ: olTilegridCreateXYZ,
         TileGrid: OlTilegridTileGrid,
         WMTS: OlTilegridWMTS
     },
     View: OlView,
-    TileQueue: OlTileQueue
+    TileQueue: OlTileQueue,
+    TileState: OlTileState
 };
 
 // Overrides to inject requestsPaused into view state
@@ -48,7 +48,7 @@ import VectorLayerUtils from '../utils/VectorLayerUtils';
  *
  * Convenience method for adding an external layer.
  *
- *   * `resource`: An external resource of the form `wms:<service_url>#<layername>` or `wmts:<capabilities_url>#<layername>`.
+ *   * `resource`: An external resource of the form `wms:<service_url>#<layername>`, `wmts:<capabilities_url>#<layername>`, `ogcapifeatures:<landing_page_url>#<collection_id>`, `cog:<geotiff_url>#<layername>`, `flatgeobuf:<fgb_url>#<layername>`, `arcgismapserver:<mapserver_url>#<layername>` or `arcgisfeatureserver:<featureserver_layer_url>#<layername>`.
  *   * `beforeLayerName`: Insert the new layer before the layer with the specified name. If `null` or the layer does not exist, the layer is inserted on top.
  *
  * ---
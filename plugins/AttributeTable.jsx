@@ -32,9 +32,12 @@ import LayerUtils from '../utils/LayerUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MapUtils from '../utils/MapUtils';
 import VectorLayerUtils from '../utils/VectorLayerUtils';
+import WorkerUtils, {WORKER_EXPORT_THRESHOLD} from '../utils/WorkerUtils';
 
 import './style/AttributeTable.css';
 
+const USERLAYER_PREFIX = "userlayer:";
+
 /**
  * Displaying the attribute table of layers in a dialog.
  *
@@ -42,6 +45,8 @@ import './style/AttributeTable.css';
  *
  * The attribute table works for both read-only as well as read-write data resources.
  *
+ * User vector layers, i.e. imported files, are listed as read-only layers.
+ *
  * This plugin queries the dataset via the editing service specified by
  * `editServiceUrl` in `config.json` (by default the `qwc-data-service`).
  */
@@ -91,7 +96,8 @@ class AttributeTable extends React.Component {
         deleteTask: null,
         newFeature: false,
         confirmDelete: false,
-        limitToExtent: false
+        limitToExtent: false,
+        exporting: false
     };
     constructor(props) {
         super(props);
@@ -99,6 +105,8 @@ class AttributeTable extends React.Component {
         this.state = AttributeTable.defaultState;
         this.table = null;
         this.attribTableContents = null;
+        // Edit configs of user vector layers, by layer id
+        this.userLayerConfigs = {};
     }
     componentDidUpdate(prevProps, prevState) {
         if (this.state.newFeature && !prevState.newFeature) {
@@ -123,7 +131,7 @@ class AttributeTable extends React.Component {
             return null;
         }
 
-        const editConfig = this.props.theme.editConfig || {};
+        const editConfig = this.getEditConfig();
         const currentEditConfig = editConfig[this.state.loadedLayer];
         const editPermissions = (editConfig[this.state.loadedLayer] || {}).permissions || {};
         const readOnly = editPermissions.updatable === false;
@@ -262,7 +270,7 @@ class AttributeTable extends React.Component {
         const layerChanged = this.state.selectedLayer !== this.state.loadedLayer;
         const showAddButton = editPermissions.creatable !== false;
         const showDelButton = editPermissions.deletable !== false;
-        const showEditButton = ConfigUtils.havePlugin("Editing") && this.props.showEditFormButton;
+        const showEditButton = ConfigUtils.havePlugin("Editing") && this.props.showEditFormButton && !this.state.loadedLayer.startsWith(USERLAYER_PREFIX);
         const deleteButton = showDelButton ? (
             <button className="button" disabled={layerChanged || editing || !Object.values(this.state.selectedFeatures).find(entry => entry === true)} onClick={() => this.setState({confirmDelete: true})} title={LocaleUtils.tr("attribtable.deletefeatures")}>
                 <Icon icon="trash" />
@@ -325,8 +333,8 @@ class AttributeTable extends React.Component {
                                 <span>{LocaleUtils.tr("attribtable.discard")}</span>
                             </button>
                         ) : null}
-                        <button className="button" disabled={isEmpty(this.state.features)} onClick={() => this.csvExport()} title={LocaleUtils.tr("attribtable.csvexport")}>
-                            <Icon icon="export" />
+                        <button className="button" disabled={isEmpty(this.state.features) || this.state.exporting} onClick={() => this.csvExport()} title={LocaleUtils.tr("attribtable.csvexport")}>
+                            {this.state.exporting ? (<Spinner />) : (<Icon icon="export" />)}
                         </button>
                     </div>
                     <div className="attribtable-contents" ref={el => {this.attribTableContents = el;}}>
@@ -367,7 +375,75 @@ class AttributeTable extends React.Component {
     changeSelectedLayer = (value) => {
         this.setState({selectedLayer: value});
     };
+    getEditConfig = () => {
+        const userLayerConfigs = this.props.layers.reduce((res, layer) => {
+            if (layer.role === LayerRole.USERLAYER && layer.type === "vector" && !isEmpty(layer.features)) {
+                res[USERLAYER_PREFIX + layer.id] = this.userLayerEditConfig(layer);
+            }
+            return res;
+        }, {});
+        return {...(this.props.theme.editConfig || {}), ...userLayerConfigs};
+    };
+    userLayerEditConfig = (layer) => {
+        if (this.userLayerConfigs[layer.id]?.features !== layer.features) {
+            const attributes = [...new Set(layer.features.map(feature => Object.keys(feature.properties || {})).flat())];
+            const fields = attributes.filter(attr => attr !== "id").map(attr => {
+                const values = layer.features.map(feature => (feature.properties || {})[attr]).filter(value => value !== null && value !== undefined && value !== "");
+                let type = "text";
+                if (values.length > 0 && values.every(value => typeof value === "number")) {
+                    type = "number";
+                } else if (values.length > 0 && values.every(value => typeof value === "boolean")) {
+                    type = "boolean";
+                }
+                return {id: attr, name: attr, type: type, constraints: {readOnly: true}};
+            });
+            this.userLayerConfigs[layer.id] = {
+                features: layer.features,
+                config: {
+                    layerName: layer.title || layer.name,
+                    editDataset: layer.id,
+                    fields: fields,
+                    permissions: {creatable: false, updatable: false, deletable: false}
+                }
+            };
+        }
+        return this.userLayerConfigs[layer.id].config;
+    };
+    loadUserLayerFeatures = (layerId) => {
+        const layer = this.props.layers.find(entry => USERLAYER_PREFIX + entry.id === layerId);
+        const mapBbox = this.state.limitToExtent ? this.props.mapBbox.bounds : null;
+        return (layer?.features || []).reduce((res, feature) => {
+            const geometry = feature.geometry ? VectorLayerUtils.reprojectGeometry(feature.geometry, feature.crs || this.props.mapCrs, this.props.mapCrs) : null;
+            if (mapBbox) {
+                const bbox = geometry ? VectorLayerUtils.computeFeatureBBox({type: "Feature", geometry}) : null;
+                if (!bbox || bbox[0] > mapBbox[2] || bbox[2] < mapBbox[0] || bbox[1] > mapBbox[3] || bbox[3] < mapBbox[1]) {
+                    return res;
+                }
+            }
+            res.push({
+                ...feature,
+                geometry: geometry,
+                properties: Object.entries(feature.properties || {}).reduce((props, [key, value]) => ({
+                    ...props, [key]: value !== null && typeof value === "object" ? JSON.stringify(value) : value
+                }), {})
+            });
+            return res;
+        }, []);
+    };
     reload = (layerName = null) => {
+        const userLayerId = layerName || this.state.selectedLayer;
+        if (userLayerId.startsWith(USERLAYER_PREFIX)) {
+            const features = this.loadUserLayerFeatures(userLayerId);
+            this.setState((state) => ({
+                ...AttributeTable.defaultState,
+                selectedLayer: userLayerId,
+                loadedLayer: userLayerId,
+                limitToExtent: state.limitToExtent,
+                features: features,
+                filteredSortedFeatures: this.filteredSortedFeatures(features, AttributeTable.defaultState)
+            }));
+            return;
+        }
         this.setState((state) => {
             const selectedLayer = layerName || state.selectedLayer;
             KeyValCache.clear();
@@ -459,7 +535,7 @@ class AttributeTable extends React.Component {
         return input;
     };
     addFeature = () => {
-        const editConfig = this.props.theme.editConfig || {};
+        const editConfig = this.getEditConfig();
         const currentEditConfig = editConfig[this.state.loadedLayer];
         if (!currentEditConfig) {
             return;
@@ -610,7 +686,7 @@ class AttributeTable extends React.Component {
         }
     };
     switchToFormEditMode = () => {
-        const editConfig = this.props.theme.editConfig || {};
+        const editConfig = this.getEditConfig();
         const currentEditConfig = editConfig[this.state.loadedLayer];
         const hasGeometry = (currentEditConfig || {}).geomType !== null;
         if (!hasGeometry) {
@@ -641,7 +717,7 @@ class AttributeTable extends React.Component {
                 test = (x) => (String(x).toLowerCase() === filterVal);
             }
             // Build value relation lookup
-            const editConfig = this.props.theme.editConfig || {};
+            const editConfig = this.getEditConfig();
             const currentEditConfig = editConfig[this.state.loadedLayer];
             const valueLookup = currentEditConfig.fields.reduce((res, field) => {
                 if (field.constraints && field.constraints.values) {
@@ -707,20 +783,24 @@ class AttributeTable extends React.Component {
         }
     };
     csvExport = () => {
-        const editConfig = this.props.theme.editConfig || {};
+        const editConfig = this.getEditConfig();
         const currentEditConfig = editConfig[this.state.loadedLayer];
         if (!currentEditConfig) {
             return;
         }
 
-        const fields = currentEditConfig.fields.filter(field => field.id !== 'id');
-        let data = "";
-        data += "id\t" + fields.map(field => field.id).join("\t") + "\n";
-
-        this.state.features.forEach(feature => {
-            data += feature.id + "\t" + fields.map(field => feature.properties[field.id]).join("\t") + "\n";
+        const fields = currentEditConfig.fields.filter(field => field.id !== 'id').map(field => field.id);
+        const features = this.state.features.map(feature => ({id: feature.id, properties: feature.properties}));
+        const layerName = this.state.loadedLayer;
+        // Serialize large tables off the main thread
+        const worker = features.length > WORKER_EXPORT_THRESHOLD;
+        this.setState({exporting: true});
+        WorkerUtils.runTask("exportAttributeTable", {fields, features}, {worker}).then(data => {
+            FileSaver.saveAs(new Blob([data], {type: "text/plain;charset=utf-8"}), layerName + ".csv");
+            this.setState({exporting: false});
+        }).catch(() => {
+            this.setState({exporting: false});
         });
-        FileSaver.saveAs(new Blob([data], {type: "text/plain;charset=utf-8"}), this.state.loadedLayer + ".csv");
     };
 }
 
@@ -0,0 +1,182 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import {connect} from 'react-redux';
+
+import isEmpty from 'lodash.isempty';
+import PropTypes from 'prop-types';
+
+import {LayerRole, setLayerDimensions} from '../actions/layers';
+import {setCurrentTask} from '../actions/task';
+import Icon from '../components/Icon';
+import ResizeableWindow from '../components/ResizeableWindow';
+import LayerUtils from '../utils/LayerUtils';
+import LocaleUtils from '../utils/LocaleUtils';
+import {UrlParams} from '../utils/PermaLinkUtils';
+
+import './style/DimensionManager.css';
+
+
+/**
+ * Allows choosing the values of the WMS dimensions of the map layers, i.e. `ELEVATION` or custom `DIM_*` dimensions.
+ *
+ * Dimensions with a single numeric interval are controlled with a slider, others with a pick list.
+ * Temporal dimensions are controlled by the `TimeManager` plugin.
+ *
+ * The chosen values are passed to the GetMap, GetFeatureInfo and GetPrint requests.
+ * The values of the theme layer dimensions are stored in the `dim` permalink parameter.
+ */
+class DimensionManager extends React.Component {
+    static propTypes = {
+        active: PropTypes.bool,
+        /** Default window geometry with size, position and docking status. Positive position values (including '0') are related to top (InitialY) and left (InitialX), negative values (including '-0') to bottom (InitialY) and right (InitialX). */
+        geometry: PropTypes.shape({
+            initialWidth: PropTypes.number,
+            initialHeight: PropTypes.number,
+            initialX: PropTypes.number,
+            initialY: PropTypes.number,
+            initiallyDocked: PropTypes.bool,
+            side: PropTypes.string
+        }),
+        layers: PropTypes.array,
+        setCurrentTask: PropTypes.func,
+        setLayerDimensions: PropTypes.func,
+        startupParams: PropTypes.object,
+        theme: PropTypes.object
+    };
+    static defaultProps = {
+        geometry: {
+            initialWidth: 320,
+            initialHeight: 400,
+            initialX: 0,
+            initialY: 0,
+            initiallyDocked: false,
+            side: 'left'
+        }
+    };
+    state = {
+        visible: false
+    };
+    componentDidUpdate(prevProps) {
+        if (this.props.active && !prevProps.active) {
+            this.setState({visible: true});
+            // Clear task immediately, visibility is stored as state
+            this.props.setCurrentTask(null);
+        }
+        if (this.props.theme !== prevProps.theme) {
+            const themeLayer = this.props.layers.find(layer => layer.role === LayerRole.THEME);
+            const startupValues = !prevProps.theme ? LayerUtils.splitDimensionUrlParam(this.props.startupParams?.dim) : {};
+            if (themeLayer && !isEmpty(startupValues)) {
+                this.props.setLayerDimensions(themeLayer.id, {...themeLayer.dimensionValues, ...startupValues});
+            }
+            UrlParams.updateParams({dim: LayerUtils.buildDimensionUrlParam(startupValues) || undefined});
+        }
+    }
+    render() {
+        if (!this.state.visible) {
+            return null;
+        }
+        const layers = this.props.layers.filter(layer => layer.type === "wms" && layer.role !== LayerRole.BACKGROUND).map(layer => ({
+            layer: layer,
+            dimensions: LayerUtils.getDimensions(layer)
+        })).filter(entry => !isEmpty(entry.dimensions));
+        return (
+            <ResizeableWindow dockable={this.props.geometry.side} icon="layers"
+                initialHeight={this.props.geometry.initialHeight} initialWidth={this.props.geometry.initialWidth}
+                initialX={this.props.geometry.initialX} initialY={this.props.geometry.initialY}
+                initiallyDocked={this.props.geometry.initiallyDocked}
+                onClose={this.onClose} title={LocaleUtils.trmsg("dimensionmanager.windowtitle")}
+            >
+                <div className="dimension-manager" role="body">
+                    {isEmpty(layers) ? (
+                        <div className="dimension-manager-empty">{LocaleUtils.tr("dimensionmanager.nodimensions")}</div>
+                    ) : layers.map(({layer, dimensions}) => (
+                        <div className="dimension-manager-layer" key={layer.uuid}>
+                            <div className="dimension-manager-layer-title">{layer.title || layer.name}</div>
+                            <table>
+                                <tbody>
+                                    {dimensions.map(dimension => this.renderDimension(layer, dimension))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </div>
+            </ResizeableWindow>
+        );
+    }
+    renderDimension = (layer, dimension) => {
+        const value = (layer.dimensionValues || {})[dimension.param] ?? "";
+        const unit = dimension.unitSymbol || dimension.units || "";
+        const defaultLabel = LocaleUtils.tr("dimensionmanager.default") + (dimension.default ? " (" + dimension.default + ")" : "");
+        let control = null;
+        if (dimension.extent.values) {
+            const selected = value ? value.split(",") : [];
+            if (dimension.multiple) {
+                control = (
+                    <select multiple onChange={ev => this.setDimensionValue(layer, dimension.param, Array.from(ev.target.selectedOptions).map(option => option.value).join(","))}
+                        size={Math.min(5, dimension.extent.values.length)} value={selected}
+                    >
+                        {dimension.extent.values.map(entry => (<option key={entry} value={entry}>{entry}</option>))}
+                    </select>
+                );
+            } else {
+                control = (
+                    <select onChange={ev => this.setDimensionValue(layer, dimension.param, ev.target.value)} value={value}>
+                        <option value="">{defaultLabel}</option>
+                        {dimension.extent.values.map(entry => (<option key={entry} value={entry}>{entry}</option>))}
+                    </select>
+                );
+            }
+        } else {
+            const {min, max, resolution} = dimension.extent;
+            const sliderValue = value !== "" ? value : (dimension.default ?? min);
+            control = (
+                <span className="dimension-manager-slider">
+                    <input max={max} min={min} onChange={ev => this.setDimensionValue(layer, dimension.param, ev.target.value)}
+                        step={resolution || "any"} type="range" value={sliderValue} />
+                    <span>{value !== "" ? value : defaultLabel}</span>
+                </span>
+            );
+        }
+        return (
+            <tr key={dimension.param}>
+                <td title={dimension.param}>{dimension.name}{unit ? " [" + unit + "]" : ""}:</td>
+                <td>{control}</td>
+                <td>
+                    {value !== "" ? (<Icon icon="clear" onClick={() => this.setDimensionValue(layer, dimension.param, "")} titlemsgid={LocaleUtils.trmsg("dimensionmanager.reset")} />) : null}
+                </td>
+            </tr>
+        );
+    };
+    setDimensionValue = (layer, param, value) => {
+        const dimensionValues = {...layer.dimensionValues};
+        if (value === "") {
+            delete dimensionValues[param];
+        } else {
+            dimensionValues[param] = value;
+        }
+        this.props.setLayerDimensions(layer.id, dimensionValues);
+        if (layer.role === LayerRole.THEME) {
+            UrlParams.updateParams({dim: LayerUtils.buildDimensionUrlParam(dimensionValues) || undefined});
+        }
+    };
+    onClose = () => {
+        this.setState({visible: false});
+    };
+}
+
+export default connect(state => ({
+    active: state.task.id === "DimensionManager",
+    layers: state.layers.flat,
+    startupParams: state.localConfig.startupParams,
+    theme: state.theme.current
+}), {
+    setCurrentTask: setCurrentTask,
+    setLayerDimensions: setLayerDimensions
+})(DimensionManager);
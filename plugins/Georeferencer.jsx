@@ -0,0 +1,392 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import {connect} from 'react-redux';
+
+import FileSaver from 'file-saver';
+import JSZip from 'jszip';
+import isEqual from 'lodash.isequal';
+import PropTypes from 'prop-types';
+import {v4 as uuidv4} from 'uuid';
+
+import {LayerRole, addLayer, addLayerFeatures, changeLayerProperties, removeLayer} from '../actions/layers';
+import {setCurrentTask} from '../actions/task';
+import Icon from '../components/Icon';
+import ResizeableWindow from '../components/ResizeableWindow';
+import FileSelector from '../components/widgets/FileSelector';
+import CoordinatesUtils from '../utils/CoordinatesUtils';
+import GeoreferenceUtils from '../utils/GeoreferenceUtils';
+import LocaleUtils from '../utils/LocaleUtils';
+
+import './style/Georeferencer.css';
+
+const POINTS_LAYER_ID = "georeferencer-points";
+
+
+/**
+ * Allows georeferencing an image by placing control points on the image and on the map.
+ *
+ * The warped image is displayed as `image` user layer while placing the control points,
+ * and can be exported together with a world file.
+ *
+ * The georeferenced layers are stored in permalinks like other user layers.
+ */
+class Georeferencer extends React.Component {
+    static propTypes = {
+        active: PropTypes.bool,
+        addLayer: PropTypes.func,
+        addLayerFeatures: PropTypes.func,
+        changeLayerProperties: PropTypes.func,
+        click: PropTypes.object,
+        /** Default window geometry with size, position and docking status. Positive position values (including '0') are related to top (InitialY) and left (InitialX), negative values (including '-0') to bottom (InitialY) and right (InitialX). */
+        geometry: PropTypes.shape({
+            initialWidth: PropTypes.number,
+            initialHeight: PropTypes.number,
+            initialX: PropTypes.number,
+            initialY: PropTypes.number,
+            initiallyDocked: PropTypes.bool,
+            side: PropTypes.string
+        }),
+        layers: PropTypes.array,
+        mapCrs: PropTypes.string,
+        /** The maximum width and height in pixels of the warped image. */
+        maxImageSize: PropTypes.number,
+        removeLayer: PropTypes.func,
+        setCurrentTask: PropTypes.func
+    };
+    static defaultProps = {
+        geometry: {
+            initialWidth: 480,
+            initialHeight: 640,
+            initialX: 0,
+            initialY: 0,
+            initiallyDocked: false,
+            side: 'left'
+        },
+        maxImageSize: 4096
+    };
+    static defaultState = {
+        file: null,
+        image: null,
+        zoom: 1,
+        transformation: "helmert",
+        controlPoints: [],
+        selected: null,
+        layerId: null
+    };
+    state = Georeferencer.defaultState;
+    restoringLayers = new Set();
+    componentDidMount() {
+        this.restoreLayers();
+    }
+    componentDidUpdate(prevProps, prevState) {
+        if (this.props.layers !== prevProps.layers) {
+            this.restoreLayers();
+        }
+        if (!this.props.active && prevProps.active) {
+            this.reset();
+        }
+        if (!this.props.active) {
+            return;
+        }
+        const clickPoint = this.props.click?.coordinate;
+        if (clickPoint && !isEqual(clickPoint, prevProps.click?.coordinate) && this.state.selected !== null) {
+            // Place the selected control point on the map
+            this.setState(state => ({
+                controlPoints: state.controlPoints.map((point, idx) => idx === state.selected ? {...point, coordinate: clickPoint} : point),
+                selected: null
+            }));
+        }
+        if (
+            this.state.controlPoints !== prevState.controlPoints ||
+            this.state.transformation !== prevState.transformation ||
+            this.state.image !== prevState.image
+        ) {
+            this.updatePointsLayer();
+            this.updateImageLayer();
+        }
+    }
+    render() {
+        if (!this.props.active) {
+            return null;
+        }
+        return (
+            <ResizeableWindow dockable={this.props.geometry.side} icon="transformtool"
+                initialHeight={this.props.geometry.initialHeight} initialWidth={this.props.geometry.initialWidth}
+                initialX={this.props.geometry.initialX} initialY={this.props.geometry.initialY}
+                initiallyDocked={this.props.geometry.initiallyDocked}
+                onClose={this.onClose} title={LocaleUtils.trmsg("georeferencer.windowtitle")}
+            >
+                <div className="georeferencer" role="body">
+                    <FileSelector accept=".png,.jpg,.jpeg,image/png,image/jpeg" file={this.state.file} onFileSelected={this.loadImage} />
+                    {this.state.image ? this.renderBody() : null}
+                </div>
+            </ResizeableWindow>
+        );
+    }
+    renderBody = () => {
+        const transform = this.computeTransform();
+        const minPoints = GeoreferenceUtils.TRANSFORMATIONS[this.state.transformation].minPoints;
+        let hint = LocaleUtils.tr("georeferencer.clickimage");
+        if (this.state.selected !== null) {
+            hint = LocaleUtils.tr("georeferencer.clickmap", this.state.selected + 1);
+        }
+        const image = this.state.image;
+        return [
+            (
+                <div className="georeferencer-toolbar" key="toolbar">
+                    <select onChange={ev => this.setState({transformation: ev.target.value})} value={this.state.transformation}>
+                        {Object.entries(GeoreferenceUtils.TRANSFORMATIONS).map(([key, entry]) => (
+                            <option key={key} value={key}>{LocaleUtils.tr(entry.labelmsgid)}</option>
+                        ))}
+                    </select>
+                    <button className="button" onClick={() => this.setState(state => ({zoom: state.zoom * 1.5}))} title={LocaleUtils.tr("georeferencer.zoomin")}>
+                        <Icon icon="zoomin" />
+                    </button>
+                    <button className="button" onClick={() => this.setState(state => ({zoom: state.zoom / 1.5}))} title={LocaleUtils.tr("georeferencer.zoomout")}>
+                        <Icon icon="zoomout" />
+                    </button>
+                </div>
+            ),
+            (<div className="georeferencer-hint" key="hint">{hint}</div>),
+            (
+                <div className="georeferencer-image-container" key="image">
+                    <div className="georeferencer-image" style={{width: image.naturalWidth * this.state.zoom, height: image.naturalHeight * this.state.zoom}}>
+                        <img onClick={this.imageClicked} src={image.src} />
+                        {this.state.controlPoints.map((point, idx) => (
+                            <span className={"georeferencer-marker" + (idx === this.state.selected ? " georeferencer-marker-selected" : "")}
+                                key={"p" + idx} style={{left: point.pixel[0] * this.state.zoom, top: point.pixel[1] * this.state.zoom}}
+                            >{idx + 1}</span>
+                        ))}
+                    </div>
+                </div>
+            ),
+            this.renderControlPoints(transform),
+            (
+                <div className="georeferencer-status" key="status">
+                    {transform ? (
+                        LocaleUtils.tr("georeferencer.rmse") + ": " + transform.rmse.toFixed(this.precision())
+                    ) : LocaleUtils.tr("georeferencer.minpoints", minPoints)}
+                </div>
+            ),
+            (
+                <div className="button-bar" key="buttons">
+                    <button className="button" disabled={!transform} onClick={() => this.export(transform)}>
+                        <Icon icon="export" /> {LocaleUtils.tr("georeferencer.export")}
+                    </button>
+                    <button className="button" onClick={this.discard}>
+                        <Icon icon="trash" /> {LocaleUtils.tr("georeferencer.discard")}
+                    </button>
+                    <button className="button" onClick={this.onClose}>
+                        <Icon icon="ok" /> {LocaleUtils.tr("georeferencer.finish")}
+                    </button>
+                </div>
+            )
+        ];
+    };
+    renderControlPoints = (transform) => {
+        const precision = this.precision();
+        return (
+            <div className="georeferencer-points" key="points">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>{LocaleUtils.tr("georeferencer.image")}</th>
+                            <th>{LocaleUtils.tr("georeferencer.map")}</th>
+                            <th>{LocaleUtils.tr("georeferencer.residual")}</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {this.state.controlPoints.map((point, idx) => (
+                            <tr className={idx === this.state.selected ? "georeferencer-point-selected" : ""} key={"p" + idx}
+                                onClick={() => this.setState(state => ({selected: state.selected === idx ? null : idx}))}
+                            >
+                                <td>{idx + 1}</td>
+                                <td>{point.pixel.map(value => value.toFixed(1)).join(", ")}</td>
+                                <td>{point.coordinate ? point.coordinate.map(value => value.toFixed(precision)).join(", ") : "-"}</td>
+                                <td>{transform && transform.residuals[idx] !== null ? transform.residuals[idx].toFixed(precision) : ""}</td>
+                                <td>
+                                    <Icon icon="trash" onClick={(ev) => this.removeControlPoint(ev, idx)} />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+    precision = () => {
+        return CoordinatesUtils.getUnits(this.props.mapCrs) === 'degrees' ? 5 : 2;
+    };
+    computeTransform = () => {
+        return GeoreferenceUtils.computeTransform(this.state.controlPoints, this.state.transformation);
+    };
+    loadImage = (file) => {
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            const image = new Image();
+            image.onload = () => {
+                this.removeLayers();
+                this.setState(state => ({
+                    ...Georeferencer.defaultState,
+                    transformation: state.transformation,
+                    file: file,
+                    image: image,
+                    zoom: Math.min(1, 400 / image.naturalWidth)
+                }));
+            };
+            image.onerror = () => {
+                /* eslint-disable-next-line */
+                alert(LocaleUtils.tr("georeferencer.loadfailed"));
+            };
+            image.src = ev.target.result;
+        };
+        reader.readAsDataURL(file);
+    };
+    imageClicked = (ev) => {
+        const rect = ev.target.getBoundingClientRect();
+        const pixel = [(ev.clientX - rect.left) / this.state.zoom, (ev.clientY - rect.top) / this.state.zoom];
+        if (this.state.selected !== null) {
+            // Move the selected control point
+            this.setState(state => ({
+                controlPoints: state.controlPoints.map((point, idx) => idx === state.selected ? {...point, pixel} : point)
+            }));
+        } else {
+            this.setState(state => ({
+                controlPoints: [...state.controlPoints, {pixel, coordinate: null}],
+                selected: state.controlPoints.length
+            }));
+        }
+    };
+    removeControlPoint = (ev, idx) => {
+        ev.stopPropagation();
+        this.setState(state => ({
+            controlPoints: state.controlPoints.filter((point, i) => i !== idx),
+            selected: null
+        }));
+    };
+    updatePointsLayer = () => {
+        const features = this.state.controlPoints.filter(point => point.coordinate).map(point => ({
+            type: "Feature",
+            id: "georeferencer-point-" + this.state.controlPoints.indexOf(point),
+            geometry: {type: "Point", coordinates: point.coordinate},
+            properties: {label: String(this.state.controlPoints.indexOf(point) + 1)},
+            crs: this.props.mapCrs,
+            styleName: "default"
+        }));
+        const layer = {
+            id: POINTS_LAYER_ID,
+            role: LayerRole.MARKER
+        };
+        this.props.addLayerFeatures(layer, features, true);
+    };
+    updateImageLayer = () => {
+        const transform = this.computeTransform();
+        const layer = this.props.layers.find(entry => entry.id === this.state.layerId);
+        if (!transform) {
+            return;
+        }
+        const {canvas, extent} = GeoreferenceUtils.warpImage(this.state.image, transform, this.props.maxImageSize);
+        const url = canvas.toDataURL("image/png");
+        const georeference = {
+            image: this.state.image.src,
+            transformation: this.state.transformation,
+            controlPoints: this.state.controlPoints
+        };
+        if (layer) {
+            // Update all properties at once, so that the image source is only rebuilt once
+            this.props.changeLayerProperties(layer.uuid, {url: url, imageExtent: extent, georeference: georeference});
+        } else {
+            const layerId = "georeferencer-" + uuidv4();
+            this.props.addLayer({
+                id: layerId,
+                type: "image",
+                name: this.state.file.name,
+                title: this.state.file.name.replace(/\.[^/.]+$/, ""),
+                url: url,
+                projection: this.props.mapCrs,
+                imageExtent: extent,
+                role: LayerRole.USERLAYER,
+                georeference: georeference
+            });
+            this.setState({layerId: layerId});
+        }
+    };
+    restoreLayers = () => {
+        // Layers restored from permalinks only store the source image and the control points
+        this.props.layers.filter(layer => layer.type === "image" && layer.georeference && !layer.url && !this.restoringLayers.has(layer.uuid)).forEach(layer => {
+            this.restoringLayers.add(layer.uuid);
+            GeoreferenceUtils.restoreImage(layer.georeference, this.props.maxImageSize, (result) => {
+                this.restoringLayers.delete(layer.uuid);
+                if (result) {
+                    this.props.changeLayerProperties(layer.uuid, result);
+                } else {
+                    /* eslint-disable-next-line */
+                    console.warn("Failed to restore georeferenced image " + layer.name);
+                    this.props.removeLayer(layer.id);
+                }
+            });
+        });
+    };
+    export = (transform) => {
+        const filename = this.state.file.name;
+        const basename = filename.replace(/\.[^/.]+$/, "");
+        const zip = new JSZip();
+        if (transform.affine) {
+            // Linear transformations can be expressed by a world file, export the original image
+            zip.file(filename, this.state.file);
+            zip.file(basename + "." + GeoreferenceUtils.worldFileExtension(filename), GeoreferenceUtils.worldFile(transform.affine));
+            zip.generateAsync({type: "blob"}).then(blob => FileSaver.saveAs(blob, basename + ".zip"));
+        } else {
+            // Export the warped image, which is axis aligned
+            const {canvas, extent} = GeoreferenceUtils.warpImage(this.state.image, transform, this.props.maxImageSize);
+            const resX = (extent[2] - extent[0]) / canvas.width;
+            const resY = (extent[3] - extent[1]) / canvas.height;
+            canvas.toBlob(blob => {
+                zip.file(basename + ".png", blob);
+                zip.file(basename + ".pgw", GeoreferenceUtils.worldFile([resX, 0, extent[0], 0, -resY, extent[3]]));
+                zip.generateAsync({type: "blob"}).then(data => FileSaver.saveAs(data, basename + ".zip"));
+            }, "image/png");
+        }
+    };
+    discard = () => {
+        if (this.state.layerId) {
+            this.props.removeLayer(this.state.layerId);
+        }
+        this.setState({controlPoints: [], selected: null, layerId: null});
+    };
+    removeLayers = () => {
+        this.props.removeLayer(POINTS_LAYER_ID);
+    };
+    reset = () => {
+        this.removeLayers();
+        this.setState(Georeferencer.defaultState);
+    };
+    onClose = () => {
+        this.props.setCurrentTask(null);
+    };
+}
+
+export default connect((state) => ({
+    active: state.task.id === "Georeferencer",
+    click: state.map.click,
+    layers: state.layers.flat,
+    mapCrs: state.map.projection
+}), {
+    addLayer: addLayer,
+    addLayerFeatures: addLayerFeatures,
+    changeLayerProperties: changeLayerProperties,
+    removeLayer: removeLayer,
+    setCurrentTask: setCurrentTask
+})(Georeferencer);
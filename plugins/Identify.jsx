@@ -36,6 +36,8 @@ import './style/Identify.css';
  *
  * Extendable in combination with the `qwc-feature-info-service`, which provides support
  * for customized queries and templates for the result presentation.
+ *
+ * Features of vector tile layers with `queryable: true` are identified client-side, grouped by their source layer.
  */
 class Identify extends React.Component {
     static propTypes = {
@@ -54,7 +56,7 @@ class Identify extends React.Component {
         customExporters: PropTypes.array,
         /** Whether to display a tree overview of results (as opposed to a flat list of results). */
         displayResultTree: PropTypes.bool,
-        /** Whether to enable the export functionality. Either `true|false` or a list of single allowed formats (builtin formats: `json`, `geojson`, `csv`, `csvzip`) */
+        /** Whether to enable the export functionality. Either `true|false` or a list of single allowed formats (builtin formats: `json`, `geojson`, `csv`, `csvzip`, `gpkg`) */
         enableExport: PropTypes.oneOfType([PropTypes.bool, PropTypes.array]),
         /** Whether to clear the task when the results window is closed. */
         exitTaskOnResultsClose: PropTypes.bool,
@@ -160,15 +162,30 @@ class Identify extends React.Component {
                     });
                 });
 
+                IdentifyUtils.getArcGISQueryLayers(this.props.layers).forEach(l => {
+                    const request = IdentifyUtils.buildArcGISRequest(l, clickPoint, this.props.map);
+                    ++pendingRequests;
+                    IdentifyUtils.sendRequest(request, (response) => {
+                        this.setState((state2) => ({pendingRequests: state2.pendingRequests - 1}));
+                        if (response) {
+                            this.parseResult(response, l, "arcgis", clickPoint);
+                        }
+                    });
+                });
+
+                Object.assign(identifyResults, IdentifyUtils.identifyCOGLayers(this.props.layers, clickPoint, this.props.map.projection));
+                Object.assign(identifyResults, IdentifyUtils.identifyVectorTileFeatures(this.props.layers, this.props.click.features || [], this.props.map.projection));
+
                 if (!isEmpty(this.props.click.features)) {
                     this.props.click.features.forEach((feature) => {
                         const layer = this.props.layers.find(l => l.id === feature.layerId);
-                        if (layer && layer.role === LayerRole.USERLAYER && !isEmpty(feature.properties)) {
+                        if (layer && layer.role === LayerRole.USERLAYER && layer.type !== "mvt" && !isEmpty(feature.properties)) {
                             if (!identifyResults[layer.name]) {
                                 identifyResults[layer.name] = [];
                             }
                             const queryFeature = {...feature};
-                            queryFeature.crs = layer.projection;
+                            // Features of rendered vector layers are in the map projection
+                            queryFeature.crs = this.props.map.projection;
                             queryFeature.displayname = queryFeature.properties.name || queryFeature.properties.Name || queryFeature.properties.NAME || queryFeature.properties.label || queryFeature.properties.id || queryFeature.id;
                             queryFeature.layertitle = layer.title || layer.name || layer.id;
                             queryFeature.properties = Object.entries(queryFeature.properties).reduce((res, [key, val]) => ({
@@ -16,17 +16,23 @@ import isEmpty from 'lodash.isempty';
 import PropTypes from 'prop-types';
 
 import {setActiveLayerInfo} from '../actions/layerinfo';
-import {LayerRole, changeLayerProperty, removeLayer, reorderLayer, setSwipe, addLayerSeparator} from '../actions/layers';
+import {LayerRole, addLayer, changeLayerProperty, removeLayer, reorderLayer, setSwipe, addLayerSeparator} from '../actions/layers';
 import {toggleMapTips, zoomToExtent} from '../actions/map';
 import {setActiveServiceInfo} from '../actions/serviceinfo';
 import Icon from '../components/Icon';
 import ImportLayer from '../components/ImportLayer';
 import LayerInfoWindow from '../components/LayerInfoWindow';
+import RuleLegend from '../components/RuleLegend';
 import ServiceInfoWindow from '../components/ServiceInfoWindow';
 import SideBar from '../components/SideBar';
 import Spinner from '../components/Spinner';
+import VectorStyleEditor from '../components/VectorStyleEditor';
+import {getFeatureSource} from '../components/map/layers/VectorLayer';
+import NumberInput from '../components/widgets/NumberInput';
 import {Image} from '../components/widgets/Primitives';
+import ToggleSwitch from '../components/widgets/ToggleSwitch';
 import ConfigUtils from '../utils/ConfigUtils';
+import {DEFAULT_CLUSTER_DISTANCE, computeHeatmapStyle} from '../utils/FeatureStyles';
 import LayerUtils from '../utils/LayerUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MapUtils from '../utils/MapUtils';
@@ -35,6 +41,15 @@ import VectorLayerUtils from '../utils/VectorLayerUtils';
 
 import './style/LayerTree.css';
 
+const GRID_LAYER_ID = "layertree-grid";
+
+const GRID_TITLES = {
+    graticule: LocaleUtils.trmsg("layertree.grids.graticule"),
+    projected: LocaleUtils.trmsg("layertree.grids.projected"),
+    utm: LocaleUtils.trmsg("layertree.grids.utm"),
+    mgrs100k: LocaleUtils.trmsg("layertree.grids.mgrs100k"),
+    mgrs1k: LocaleUtils.trmsg("layertree.grids.mgrs1k")
+};
 
 /**
  * Displays the map layer tree in a sidebar.
@@ -44,6 +59,7 @@ import './style/LayerTree.css';
  */
 class LayerTree extends React.Component {
     static propTypes = {
+        addLayer: PropTypes.func,
         /** Whether to allow adding separator entries in the layer tree, useful for organizing the tree. */
         addLayerSeparator: PropTypes.func,
         /** Whether to enable the compare function. Requires the `MapCompare` plugin. */
@@ -71,10 +87,21 @@ class LayerTree extends React.Component {
         flattenGroups: PropTypes.bool,
         /** Whether to display unchecked layers gray in the layertree. */
         grayUnchecked: PropTypes.bool,
+        /** The map grids which can be added from the layertree. Each entry is a grid configuration, see `GridUtils.computeGrid`, with an optional `title`. The grids are also rendered in the `Print` and `MapExport` outputs. */
+        grids: PropTypes.arrayOf(PropTypes.shape({
+            type: PropTypes.string,
+            title: PropTypes.string,
+            crs: PropTypes.string,
+            intervals: PropTypes.array,
+            labelFormat: PropTypes.string,
+            style: PropTypes.object
+        })),
         /** Whether toggling a group also toggles all sublayers. */
         groupTogglesSublayers: PropTypes.bool,
         /** Whether to display the layer info button inside the layer settings menu rather than next to the layer title. */
         infoInSettings: PropTypes.bool,
+        /** Whether to display the legend of QGIS Server theme layers as list of symbols, with checkboxes to toggle the individual rules of rule-based and classified renderers. */
+        interactiveLegend: PropTypes.bool,
         /** Default layer info window geometry with size, position and docking status. */
         layerInfoGeometry: PropTypes.shape({
             initialWidth: PropTypes.number,
@@ -127,6 +154,8 @@ class LayerTree extends React.Component {
         allowSelectIdentifyableLayers: false,
         groupTogglesSublayers: false,
         grayUnchecked: true,
+        grids: [],
+        interactiveLegend: false,
         layerInfoGeometry: {
             initialWidth: 480,
             initialHeight: 480,
@@ -149,6 +178,7 @@ class LayerTree extends React.Component {
     state = {
         activemenu: null,
         activestylemenu: null,
+        activelegend: null,
         legendTooltip: null,
         sidebarwidth: null,
         importvisible: false,
@@ -250,6 +280,7 @@ class LayerTree extends React.Component {
                     {allowRemove ? (<Icon className="layertree-item-remove" icon="trash" onClick={() => this.props.removeLayer(layer.id, path)}/>) : null}
                 </div>
                 {this.state.activemenu === group.uuid ? this.renderOptionsMenu(layer, group, path, allowRemove) : null}
+                {this.state.activemenu === group.uuid ? this.renderLayerSettings(layer, group, path, allowRemove) : null}
                 <Sortable onChange={this.onSortChange} options={{disabled: sortable === false, ghostClass: 'drop-ghost', delay: 200, forceFallback: this.props.fallbackDrag}}>
                     {sublayersContent}
                 </Sortable>
@@ -277,6 +308,10 @@ class LayerTree extends React.Component {
             "layertree-item-menubutton": true,
             "layertree-item-menubutton-active": this.state.activestylemenu === sublayer.uuid
         });
+        const legendClasses = classnames({
+            "layertree-item-menubutton": true,
+            "layertree-item-menubutton-active": this.state.activelegend === sublayer.uuid
+        });
         const itemclasses = {
             "layertree-item": true,
             "layertree-item-disabled": layer.type !== "separator" && ((!this.props.groupTogglesSublayers && !enabled) || (this.props.grayUnchecked && !sublayer.visibility)),
@@ -284,7 +319,7 @@ class LayerTree extends React.Component {
             "layertree-item-outsidescalerange": (sublayer.minScale !== undefined && this.props.mapScale < sublayer.minScale) || (sublayer.maxScale !== undefined && this.props.mapScale > sublayer.maxScale)
         };
         let infoButton = null;
-        if (layer.type === "wms" || layer.type === "wfs" || layer.type === "wmts") {
+        if (["wms", "wfs", "wmts", "ogcapifeatures", "arcgismapserver", "arcgisfeatureserver"].includes(layer.type)) {
             infoButton = (<Icon className="layertree-item-metadata" icon="info-sign" onClick={() => this.props.setActiveLayerInfo(layer, sublayer)}/>);
         }
         let legendicon = null;
@@ -296,6 +331,10 @@ class LayerTree extends React.Component {
                 legendicon = (<span className="layertree-item-legend-coloricon" style={{backgroundColor: layer.color}} />);
             }
         }
+        let legendJsonUrl = "";
+        if (this.props.interactiveLegend) {
+            legendJsonUrl = LayerUtils.getLegendJsonUrl(layer, sublayer, this.props.mapScale, this.props.map, this.props.bboxDependentLegend, this.props.scaleDependentLegend, this.props.extraLegendParameters);
+        }
         let checkbox = null;
         if (layer.type === "placeholder") {
             checkbox = (<Spinner />);
@@ -334,16 +373,34 @@ class LayerTree extends React.Component {
                     {sublayer.name in (this.props.filter.filterParams || {}) || this.props.filter.filterGeom ? (<Icon icon="filter" />) : null}
                     {this.props.loadingLayers.includes(layer.id) ? (<Spinner />) : null}
                     <span className="layertree-item-spacer" />
+                    {layer.live ? this.renderLiveStatus(layer) : null}
                     {allowOptions && !this.props.infoInSettings ? infoButton : null}
+                    {legendJsonUrl ? (<Icon className={legendClasses} icon="list-alt" onClick={() => this.layerLegendToggled(sublayer.uuid)} titlemsgid={LocaleUtils.trmsg("layertree.legend")} />) : null}
                     {Object.keys(sublayer.styles || {}).length > 1 ? (<Icon className={styleMenuClasses} icon="paint" onClick={() => this.layerStyleMenuToggled(sublayer.uuid)}/>) : null}
                     {allowOptions ? (<Icon className={optMenuClasses} icon="cog" onClick={() => this.layerMenuToggled(sublayer.uuid)}/>) : null}
                     {allowRemove ? (<Icon className="layertree-item-remove" icon="trash" onClick={() => this.props.removeLayer(layer.id, path)}/>) : null}
                 </div>
                 {this.state.activemenu === sublayer.uuid ? this.renderOptionsMenu(layer, sublayer, path, allowRemove) : null}
+                {this.state.activemenu === sublayer.uuid ? this.renderLayerSettings(layer, sublayer, path, allowRemove) : null}
                 {this.state.activestylemenu === sublayer.uuid ? this.renderStyleMenu(layer, sublayer, path, allowOptions + allowRemove) : null}
+                {legendJsonUrl && this.state.activelegend === sublayer.uuid ? (
+                    <div className="layertree-item-legend" style={{marginRight: ((allowOptions + allowRemove) * 1.75) + 'em'}}>
+                        <RuleLegend hiddenRules={sublayer.hiddenRules} legendUrl={legendJsonUrl} onChange={hiddenRules => this.props.changeLayerProperty(layer.uuid, "hiddenRules", hiddenRules, path)} />
+                    </div>
+                ) : null}
             </div>
         );
     };
+    renderLiveStatus = (layer) => {
+        const updated = layer.liveUpdated ? new Date(layer.liveUpdated).toLocaleTimeString(LocaleUtils.lang()) : "--:--:--";
+        return [(
+            <span className="layertree-item-live" key="liveupdated" title={LocaleUtils.tr("layertree.liveupdated")}>{updated}</span>
+        ), (
+            <Icon icon={layer.livePaused ? "triangle-right" : "square"} key="livetoggle"
+                onClick={() => this.props.changeLayerProperty(layer.uuid, "livePaused", !layer.livePaused)}
+                title={layer.livePaused ? LocaleUtils.tr("layertree.liveresume") : LocaleUtils.tr("layertree.livepause")} />
+        )];
+    };
     renderOptionsMenu = (layer, sublayer, path, marginRight = 0) => {
         const allowReordering = ConfigUtils.getConfigProp("allowReorderingLayers", this.props.theme) === true;
         let reorderButtons = null;
@@ -362,7 +419,7 @@ class LayerTree extends React.Component {
             );
         }
         let infoButton = null;
-        if (layer.type === "wms" || layer.type === "wfs" || layer.type === "wmts") {
+        if (["wms", "wfs", "wmts", "ogcapifeatures", "arcgismapserver", "arcgisfeatureserver"].includes(layer.type)) {
             infoButton = (<Icon className="layertree-item-metadata" icon="info-sign" onClick={() => this.props.setActiveLayerInfo(layer, sublayer)}/>);
         }
         return (
@@ -378,6 +435,166 @@ class LayerTree extends React.Component {
             </div>
         );
     };
+    renderLayerSettings = (layer, sublayer, path, marginRight = 0) => {
+        const settings = [];
+        if (layer.type === "vector" && layer.role === LayerRole.USERLAYER && !layer.heatmap && sublayer === layer) {
+            settings.push(
+                <VectorStyleEditor key="vectorstyle" layer={layer} onChange={vectorStyle => this.props.changeLayerProperty(layer.uuid, "vectorStyle", vectorStyle, [])} />
+            );
+        }
+        if (layer.type === "cog") {
+            settings.push(...this.renderCOGSettings(layer, path));
+        } else if (layer.type === "wfs" || (layer.type === "vector" && (layer.features || []).find(feature => feature.geometry?.type === "Point"))) {
+            settings.push(...this.renderVectorSettings(layer, path));
+        }
+        if (["wms", "wfs"].includes(layer.type)) {
+            settings.push(this.renderRefreshSettings(layer, sublayer, path));
+        }
+        if (isEmpty(settings)) {
+            return null;
+        }
+        return (
+            <div className="layertree-item-settings" onMouseDown={this.preventLayerTreeItemDrag} style={{marginRight: (marginRight * 1.75) + 'em'}}>
+                <table>
+                    <tbody>
+                        {settings}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+    renderCOGSettings = (layer, path) => {
+        const bandOptions = [...Array(layer.bandCount || 1).keys()].map(idx => (
+            <option key={idx + 1} value={idx + 1}>{idx + 1}</option>
+        ));
+        const bands = layer.bands || [1];
+        return [(
+            <tr key="bands">
+                <td>{LocaleUtils.tr("layertree.bands")}:</td>
+                <td>
+                    {layer.bandCount >= 3 ? (
+                        <select onChange={ev => this.props.changeLayerProperty(layer.uuid, "bands", ev.target.value === "rgb" ? [1, 2, 3] : [1], path)} value={bands.length >= 3 ? "rgb" : "single"}>
+                            <option value="single">{LocaleUtils.tr("layertree.singleband")}</option>
+                            <option value="rgb">{LocaleUtils.tr("layertree.rgb")}</option>
+                        </select>
+                    ) : null}
+                    {bands.map((band, idx) => (
+                        <select key={idx} onChange={ev => this.props.changeLayerProperty(layer.uuid, "bands", bands.map((b, i) => i === idx ? parseInt(ev.target.value, 10) : b), path)} value={band}>
+                            {bandOptions}
+                        </select>
+                    ))}
+                </td>
+            </tr>
+        ), (
+            <tr key="stretch">
+                <td>{LocaleUtils.tr("layertree.stretch")}:</td>
+                <td>
+                    <NumberInput decimals={2} onChange={value => this.props.changeLayerProperty(layer.uuid, "min", value ?? 0, path)} value={layer.min} />
+                    &nbsp;-&nbsp;
+                    <NumberInput decimals={2} onChange={value => this.props.changeLayerProperty(layer.uuid, "max", value ?? 255, path)} value={layer.max} />
+                </td>
+            </tr>
+        )];
+    };
+    renderVectorSettings = (layer, path) => {
+        if (layer.heatmap) {
+            return this.renderHeatmapSettings(layer, path);
+        }
+        return [this.renderHeatmapToggle(layer, path), layer.type === "vector" ? (
+            <tr key="cluster">
+                <td>{LocaleUtils.tr("layertree.cluster")}:</td>
+                <td>
+                    <ToggleSwitch active={!!layer.cluster} onChange={active => this.props.changeLayerProperty(layer.uuid, "cluster", active, path)} />
+                </td>
+            </tr>
+        ) : null, layer.type === "vector" && layer.cluster ? (
+            <tr key="clusterdistance">
+                <td>{LocaleUtils.tr("layertree.clusterdistance")}:</td>
+                <td>
+                    <NumberInput decimals={0} min={1} onChange={value => this.props.changeLayerProperty(layer.uuid, "clusterDistance", value ?? DEFAULT_CLUSTER_DISTANCE, path)} value={layer.clusterDistance ?? DEFAULT_CLUSTER_DISTANCE} />
+                    &nbsp;px
+                </td>
+            </tr>
+        ) : null];
+    };
+    renderRefreshSettings = (layer, sublayer, path) => {
+        return (
+            <tr key="refreshinterval">
+                <td>{LocaleUtils.tr("layertree.refreshinterval")}:</td>
+                <td>
+                    <NumberInput decimals={0} min={0} onChange={value => this.props.changeLayerProperty(layer.uuid, "refreshInterval", value || null, path)} placeholder={LocaleUtils.tr("layertree.refreshoff")} value={sublayer.refreshInterval || null} />
+                    &nbsp;s
+                </td>
+            </tr>
+        );
+    };
+    renderHeatmapToggle = (layer, path) => {
+        return (
+            <tr key="heatmap">
+                <td>{LocaleUtils.tr("layertree.heatmap")}:</td>
+                <td>
+                    <ToggleSwitch active={!!layer.heatmap} onChange={active => this.props.changeLayerProperty(layer.uuid, "heatmap", active ? {} : null, path)} />
+                </td>
+            </tr>
+        );
+    };
+    renderHeatmapSettings = (layer, path) => {
+        const heatmapStyle = computeHeatmapStyle(layer.heatmap);
+        const changeHeatmap = (key, value) => this.props.changeLayerProperty(layer.uuid, "heatmap", {...layer.heatmap, [key]: value}, path);
+        return [this.renderHeatmapToggle(layer, path), (
+            <tr key="heatmapweight">
+                <td>{LocaleUtils.tr("layertree.heatmapweight")}:</td>
+                <td>
+                    <select onChange={ev => changeHeatmap("weight", ev.target.value || null)} value={heatmapStyle.weight || ""}>
+                        <option value="">{LocaleUtils.tr("layertree.heatmapnoweight")}</option>
+                        {this.getNumericAttributes(layer).map(attr => (
+                            <option key={attr} value={attr}>{attr}</option>
+                        ))}
+                    </select>
+                </td>
+            </tr>
+        ), (
+            <tr key="heatmapradius">
+                <td>{LocaleUtils.tr("layertree.heatmapradius")}:</td>
+                <td>
+                    <NumberInput decimals={0} min={1} onChange={value => changeHeatmap("radius", value ?? computeHeatmapStyle().radius)} value={heatmapStyle.radius} />
+                    &nbsp;px
+                </td>
+            </tr>
+        ), (
+            <tr key="heatmapblur">
+                <td>{LocaleUtils.tr("layertree.heatmapblur")}:</td>
+                <td>
+                    <NumberInput decimals={0} min={0} onChange={value => changeHeatmap("blur", value ?? computeHeatmapStyle().blur)} value={heatmapStyle.blur} />
+                    &nbsp;px
+                </td>
+            </tr>
+        )];
+    };
+    getNumericAttributes = (layer) => {
+        let features = [];
+        if (layer.features) {
+            features = layer.features.map(feature => feature.properties || {});
+        } else {
+            // Features of remote layers are only available in the map layer, which is a layer group if clustered
+            const nativeLayer = MapUtils.getHook(MapUtils.GET_NATIVE_LAYER)(layer.id);
+            const source = nativeLayer ? getFeatureSource(nativeLayer) : null;
+            features = (source?.getFeatures?.() || []).map(feature => feature.getProperties());
+        }
+        const attributes = new Set();
+        // Inspecting a sample of the features is sufficient to determine the attributes
+        for (const properties of features.slice(0, 1000)) {
+            Object.entries(properties).forEach(([key, value]) => {
+                if (typeof value === "number" || (typeof value === "string" && value !== "" && isFinite(value))) {
+                    attributes.add(key);
+                }
+            });
+        }
+        if (layer.heatmap?.weight) {
+            attributes.add(layer.heatmap.weight);
+        }
+        return [...attributes].sort();
+    };
     renderStyleMenu = (layer, sublayer, path, marginRight = 0) => {
         return (
             <div className="layertree-item-stylemenu" style={{marginRight: (marginRight * 1.75) + 'em'}}>
@@ -447,6 +664,22 @@ class LayerTree extends React.Component {
                 </div>
             );
         }
+        let gridSelector = null;
+        if (!isEmpty(this.props.grids)) {
+            const gridLayer = this.props.layers.find(layer => layer.id === GRID_LAYER_ID);
+            const gridIdx = gridLayer ? this.props.grids.indexOf(gridLayer.grid) : -1;
+            gridSelector = (
+                <div className="layertree-option">
+                    <span>{LocaleUtils.tr("layertree.grid")}:</span>
+                    <select onChange={ev => this.setGrid(this.props.grids[parseInt(ev.target.value, 10)] ?? null)} value={gridIdx}>
+                        <option value={-1}>{LocaleUtils.tr("layertree.nogrid")}</option>
+                        {this.props.grids.map((grid, idx) => (
+                            <option key={idx} value={idx}>{this.gridTitle(grid)}</option>
+                        ))}
+                    </select>
+                </div>
+            );
+        }
         let layerImportExpander = null;
         if (this.props.allowImport) {
             layerImportExpander = (
@@ -486,6 +719,7 @@ class LayerTree extends React.Component {
                     </div>
                     {maptipCheckbox}
                     {compareCheckbox}
+                    {gridSelector}
                     {layerImportExpander}
                     {this.state.importvisible ? (<ImportLayer theme={this.props.theme} />) : null}
                 </div>
@@ -629,10 +863,13 @@ class LayerTree extends React.Component {
         this.props.changeLayerProperty(layer.uuid, "style", value, sublayerpath);
     };
     layerMenuToggled = (sublayeruuid) => {
-        this.setState((state) => ({activemenu: state.activemenu === sublayeruuid ? null : sublayeruuid, activestylemenu: null}));
+        this.setState((state) => ({activemenu: state.activemenu === sublayeruuid ? null : sublayeruuid, activestylemenu: null, activelegend: null}));
     };
     layerStyleMenuToggled = (sublayeruuid) => {
-        this.setState((state) => ({activestylemenu: state.activestylemenu === sublayeruuid ? null : sublayeruuid, activemenu: null}));
+        this.setState((state) => ({activestylemenu: state.activestylemenu === sublayeruuid ? null : sublayeruuid, activemenu: null, activelegend: null}));
+    };
+    layerLegendToggled = (sublayeruuid) => {
+        this.setState((state) => ({activelegend: state.activelegend === sublayeruuid ? null : sublayeruuid, activemenu: null, activestylemenu: null}));
     };
     showLegendTooltip = (ev, request) => {
         this.setState({
@@ -741,6 +978,23 @@ class LayerTree extends React.Component {
             }
         }
     };
+    gridTitle = (grid) => {
+        return grid.title || LocaleUtils.tr(GRID_TITLES[grid.type] || GRID_TITLES.graticule);
+    };
+    setGrid = (grid) => {
+        if (this.props.layers.find(layer => layer.id === GRID_LAYER_ID)) {
+            this.props.removeLayer(GRID_LAYER_ID);
+        }
+        if (grid) {
+            this.props.addLayer({
+                id: GRID_LAYER_ID,
+                type: "graticule",
+                title: this.gridTitle(grid),
+                role: LayerRole.USERLAYER,
+                grid: grid
+            });
+        }
+    };
     exportRedliningLayer = (layer) => {
         const data = JSON.stringify({
             type: "FeatureCollection",
@@ -765,6 +1019,7 @@ const selector = (state) => ({
 });
 
 export default connect(selector, {
+    addLayer: addLayer,
     addLayerSeparator: addLayerSeparator,
     changeLayerProperty: changeLayerProperty,
     removeLayer: removeLayer,
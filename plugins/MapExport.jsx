@@ -92,6 +92,7 @@ class MapExport extends React.Component {
     }
     state = {
         extent: '',
+        bbox: null,
         width: 0,
         height: 0,
         exporting: false,
@@ -119,18 +120,19 @@ class MapExport extends React.Component {
                     const widthm = scale * pageSize.width / 1000;
                     const heightm = scale * pageSize.height / 1000;
                     const {width, height} = MapUtils.transformExtent(mapCrs, center, widthm, heightm);
-                    let extent = [center[0] - 0.5 * width, center[1] - 0.5 * height, center[0] + 0.5 * width, center[1] + 0.5 * height];
-                    extent = (CoordinatesUtils.getAxisOrder(mapCrs).substr(0, 2) === 'ne' && this.props.theme.version === '1.3.0') ?
-                        extent[1] + "," + extent[0] + "," + extent[3] + "," + extent[2] :
-                        extent.join(',');
+                    const bbox = [center[0] - 0.5 * width, center[1] - 0.5 * height, center[0] + 0.5 * width, center[1] + 0.5 * height];
+                    const extent = (CoordinatesUtils.getAxisOrder(mapCrs).substr(0, 2) === 'ne' && this.props.theme.version === '1.3.0') ?
+                        bbox[1] + "," + bbox[0] + "," + bbox[3] + "," + bbox[2] :
+                        bbox.join(',');
                     return {
                         width: Math.round(pageSize.width / 1000 * 39.3701 * state.dpi),
                         height: Math.round(pageSize.height / 1000 * 39.3701 * state.dpi),
-                        extent: extent
+                        extent: extent,
+                        bbox: bbox
                     };
                 });
             } else if (prevState.pageSize !== null) {
-                this.setState({width: '', height: '', extent: ''});
+                this.setState({width: '', height: '', extent: '', bbox: null});
             }
         }
     }
@@ -184,7 +186,7 @@ class MapExport extends React.Component {
         }
         const selectedFormatConfiguration = formatConfiguration.find(entry => entry.name === this.state.selectedFormatConfiguration) || {};
         const exportParams = LayerUtils.collectPrintParams(this.props.layers, this.props.theme, this.state.scale, this.props.map.projection, exportExternalLayers, !!selectedFormatConfiguration.baseLayer);
-        const highlightParams = VectorLayerUtils.createPrintHighlighParams(this.props.layers, this.props.map.projection, this.state.scale, this.state.dpi);
+        const highlightParams = VectorLayerUtils.createPrintHighlighParams(this.props.layers, this.props.map.projection, this.getExportScale(this.state) || mapScale, this.state.dpi, 1.0, this.state.bbox);
 
         return (
             <div className="mapexport-body">
@@ -343,6 +345,7 @@ class MapExport extends React.Component {
     onHide = () => {
         this.setState({
             extent: '',
+            bbox: null,
             width: '',
             height: ''
         });
@@ -364,6 +367,7 @@ class MapExport extends React.Component {
         }
         this.setState({
             extent: extent,
+            bbox: bbox,
             width: pixelsize[0],
             height: pixelsize[1]
         });
@@ -19,6 +19,7 @@ import CopyButton from '../components/widgets/CopyButton';
 import displayCrsSelector from '../selectors/displaycrs';
 import ConfigUtils from '../utils/ConfigUtils';
 import CoordinatesUtils from '../utils/CoordinatesUtils';
+import IdentifyUtils from '../utils/IdentifyUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MapUtils from '../utils/MapUtils';
 
@@ -33,6 +34,8 @@ import './style/MapInfoTooltip.css';
  * If `elevationServiceUrl` in `config.json` to points to a `qwc-elevation-service`,
  * the height at the picked position is also displayed.
  *
+ * The pixel values of visible cloud optimized GeoTIFF layers at the picked position are also displayed.
+ *
  * If `mapInfoService` in `config.json` points to a `qwc-mapinfo-service`, additional
  * custom information according to the `qwc-mapinfo-service` configuration is returned.
  *
@@ -62,6 +65,7 @@ class MapInfoTooltip extends React.Component {
         elevationPrecision: PropTypes.number,
         enabled: PropTypes.bool,
         includeWGS84: PropTypes.bool,
+        layers: PropTypes.array,
         map: PropTypes.object,
         /** Additional plugin components for the map info tooltip. */
         plugins: PropTypes.array,
@@ -75,7 +79,7 @@ class MapInfoTooltip extends React.Component {
         plugins: []
     };
     state = {
-        point: null, elevation: null, extraInfo: null
+        point: null, elevation: null, extraInfo: null, pixelValues: null
     };
     componentDidUpdate(prevProps) {
         if (!this.props.enabled && this.state.point) {
@@ -90,7 +94,11 @@ class MapInfoTooltip extends React.Component {
         } else {
             const oldPoint = prevProps.map.click;
             if (!oldPoint || oldPoint.pixel[0] !== newPoint.pixel[0] || oldPoint.pixel[1] !== newPoint.pixel[1]) {
-                this.setState({point: newPoint, elevation: null});
+                this.setState({
+                    point: newPoint,
+                    elevation: null,
+                    pixelValues: IdentifyUtils.identifyCOGLayers(this.props.layers, newPoint.coordinate, this.props.map.projection)
+                });
                 const serviceParams = {pos: newPoint.coordinate.join(","), crs: this.props.map.projection};
                 const elevationService = (ConfigUtils.getConfigProp("elevationServiceUrl") || "").replace(/\/$/, '');
                 const elevationPrecision = prevProps.elevationPrecision;
@@ -109,7 +117,7 @@ class MapInfoTooltip extends React.Component {
         }
     }
     clear = () => {
-        this.setState({point: null, height: null, extraInfo: null});
+        this.setState({point: null, height: null, extraInfo: null, pixelValues: null});
     };
     render() {
         if (!this.state.point) {
@@ -141,6 +149,12 @@ class MapInfoTooltip extends React.Component {
             ]);
         }
 
+        Object.values(this.state.pixelValues || {}).forEach(results => {
+            results.forEach(result => {
+                info.push([result.layertitle, Object.values(result.properties).join(", ")]);
+            });
+        });
+
         if (this.state.extraInfo) {
             info.push(...this.state.extraInfo);
         }
@@ -213,6 +227,7 @@ class MapInfoTooltip extends React.Component {
 export default (plugins) => {
     return connect(createSelector([state => state, displayCrsSelector], (state, displaycrs) => ({
         enabled: state.identify.tool !== null,
+        layers: state.layers.flat,
         map: state.map,
         displaycrs: displaycrs,
         plugins: plugins
@@ -12,12 +12,16 @@ import {connect} from 'react-redux';
 import isEmpty from 'lodash.isempty';
 import PropTypes from 'prop-types';
 
+import {changeLayerProperty} from '../actions/layers';
 import {setCurrentTask} from '../actions/task';
 import ResizeableWindow from '../components/ResizeableWindow';
+import RuleLegend from '../components/RuleLegend';
 import {Image} from '../components/widgets/Primitives';
+import {computeHeatmapStyle} from '../utils/FeatureStyles';
 import LayerUtils from '../utils/LayerUtils';
 import LocaleUtils from '../utils/LocaleUtils';
 import MapUtils from '../utils/MapUtils';
+import VectorStyleUtils from '../utils/VectorStyleUtils';
 
 import './style/MapLegend.css';
 
@@ -37,6 +41,7 @@ class MapLegend extends React.Component {
         addLayerTitles: PropTypes.bool,
         /** Whether to display a BBOX-dependent legend by default. */
         bboxDependentLegend: PropTypes.bool,
+        changeLayerProperty: PropTypes.func,
         /** Extra parameters to add to the GetLegendGraphics request. */
         extraLegendParameters: PropTypes.string,
         /** Default window geometry with size, position and docking status. Positive position values (including '0') are related to top (InitialY) and left (InitialX), negative values (including '-0') to bottom (InitialY) and right (InitialX). */
@@ -48,6 +53,8 @@ class MapLegend extends React.Component {
             initiallyDocked: PropTypes.bool,
             side: PropTypes.string
         }),
+        /** Whether to list the symbols of QGIS Server layers, with a checkbox per rule to toggle its visibility, instead of the legend image. */
+        interactiveLegend: PropTypes.bool,
         layers: PropTypes.array,
         map: PropTypes.object,
         /** Whether to only include enabled layers in the legend by default. */
@@ -60,6 +67,7 @@ class MapLegend extends React.Component {
         addGroupTitles: false,
         addLayerTitles: false,
         bboxDependentLegend: false,
+        interactiveLegend: false,
         onlyVisibleLegend: false,
         scaleDependentLegend: false,
         geometry: {
@@ -112,6 +120,10 @@ class MapLegend extends React.Component {
                     {this.props.layers.map(layer => {
                         if (this.state.onlyVisibleLegend && !layer.visibility) {
                             return null;
+                        } else if (layer.heatmap) {
+                            return this.printHeatmapLegend(layer);
+                        } else if (layer.vectorStyle) {
+                            return this.printVectorStyleLegend(layer);
                         } else if (layer.legendUrl) {
                             return this.printLayerLegend(layer, layer, mapScale);
                         } else if (layer.color) {
@@ -132,11 +144,57 @@ class MapLegend extends React.Component {
     onClose = () => {
         this.setState({visible: false});
     };
-    printLayerLegend = (layer, sublayer, mapScale) => {
+    printHeatmapLegend = (layer) => {
+        const heatmapStyle = computeHeatmapStyle(layer.heatmap);
+        return (
+            <div className="map-legend-legend-entry" key={layer.name}>
+                <div className="map-legend-heatmap">
+                    <div className="map-legend-entry-title">{layer.title || layer.name}{heatmapStyle.weight ? " (" + heatmapStyle.weight + ")" : ""}</div>
+                    <div className="map-legend-heatmap-ramp" style={{background: "linear-gradient(to right, " + heatmapStyle.gradient.join(", ") + ")"}} />
+                    <div className="map-legend-heatmap-labels">
+                        <span>{LocaleUtils.tr("maplegend.heatmaplow")}</span>
+                        <span>{LocaleUtils.tr("maplegend.heatmaphigh")}</span>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+    printVectorStyleLegend = (layer) => {
+        const style = layer.vectorStyle;
+        const symbol = {...VectorStyleUtils.DEFAULT_SYMBOL, ...style.symbol};
+        const colorBox = (color) => (
+            <span className="map-legend-color-box" style={{backgroundColor: this.cssColor(color), borderColor: this.cssColor(symbol.strokeColor)}} />
+        );
+        if (style.renderer === "categorized" || style.renderer === "graduated") {
+            return (
+                <div className="map-legend-legend-entry" key={layer.name}>
+                    <div>
+                        <div className="map-legend-entry-title">{layer.title || layer.name}{style.attribute ? " (" + style.attribute + ")" : ""}</div>
+                        {(style.classes || []).map((entry, idx) => (
+                            <div className="map-legend-class" key={idx}>
+                                {colorBox(entry.color)}
+                                <span className="map-legend-entry-title">{entry.label}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            );
+        }
+        return (
+            <div className="map-legend-legend-entry" key={layer.name}>
+                {colorBox(symbol.fillColor)}
+                <span className="map-legend-entry-title">{layer.title || layer.name}</span>
+            </div>
+        );
+    };
+    cssColor = (color) => {
+        return Array.isArray(color) ? "rgba(" + color.join(",") + ")" : color;
+    };
+    printLayerLegend = (layer, sublayer, mapScale, path = []) => {
         const isCategorized = (sublayer.sublayers || []).find(entry => entry.category_sublayer === true);
         if (sublayer.sublayers && !isCategorized && (!this.state.onlyVisibleLegend || sublayer.visibility)) {
             if (this.props.addGroupTitles) {
-                const children = sublayer.sublayers.map(subsublayer => this.printLayerLegend(layer, subsublayer, mapScale)).filter(x => x);
+                const children = sublayer.sublayers.map((subsublayer, idx) => this.printLayerLegend(layer, subsublayer, mapScale, [...path, idx])).filter(x => x);
                 if (isEmpty(children)) {
                     return null;
                 } else {
@@ -144,13 +202,13 @@ class MapLegend extends React.Component {
                         <div className="map-legend-group" key={sublayer.name}>
                             <div className="map-legend-group-title">{sublayer.title || sublayer.name}</div>
                             <div className="map-legend-group-entries">
-                                {sublayer.sublayers.map(subsublayer => this.printLayerLegend(layer, subsublayer, mapScale))}
+                                {children}
                             </div>
                         </div>
                     );
                 }
             } else {
-                return sublayer.sublayers.map(subsublayer => this.printLayerLegend(layer, subsublayer, mapScale));
+                return sublayer.sublayers.map((subsublayer, idx) => this.printLayerLegend(layer, subsublayer, mapScale, [...path, idx]));
             }
         } else {
             if (this.state.onlyVisibleLegend && !sublayer.visibility) {
@@ -159,6 +217,17 @@ class MapLegend extends React.Component {
             if ((this.state.onlyVisibleLegend || this.state.scaleDependentLegend) && !LayerUtils.layerScaleInRange(sublayer, mapScale)) {
                 return null;
             }
+            const legendJsonUrl = this.props.interactiveLegend ? LayerUtils.getLegendJsonUrl(layer, sublayer, mapScale, this.props.map, this.state.bboxDependentLegend, this.state.scaleDependentLegend, this.props.extraLegendParameters) : "";
+            if (legendJsonUrl) {
+                return (
+                    <div className="map-legend-legend-entry" key={sublayer.name}>
+                        <div>
+                            {this.props.addLayerTitles ? (<div className="map-legend-entry-title">{sublayer.title || sublayer.name}</div>) : null}
+                            <RuleLegend hiddenRules={sublayer.hiddenRules} legendUrl={legendJsonUrl} onChange={hiddenRules => this.props.changeLayerProperty(layer.uuid, "hiddenRules", hiddenRules, path)} />
+                        </div>
+                    </div>
+                );
+            }
             const request = LayerUtils.getLegendUrl(layer, {name: sublayer.name}, mapScale, this.props.map, this.state.bboxDependentLegend, this.state.scaleDependentLegend, this.props.extraLegendParameters);
             return request ? (
                 <div className="map-legend-legend-entry" key={sublayer.name}>
@@ -176,5 +245,6 @@ export default connect(state => ({
     layers: state.layers.flat,
     map: state.map
 }), {
+    changeLayerProperty: changeLayerProperty,
     setCurrentTask: setCurrentTask
 })(MapLegend);
@@ -11,6 +11,7 @@ import {connect} from 'react-redux';
 
 import htmlReactParser, {domToReact} from 'html-react-parser';
 import isEmpty from 'lodash.isempty';
+import ol from 'openlayers';
 import PropTypes from 'prop-types';
 import {v1 as uuidv1} from 'uuid';
 
@@ -18,15 +19,33 @@ import {LayerRole, addLayerFeatures, removeLayer} from '../actions/layers';
 import {openExternalUrl} from '../actions/task';
 import ConfigUtils from '../utils/ConfigUtils';
 import IdentifyUtils from '../utils/IdentifyUtils';
+import MapUtils from '../utils/MapUtils';
+import MiscUtils from '../utils/MiscUtils';
+import ResourceRegistry from '../utils/ResourceRegistry';
 
 import './style/MapTip.css';
 
+function vectorTileMapTip(layer, properties) {
+    const templates = layer.mapTipTemplates;
+    const template = typeof templates === "string" ? templates : (templates || {})[properties.layer];
+    if (!template) {
+        return null;
+    }
+    return template.replace(/{([^}]+)}/g, (match, key) => MiscUtils.htmlEncode(String(properties[key] ?? "")));
+}
+
 /**
  * Displays maptips by hovering over features on the map.
  *
  * Queries the map tips configured in the QGIS layer properites over GetFeatureInfo.
  *
  * The map tip needs to be configured in QGIS Layer Properties &rarr; Display.
+ *
+ * For features of local vector layers, i.e. imported files, the `maptip` feature property is displayed,
+ * or the `thumbnail` image of imported photos.
+ *
+ * For features of vector tile layers, the `mapTipTemplates` of the layer are displayed. These are HTML templates
+ * with `{<attribute>}` placeholders, either a single template or an object of templates by source layer name.
  */
 class MapTip extends React.Component {
     static propTypes = {
@@ -96,11 +115,16 @@ class MapTip extends React.Component {
             with_maptip: true,
             with_htmlcontent: false
         };
+        const local = this.queryLocalMapTips(pos);
         const layer = this.props.layers.find(l => l.role === LayerRole.THEME);
         let queryLayers = this.props.layers.reduce((accum, l) => {
             return l.role === LayerRole.THEME ? accum.concat(l.queryLayers) : accum;
         }, []).join(",");
         if (!layer || !queryLayers) {
+            if (!isEmpty(local.mapTips)) {
+                this.showFeatureSelection(local.features);
+                this.setState({pos: pos, maptips: local.mapTips});
+            }
             return;
         }
         if (!ConfigUtils.getConfigProp("allowReorderingLayers", this.props.theme) && layer.drawingOrder) {
@@ -125,17 +149,52 @@ class MapTip extends React.Component {
                         }
                     }
                 }
-                if (this.props.showFeatureSelection && !isEmpty(features)) {
-                    const sellayer = {
-                        id: "maptipselection",
-                        role: LayerRole.SELECTION
-                    };
-                    this.props.addLayerFeatures(sellayer, features, true);
-                }
-                this.setState({pos: pos, maptips: mapTips, reqId: null});
+                this.showFeatureSelection([...local.features, ...features]);
+                this.setState({pos: pos, maptips: [...local.mapTips, ...mapTips], reqId: null});
             }
         });
     };
+    showFeatureSelection = (features) => {
+        if (this.props.showFeatureSelection && !isEmpty(features)) {
+            const sellayer = {
+                id: "maptipselection",
+                role: LayerRole.SELECTION
+            };
+            this.props.addLayerFeatures(sellayer, features, true);
+        }
+    };
+    queryLocalMapTips = (pos) => {
+        const map = MapUtils.getHook(MapUtils.GET_MAP);
+        const mapTips = [];
+        const features = [];
+        if (!map) {
+            return {mapTips, features};
+        }
+        const format = new ol.format.GeoJSON();
+        map.forEachFeatureAtPixel(pos, (feature, olLayer) => {
+            const layer = olLayer ? this.props.layers.find(l => l.id === olLayer.get('id')) : null;
+            if (mapTips.length >= this.props.layerFeatureCount) {
+                return;
+            }
+            if (layer?.type === "mvt") {
+                const mapTip = vectorTileMapTip(layer, feature.getProperties());
+                if (mapTip) {
+                    mapTips.push(mapTip);
+                    features.push({...format.writeFeatureObject(ol.render.toFeature(feature)), crs: this.props.map.projection});
+                }
+                return;
+            } else if (layer?.role !== LayerRole.USERLAYER) {
+                return;
+            }
+            if (feature.get('maptip')) {
+                mapTips.push(feature.get('maptip'));
+            } else if (ResourceRegistry.getResource(feature.get('thumbnail'))) {
+                const name = MiscUtils.htmlEncode(String(feature.get('name') || ""));
+                mapTips.push('<img class="maptip-thumbnail" src="' + ResourceRegistry.getResource(feature.get('thumbnail')) + '" /><br />' + name);
+            }
+        }, {hitTolerance: 4});
+        return {mapTips, features};
+    };
     render() {
         if (!isEmpty(this.state.maptips) && this.state.pos) {
             // Render off-screen first to measure dimensions, then place as necessary
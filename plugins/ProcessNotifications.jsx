@@ -21,7 +21,8 @@ import './style/ProcessNotifications.css';
 /**
  * Adds support for displaying notifications of background processes.
  *
- * Only useful for third-party plugins which use this functionality.
+ * Used to report the progress of importing files dropped onto the map, and by third-party plugins which use this functionality.
+ * The progress of a running process can be reported with the `processProgress` action.
  */
 class ProcessNotifications extends React.Component {
     static propTypes = {
@@ -64,6 +65,9 @@ class ProcessNotifications extends React.Component {
                 <div className="process-notification-head">
                     {icon}
                     <span className="process-notification-label">{process.name}</span>
+                    {process.status === ProcessStatus.BUSY && process.progress !== undefined ? (
+                        <span className="process-notification-progress">{Math.round(process.progress * 100) + "%"}</span>
+                    ) : null}
                     {close ? (<Icon icon="remove" onClick={() => this.props.clearProcess(process.id)} />) : null}
                 </div>
                 {process.message ? (
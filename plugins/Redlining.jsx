@@ -12,7 +12,6 @@ import {connect} from 'react-redux';
 
 import FileSaver from 'file-saver';
 import Mousetrap from 'mousetrap';
-import ol from 'openlayers';
 import PropTypes from 'prop-types';
 
 import {LayerRole, addLayer} from '../actions/layers';
@@ -26,8 +25,9 @@ import ComboBox from '../components/widgets/ComboBox';
 import MenuButton from '../components/widgets/MenuButton';
 import VectorLayerPicker from '../components/widgets/VectorLayerPicker';
 import {END_MARKERS} from '../utils/FeatureStyles';
+import GeoPackageUtils from '../utils/GeoPackageUtils';
+import KMLUtils from '../utils/KMLUtils';
 import LocaleUtils from '../utils/LocaleUtils';
-import MapUtils from '../utils/MapUtils';
 import VectorLayerUtils from '../utils/VectorLayerUtils';
 
 import './style/Redlining.css';
@@ -73,8 +73,9 @@ class Redlining extends React.Component {
         if (prevProps.redlining.geomType !== this.props.redlining.geomType && this.props.redlining.geomType === 'Text' && !this.state.selectText) {
             this.setState({selectText: true});
         }
-        if (!this.props.layers.find(layer => layer.id === this.props.redlining.layer)) {
-            const vectorLayers = this.props.layers.filter(layer => layer.type === "vector" && layer.role === LayerRole.USERLAYER && !layer.readonly);
+        // Clustered layers cannot be edited
+        if (!this.props.layers.find(layer => layer.id === this.props.redlining.layer && !layer.cluster && !layer.heatmap)) {
+            const vectorLayers = this.props.layers.filter(layer => layer.type === "vector" && layer.role === LayerRole.USERLAYER && !layer.readonly && !layer.cluster && !layer.heatmap);
             if (vectorLayers.length >= 1) {
                 this.props.changeRedliningState({layer: vectorLayers[0].id, layerTitle: vectorLayers[0].title});
             } else if (this.props.redlining.layer !== 'redlining') {
@@ -149,7 +150,7 @@ class Redlining extends React.Component {
         for (const plugin of Object.values(this.props.plugins || {})) {
             editButtons.push(plugin.cfg);
         }
-        let vectorLayers = this.props.layers.filter(layer => layer.type === "vector" && layer.role === LayerRole.USERLAYER && !layer.readonly);
+        let vectorLayers = this.props.layers.filter(layer => layer.type === "vector" && layer.role === LayerRole.USERLAYER && !layer.readonly && !layer.cluster && !layer.heatmap);
         // Ensure list always contains at least a "Redlining" layer
         if (vectorLayers.length === 0) {
             vectorLayers = [{id: 'redlining', title: 'Redlining'}, ...vectorLayers];
@@ -190,6 +191,7 @@ class Redlining extends React.Component {
                         <MenuButton className="redlining-export-menu" disabled={!haveLayer} menuIcon="export" onActivate={this.export}>
                             <div className="redlining-export-menu-entry" key="GeoJSON" value="geojson">GeoJSON</div>
                             <div className="redlining-export-menu-entry" key="KML" value="kml">KML</div>
+                            <div className="redlining-export-menu-entry" key="GeoPackage" value="gpkg">GeoPackage</div>
                         </MenuButton>
                     </div>
                 </div>
@@ -209,23 +211,25 @@ class Redlining extends React.Component {
             }, null, ' ');
             FileSaver.saveAs(new Blob([geojson], {type: "text/plain;charset=utf-8"}), layer.title + ".json");
         } else if (type === "kml") {
-            const getNativeLayer = MapUtils.getHook(MapUtils.GET_NATIVE_LAYER);
             const layer = this.props.layers.find(l => l.id === this.props.redlining.layer);
-            const nativeLayer = getNativeLayer(this.props.redlining.layer);
-            if (!nativeLayer) {
+            if (!layer) {
                 return;
             }
-            const kmlFormat = new ol.format.KML();
-            const features = nativeLayer.getSource().getFeatures().map(feature => {
-                // Circle is not supported by kml format
-                if (feature.getGeometry() instanceof ol.geom.Circle) {
-                    feature = feature.clone();
-                    feature.setGeometry(ol.geom.polygonFromCircle(feature.getGeometry()));
-                }
-                return feature;
-            });
-            const data = kmlFormat.writeFeatures(features, {featureProjection: this.props.mapCrs});
+            const features = layer.features.map(feature => ({...feature, geometry: VectorLayerUtils.reprojectGeometry(feature.geometry, feature.crs || this.props.mapCrs, 'EPSG:4326')}));
+            const data = KMLUtils.writeKML(layer.title, features, layer.sublayers);
             FileSaver.saveAs(new Blob([data], {type: "application/vnd.google-earth.kml+xml"}), layer.title + ".kml");
+        } else if (type === "gpkg") {
+            const layer = this.props.layers.find(l => l.id === this.props.redlining.layer);
+            if (!layer) {
+                return;
+            }
+            const features = layer.features.map(feature => ({...feature, crs: feature.crs || this.props.mapCrs}));
+            GeoPackageUtils.write([{name: layer.title, features: features}]).then(data => {
+                FileSaver.saveAs(new Blob([data], {type: "application/geopackage+sqlite3"}), layer.title + ".gpkg");
+            }).catch(() => {
+                // eslint-disable-next-line
+                console.warn("GeoPackage export failed");
+            });
         }
     };
     renderStandardControls = () => {
@@ -29,7 +29,9 @@ import ToggleSwitch from '../components/widgets/ToggleSwitch';
 import VectorLayerPicker from '../components/widgets/VectorLayerPicker';
 import displayCrsSelector from '../selectors/displaycrs';
 import ConfigUtils from '../utils/ConfigUtils';
+import CoordinatesSearchProvider from '../utils/CoordinatesSearchProvider';
 import CoordinatesUtils from '../utils/CoordinatesUtils';
+import GeocoderSearchProviders from '../utils/GeocoderSearchProviders';
 import LocaleUtils from '../utils/LocaleUtils';
 import MeasureUtils from '../utils/MeasureUtils';
 import RoutingInterface from '../utils/RoutingInterface';
@@ -49,8 +51,8 @@ class Routing extends React.Component {
         displaycrs: PropTypes.string,
         /** List of enabled routing modes. */
         enabledModes: PropTypes.arrayOf(PropTypes.string),
-        /** List of search providers to use for routing location search. */
-        enabledProviders: PropTypes.arrayOf(PropTypes.string),
+        /** List of search providers to use for routing location search. Entries are either provider keys, which use the `params` of the corresponding theme `searchProviders` entry if any, or `{"provider": <key>, "params": {...}}` objects. The built-in providers are available as `builtin_coordinates`, `builtin_nominatim`, `builtin_photon` and `builtin_pelias`. */
+        enabledProviders: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.object])),
         /** Default window geometry with size, position and docking status. Positive position values (including '0') are related to top (InitialY) and left (InitialX), negative values (including '-0') to bottom (InitialY) and right (InitialX). */
         geometry: PropTypes.shape({
             initialWidth: PropTypes.number,
@@ -145,7 +147,7 @@ class Routing extends React.Component {
     constructor(props) {
         super(props);
         this.recomputeTimeout = null;
-        this.state.searchProviders = props.enabledProviders.map(key => props.searchProviders[key]);
+        this.state.searchProviders = this.resolveSearchProviders(props);
         this.state.searchParams = {
             mapcrs: this.props.mapcrs,
             displaycrs: this.props.displaycrs,
@@ -154,6 +156,9 @@ class Routing extends React.Component {
         this.state.mode = this.props.enabledModes[0];
     }
     componentDidUpdate(prevProps, prevState) {
+        if (this.props.theme !== prevProps.theme) {
+            this.setState({searchProviders: this.resolveSearchProviders(this.props)});
+        }
         // Activated / message
         if (this.props.task.id === "Routing") {
             this.props.setCurrentTask(null);
@@ -667,6 +672,20 @@ class Routing extends React.Component {
             this.recomputeIfNeeded();
         }
     };
+    resolveSearchProviders = (props) => {
+        const themeProviders = props.theme?.searchProviders || [];
+        return props.enabledProviders.map(entry => {
+            const key = entry.provider ?? entry;
+            const provider = props.searchProviders[key];
+            if (!provider) {
+                /* eslint-disable-next-line */
+                console.warn("Unknown routing search provider " + key);
+                return null;
+            }
+            const themeEntry = themeProviders.find(themeProvider => (themeProvider.provider ?? themeProvider.key ?? themeProvider) === key);
+            return {...provider, params: entry.params ?? themeEntry?.params};
+        }).filter(provider => provider);
+    };
     searchResultSelected = (config, idx, result) => {
         if (result) {
             this.updatePoint(config, idx, {text: result.text, pos: [result.x, result.y], crs: result.crs});
@@ -862,7 +881,7 @@ class Routing extends React.Component {
 }
 
 export default (searchProviders) => {
-    const providers = {...searchProviders, ...window.QWC2SearchProviders || {}};
+    const providers = {...searchProviders, ...window.QWC2SearchProviders || {}, builtin_coordinates: CoordinatesSearchProvider, ...GeocoderSearchProviders};
     return connect(createSelector([state => state, displayCrsSelector], (state, displaycrs) => ({
         task: state.task,
         theme: state.theme.current,
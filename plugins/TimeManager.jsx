@@ -91,6 +91,8 @@ const DUMMY_END_DATE = new Date('9999-01-01 00:00:00');
 
 /**
  * Allows controling the time dimension of temporal WMS layers.
+ *
+ * Vector layers with an ISO8601 time dimension, i.e. imported GPX or CSV files with timestamps, are filtered client-side.
  */
 class TimeManager extends React.Component {
     static propTypes = {
@@ -244,7 +246,7 @@ class TimeManager extends React.Component {
                 layers: []
             };
             this.props.layers.forEach(layer => {
-                if (layer.type === "wms") {
+                if (layer.type === "wms" || layer.type === "vector") {
                     const layertimeData = LayerUtils.getTimeDimensionValues(layer);
                     if (layertimeData.names.size > 0) {
                         timeData.layerDimensions[layer.uuid] = [...layertimeData.names];
@@ -657,8 +659,17 @@ class TimeManager extends React.Component {
         });
         let pending = 0;
         const reqUUID = uuidv1();
+        const vectorFeatures = {};
+        const vectorAttributes = {};
         timeData.layers.forEach(layer => {
             const sublayerattrs = timeData.attributes[layer.uuid];
+            if (layer.type === "vector") {
+                // Features of vector layers are available locally
+                const layername = layer.title || layer.name;
+                vectorFeatures[layername] = this.vectorLayerTimeFeatures(layer, ...sublayerattrs[layer.name]);
+                vectorAttributes[layername] = Object.keys((layer.features[0] || {properties: {}}).properties || {});
+                return;
+            }
             const queryLayers = Object.keys(sublayerattrs).join(",");
             const options = {
                 GEOMCENTROID: true,
@@ -709,9 +720,39 @@ class TimeManager extends React.Component {
             ++pending;
         });
         this.setState({
-            timeFeatures: {features: {}, attributes: {}, pendingRequests: pending, reqUUID: reqUUID}
+            timeFeatures: {features: vectorFeatures, attributes: vectorAttributes, pendingRequests: pending, reqUUID: reqUUID}
         });
     };
+    vectorLayerTimeFeatures = (layer, startattr, endattr) => {
+        const layername = layer.title || layer.name;
+        const bbox = this.props.map.bbox.bounds;
+        return (layer.features || []).reduce((res, feature) => {
+            const startdate = dayjs.utc(feature.properties?.[startattr]);
+            if (!feature.geometry || !startdate.isValid()) {
+                return res;
+            }
+            // Place the markers at the center of the feature
+            const geometry = VectorLayerUtils.reprojectGeometry(feature.geometry, feature.crs || this.props.map.projection, this.props.map.projection);
+            const extent = VectorLayerUtils.computeFeatureBBox({type: "Feature", geometry});
+            if (extent[0] > bbox[2] || extent[2] < bbox[0] || extent[1] > bbox[3] || extent[3] < bbox[1]) {
+                return res;
+            }
+            res.push({
+                ...feature,
+                id: layername + "::" + feature.id,
+                geometry: {type: "Point", coordinates: [0.5 * (extent[0] + extent[2]), 0.5 * (extent[1] + extent[3])]},
+                crs: this.props.map.projection,
+                layername: layername,
+                displayfield: "name",
+                properties: {
+                    ...feature.properties,
+                    __startdate: startdate,
+                    __enddate: dayjs.utc(endattr ? feature.properties[endattr] : null)
+                }
+            });
+            return res;
+        }, []);
+    };
     markerStyle = (feature) => {
         const style = [
         ];
@@ -26,6 +26,14 @@ import './style/TopBar.css';
 
 /**
  * Top bar, containing the logo, searchbar, task buttons and app menu.
+ *
+ * Besides the providers configured in the theme `searchProviders`, the searchbar can search
+ * themes, theme layers and the features of local vector layers, i.e. imported files or drawings.
+ * These are enabled with the `searchThemes`, `searchThemeLayers` and `searchLocalLayers` settings
+ * in `config.json`, and are disabled by default.
+ *
+ * The built-in search providers are available under the reserved keys `builtin_coordinates`,
+ * `builtin_nominatim`, `builtin_photon` and `builtin_pelias`, and take precedence over application providers with the same key.
  */
 class TopBar extends React.Component {
     static propTypes = {
@@ -56,6 +64,8 @@ class TopBar extends React.Component {
         searchOptions: PropTypes.shape({
             /** Whether to show the search filter widget (SearchBox only). */
             allowSearchFilters: PropTypes.bool,
+            /** Whether to cluster the point features of layer search results (SearchBox only). */
+            clusterResults: PropTypes.bool,
             /** Whether to hide the result labels on the map. */
             hideResultLabels: PropTypes.bool,
             /** The style used for highlighting search result geometries. */
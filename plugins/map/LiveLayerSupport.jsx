@@ -0,0 +1,210 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import {connect} from 'react-redux';
+
+import axios from 'axios';
+import PropTypes from 'prop-types';
+
+import {addLayerFeatures, changeLayerProperty, removeLayerFeatures} from '../../actions/layers';
+
+/**
+ * Live layer support for the map component.
+ *
+ * Keeps vector layers with a `live` configuration up to date, i.e.
+ * `{type: "vector", features: [], live: {mode: "poll|sse|websocket", url: <url>, interval: <seconds>, crs: <crs>, idProperty: <name>}}`.
+ *
+ * * `poll`: the GeoJSON at `url` is requested every `interval` seconds, features missing in the response are removed.
+ * * `sse`, `websocket`: each message contains a GeoJSON Feature or FeatureCollection which is merged into the layer.
+ *   The ids of removed features can be listed in the `removed` member of the message.
+ *
+ * Features are matched by their `id`, or the `idProperty` feature property, and are assumed to be in `crs` (default: `EPSG:4326`).
+ * Only new and changed features are updated in the layer. If a message contains features without id, all features of the layer are replaced.
+ */
+class LiveLayerSupport extends React.Component {
+    static propTypes = {
+        addLayerFeatures: PropTypes.func,
+        changeLayerProperty: PropTypes.func,
+        layers: PropTypes.array,
+        /** Options */
+        options: PropTypes.shape({
+            /** Default polling interval in seconds. */
+            interval: PropTypes.number,
+            /** Interval in seconds after which a closed websocket connection is reopened. */
+            reconnectInterval: PropTypes.number
+        }),
+        removeLayerFeatures: PropTypes.func
+    };
+    static defaultOpts = {
+        interval: 10,
+        reconnectInterval: 5
+    };
+    constructor(props) {
+        super(props);
+        // Open connections, by layer id
+        this.connections = {};
+        // Serialized features last received, by layer id and feature id
+        this.featureCache = {};
+        // Layers for which missing feature ids were reported
+        this.anonymousWarned = new Set();
+    }
+    componentDidMount() {
+        this.updateConnections();
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.layers !== prevProps.layers) {
+            this.updateConnections();
+        }
+    }
+    componentWillUnmount() {
+        Object.keys(this.connections).forEach(layerId => this.disconnect(layerId));
+    }
+    render() {
+        return null;
+    }
+    updateConnections = () => {
+        const liveLayers = this.props.layers.reduce((res, layer) => {
+            if (layer.live && !layer.livePaused) {
+                res[layer.id] = layer;
+            }
+            return res;
+        }, {});
+        for (const layerId of Object.keys(this.connections)) {
+            if (!liveLayers[layerId] || liveLayers[layerId].live !== this.connections[layerId].config) {
+                this.disconnect(layerId);
+            }
+        }
+        for (const layerId of Object.keys(this.featureCache)) {
+            if (!this.props.layers.find(layer => layer.id === layerId)) {
+                delete this.featureCache[layerId];
+            }
+        }
+        for (const layer of Object.values(liveLayers)) {
+            if (!this.connections[layer.id]) {
+                this.connect(layer);
+            }
+        }
+    };
+    connect = (layer) => {
+        const options = {...LiveLayerSupport.defaultOpts, ...this.props.options};
+        const config = layer.live;
+        const connection = {config: config, closed: false, close: () => {}};
+        this.connections[layer.id] = connection;
+        const mode = (config.mode || "poll").toLowerCase();
+        if (mode === "sse") {
+            const source = new EventSource(config.url);
+            source.onmessage = (ev) => this.handleMessage(layer.id, ev.data, false);
+            connection.close = () => source.close();
+        } else if (mode === "websocket") {
+            const open = () => {
+                const socket = new WebSocket(config.url);
+                socket.onmessage = (ev) => this.handleMessage(layer.id, ev.data, false);
+                socket.onclose = () => {
+                    if (!connection.closed) {
+                        const timeout = setTimeout(open, (config.reconnectInterval ?? options.reconnectInterval) * 1000);
+                        connection.close = () => clearTimeout(timeout);
+                    }
+                };
+                connection.close = () => socket.close();
+            };
+            open();
+        } else {
+            let pending = false;
+            const poll = () => {
+                if (pending) {
+                    return;
+                }
+                pending = true;
+                axios.get(config.url).then(response => {
+                    pending = false;
+                    if (!connection.closed) {
+                        this.handleMessage(layer.id, response.data, true);
+                    }
+                }).catch(() => {
+                    pending = false;
+                    // eslint-disable-next-line
+                    console.warn("Failed to fetch live layer data from " + config.url);
+                });
+            };
+            poll();
+            const interval = setInterval(poll, (config.interval ?? options.interval) * 1000);
+            connection.close = () => clearInterval(interval);
+        }
+    };
+    disconnect = (layerId) => {
+        this.connections[layerId].closed = true;
+        this.connections[layerId].close();
+        delete this.connections[layerId];
+    };
+    handleMessage = (layerId, data, snapshot) => {
+        const layer = this.props.layers.find(entry => entry.id === layerId);
+        if (!layer?.live) {
+            return;
+        }
+        if (typeof data === "string") {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                // eslint-disable-next-line
+                console.warn("Invalid live layer message: " + data);
+                return;
+            }
+        }
+        const features = data.type === "FeatureCollection" ? (data.features || []) : [data].filter(feature => feature.type === "Feature");
+        const crs = layer.live.crs || "EPSG:4326";
+        const idProperty = layer.live.idProperty || "id";
+        const featureId = (feature) => feature.id ?? feature.properties?.[idProperty] ?? null;
+
+        // Features without id cannot be matched with those previously received, replace all features of the layer instead
+        if (features.some(feature => featureId(feature) === null)) {
+            if (!this.anonymousWarned.has(layerId)) {
+                this.anonymousWarned.add(layerId);
+                // eslint-disable-next-line
+                console.warn("Live layer " + layerId + " received features without id, replacing all features on each message");
+            }
+            this.featureCache[layerId] = {};
+            this.props.addLayerFeatures(layer, features.map((feature, idx) => ({...feature, id: featureId(feature) ?? idx, crs: crs})), true);
+            this.props.changeLayerProperty(layer.uuid, "liveUpdated", Date.now());
+            return;
+        }
+        const cache = this.featureCache[layerId] = this.featureCache[layerId] || {};
+
+        const changed = [];
+        const received = new Set();
+        for (const feature of features) {
+            const id = featureId(feature);
+            received.add(String(id));
+            const serialized = JSON.stringify(feature);
+            if (cache[id]?.serialized !== serialized) {
+                cache[id] = {id, serialized};
+                changed.push({...feature, id: id, crs: crs});
+            }
+        }
+        const removed = snapshot ? Object.keys(cache).filter(key => !received.has(key)).map(key => cache[key].id) : (data.removed || []);
+        removed.forEach(id => delete cache[id]);
+
+        if (removed.length > 0) {
+            this.props.removeLayerFeatures(layerId, removed, true);
+        }
+        if (changed.length > 0) {
+            this.props.addLayerFeatures(layer, changed);
+        }
+        if (removed.length > 0 || changed.length > 0) {
+            this.props.changeLayerProperty(layer.uuid, "liveUpdated", Date.now());
+        }
+    };
+}
+
+export default connect((state) => ({
+    layers: state.layers.flat
+}), {
+    addLayerFeatures: addLayerFeatures,
+    changeLayerProperty: changeLayerProperty,
+    removeLayerFeatures: removeLayerFeatures
+})(LiveLayerSupport);
@@ -18,6 +18,7 @@ import {
     REMOVE_LAYER,
     REORDER_LAYER,
     CHANGE_LAYER_PROPERTY,
+    CHANGE_LAYER_PROPERTIES,
     SET_LAYER_DIMENSIONS,
     ADD_LAYER_FEATURES,
     REMOVE_LAYER_FEATURES,
@@ -30,6 +31,7 @@ import {
     SET_LAYERS,
     SET_FILTER
 } from '../actions/layers';
+import GeoJSONUtils from '../utils/GeoJSONUtils';
 import LayerUtils from '../utils/LayerUtils';
 import {UrlParams} from '../utils/PermaLinkUtils';
 import VectorLayerUtils from '../utils/VectorLayerUtils';
@@ -51,6 +53,13 @@ function propagateLayerProperty(newlayer, property, value, path = null) {
     }
 }
 
+function updateTimeDimensions(dimensions, features) {
+    // Keep the time dimensions of imported layers in sync with their features
+    return dimensions?.map(dimension => dimension.fieldName ? {
+        ...dimension, value: GeoJSONUtils.getTimeDimensionValue(features, dimension.fieldName, dimension.endFieldName)
+    } : dimension);
+}
+
 const defaultState = {
     flat: [],
     loading: [],
@@ -126,11 +135,26 @@ export default function layers(state = defaultState, action) {
         UrlParams.updateParams({l: LayerUtils.buildWMSLayerUrlParam(newLayers)});
         return {...state, flat: newLayers};
     }
+    case CHANGE_LAYER_PROPERTIES: {
+        const newLayers = (state.flat || []).map((layer) => {
+            if (layer.uuid === action.layerUuid) {
+                const newLayer = {...layer, ...action.properties};
+                if (newLayer.type === "wms") {
+                    Object.assign(newLayer, LayerUtils.buildWMSLayerParams(newLayer, state.filter));
+                }
+                return newLayer;
+            }
+            return layer;
+        });
+        return {...state, flat: newLayers};
+    }
     case SET_LAYER_DIMENSIONS: {
         const newLayers = (state.flat || []).map((layer) => {
             if (layer.id === action.layerId) {
                 const newLayer = {...layer, dimensionValues: action.dimensions};
-                Object.assign(newLayer, LayerUtils.buildWMSLayerParams(newLayer, state.filter));
+                if (newLayer.type === "wms") {
+                    Object.assign(newLayer, LayerUtils.buildWMSLayerParams(newLayer, state.filter));
+                }
                 return newLayer;
             }
             return layer;
@@ -198,6 +222,10 @@ export default function layers(state = defaultState, action) {
             for (const lyr of newLayers) {
                 if (lyr.type === "wms") {
                     Object.assign(lyr, LayerUtils.buildWMSLayerParams(lyr, state.filter));
+                } else if (lyr.type === "vector" && lyr.id === action.layerId) {
+                    // Drop the features of removed folders
+                    const folders = new Set(LayerUtils.getSublayerNames(lyr));
+                    lyr.features = lyr.features.filter(feature => !feature.folder || folders.has(feature.folder));
                 }
             }
         }
@@ -224,7 +252,8 @@ export default function layers(state = defaultState, action) {
                 visibility: action.layer.visibility || true,
                 opacity: action.layer.opacity || 255,
                 layertreehidden: action.layer.layertreehidden || action.layer.role > LayerRole.USERLAYER,
-                bbox: VectorLayerUtils.computeFeaturesBBox(action.features)
+                // The bbox may have been precomputed, i.e. when importing large files
+                bbox: action.layer.bbox ?? VectorLayerUtils.computeFeaturesBBox(action.features)
             };
             let inspos = 0;
             for (; inspos < newLayers.length && newLayer.role < newLayers[inspos].role; ++inspos);
@@ -237,7 +266,13 @@ export default function layers(state = defaultState, action) {
                 ...(newLayers[idx].features || []).filter(f => !addFeatures.find(g => g.id === f.id)),
                 ...addFeatures
             ];
-            newLayers[idx] = {...newLayers[idx], features: newFeatures, bbox: VectorLayerUtils.computeFeaturesBBox(newFeatures), rev: action.layer.rev};
+            newLayers[idx] = {
+                ...newLayers[idx],
+                features: newFeatures,
+                bbox: VectorLayerUtils.computeFeaturesBBox(newFeatures),
+                dimensions: updateTimeDimensions(newLayers[idx].dimensions ?? action.layer.dimensions, newFeatures),
+                rev: action.layer.rev
+            };
         }
         return {...state, flat: newLayers};
     }
@@ -247,7 +282,12 @@ export default function layers(state = defaultState, action) {
             if (layer.id === action.layerId) {
                 const newFeatures = (layer.features || []).filter(f => action.featureIds.includes(f.id) === false);
                 if (!isEmpty(newFeatures) || action.keepEmptyLayer) {
-                    result.push({...layer, features: newFeatures, bbox: VectorLayerUtils.computeFeaturesBBox(newFeatures)});
+                    result.push({
+                        ...layer,
+                        features: newFeatures,
+                        bbox: VectorLayerUtils.computeFeaturesBBox(newFeatures),
+                        dimensions: updateTimeDimensions(layer.dimensions, newFeatures)
+                    });
                 }
                 changed = true;
             } else {
@@ -8,6 +8,7 @@
 
 import {
     PROCESS_STARTED,
+    PROCESS_PROGRESS,
     PROCESS_FINISHED,
     CLEAR_PROCESS,
     ProcessStatus
@@ -32,6 +33,21 @@ export default function processNotifications(state = defaultState, action) {
             }
         };
     }
+    case PROCESS_PROGRESS: {
+        if (!state.processes[action.id]) {
+            return state;
+        }
+        return {
+            ...state,
+            processes: {
+                ...state.processes,
+                [action.id]: {
+                    ...state.processes[action.id],
+                    progress: action.progress
+                }
+            }
+        };
+    }
     case PROCESS_FINISHED: {
         return {
             ...state,
@@ -13,6 +13,7 @@ const fs = require('fs');
 const path = require('path');
 const objectPath = require('object-path');
 const isEmpty = require('lodash.isempty');
+const {PMTiles, TileType} = require('pmtiles');
 const uuidv1 = require('uuid').v1;
 const os = require('os');
 const dns = require('dns');
@@ -136,7 +137,7 @@ function toArray(obj) {
 }
 
 // recursively get layer tree
-function getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collapseBelowLevel, titleNameMap, featureReports, externalLayers) {
+function getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collapseBelowLevel, titleNameMap, featureReports, refreshIntervals, externalLayers) {
     // skip print layers
     for (const printLayer of printLayers) {
         if (Array.isArray(printLayer)) {
@@ -234,8 +235,11 @@ function getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, co
         toArray(layer.Dimension).forEach(dim => {
             layerEntry.dimensions.push({
                 units: dim.$.units,
+                unitSymbol: dim.$.unitSymbol,
                 name: dim.$.name,
                 multiple: dim.$.multipleValues === "1",
+                nearest: dim.$.nearestValue === "1",
+                default: dim.$.default,
                 value: dim._,
                 fieldName: dim.$.fieldName,
                 endFieldName: dim.$.endFieldName
@@ -257,13 +261,16 @@ function getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, co
             layerEntry.expanded = true;
         }
         for (const subLayer of toArray(layer.Layer)) {
-            getLayerTree(subLayer, layerEntry.sublayers, visibleLayers, printLayers, level + 1, collapseBelowLevel, titleNameMap, featureReports, externalLayers);
+            getLayerTree(subLayer, layerEntry.sublayers, visibleLayers, printLayers, level + 1, collapseBelowLevel, titleNameMap, featureReports, refreshIntervals, externalLayers);
         }
         if (layerEntry.sublayers.length === 0) {
             // skip empty groups
             return;
         }
     }
+    if (refreshIntervals[layer.Name]) {
+        layerEntry.refreshInterval = refreshIntervals[layer.Name];
+    }
     resultLayers.push(layerEntry);
     titleNameMap[layer.TreeName] = layer.Name;
 }
@@ -354,7 +361,7 @@ function getTheme(config, configItem, result, resultItem, proxy) {
             const visibleLayers = [];
             const titleNameMap = {};
             const externalLayers = [];
-            getLayerTree(topLayer, layerTree, visibleLayers, printLayers, 1, collapseLayerGroupsBelowLevel, titleNameMap, configItem.featureReport || {}, externalLayers);
+            getLayerTree(topLayer, layerTree, visibleLayers, printLayers, 1, collapseLayerGroupsBelowLevel, titleNameMap, configItem.featureReport || {}, configItem.refreshIntervals || {}, externalLayers);
             autogenExternalLayers.push(...externalLayers.map(entry => entry.name));
             externalLayers.push(...(configItem.externalLayers || []));
             visibleLayers.reverse();
@@ -582,6 +589,18 @@ function getGroupThemes(config, configGroup, result, resultGroup, proxy, groupCo
     }
 }
 
+function getPMTilesBackgroundLayer(bglayer) {
+    // Archives are displayed as vector or raster tile layers, depending on the type of the tiles
+    const archiveUrl = bglayer.url.replace(/^pmtiles:\/\//, "");
+    const archive = new PMTiles(urlUtil.resolve(hostFqdn, archiveUrl));
+    return archive.getHeader().then(header => {
+        bglayer.type = header.tileType === TileType.Mvt ? "mvt" : "xyz";
+        bglayer.url = "pmtiles://" + archiveUrl;
+    }).catch((error) => {
+        throw new Error("Failed to read PMTiles archive " + archiveUrl + ": " + error);
+    });
+}
+
 function genThemes(themesConfig) {
     // load themesConfig.json
     const config = require(process.cwd() + '/' + themesConfig);
@@ -616,6 +635,11 @@ function genThemes(themesConfig) {
     const proxy = config.proxy || null;
     const groupCounter = 0;
     getGroupThemes(config, config.themes, result, result.themes, proxy, groupCounter);
+    for (const bglayer of result.themes.backgroundLayers) {
+        if (bglayer.type === "pmtiles") {
+            tasks.push(getPMTilesBackgroundLayer(bglayer));
+        }
+    }
 
     Promise.all(tasks).then(() => {
         for (const entry of autogenExternalLayers) {
@@ -154,7 +154,7 @@ def getChildElementValue(parent, path):
 
 
 # recursively get layer tree
-def getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collapseBelowLevel, titleNameMap, featureReports, externalLayers):
+def getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collapseBelowLevel, titleNameMap, featureReports, refreshIntervals, externalLayers):
     name = getChildElementValue(layer, "Name")
     title = getChildElementValue(layer, "Title")
     layers = getDirectChildElements(layer, "Layer")
@@ -262,8 +262,11 @@ def getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collaps
         for dim in getDirectChildElements(layer, "Dimension"):
             layerEntry["dimensions"].append({
                 "units": dim.getAttribute("units"),
+                "unitSymbol": dim.getAttribute("unitSymbol") if dim.hasAttribute("unitSymbol") else None,
                 "name": dim.getAttribute("name"),
                 "multiple": dim.getAttribute("multipleValues") == "1",
+                "nearest": dim.getAttribute("nearestValue") == "1",
+                "default": dim.getAttribute("default") if dim.hasAttribute("default") else None,
                 "value": getElementValue(dim),
                 "fieldName": dim.getAttribute("fieldName"),
                 "endFieldName": dim.getAttribute("endFieldName")
@@ -282,12 +285,14 @@ def getLayerTree(layer, resultLayers, visibleLayers, printLayers, level, collaps
         else:
             layerEntry["expanded"] = False if collapseBelowLevel >= 0 and level >= collapseBelowLevel else True
         for sublayer in layers:
-            getLayerTree(sublayer, layerEntry["sublayers"], visibleLayers, printLayers, level + 1, collapseBelowLevel, titleNameMap, featureReports, externalLayers)
+            getLayerTree(sublayer, layerEntry["sublayers"], visibleLayers, printLayers, level + 1, collapseBelowLevel, titleNameMap, featureReports, refreshIntervals, externalLayers)
 
         if not layerEntry["sublayers"]:
             # skip empty groups
             return
 
+    if name in refreshIntervals:
+        layerEntry["refreshInterval"] = refreshIntervals[name]
     resultLayers.append(layerEntry)
     titleNameMap[treeName] = name
 
@@ -334,8 +339,9 @@ def getTheme(config, configItem, result, resultItem):
         visibleLayers = []
         titleNameMap = {}
         featureReports = configItem["featureReport"] if "featureReport" in configItem else {}
+        refreshIntervals = configItem["refreshIntervals"] if "refreshIntervals" in configItem else {}
         externalLayers = []
-        getLayerTree(topLayer, layerTree, visibleLayers, printLayers, 1, collapseLayerGroupsBelowLevel, titleNameMap, featureReports, externalLayers)
+        getLayerTree(topLayer, layerTree, visibleLayers, printLayers, 1, collapseLayerGroupsBelowLevel, titleNameMap, featureReports, refreshIntervals, externalLayers)
         autogenExternalLayers += list(map(lambda entry: entry["name"], externalLayers))
         if "externalLayers" in configItem:
             externalLayers += configItem["externalLayers"]
@@ -592,6 +598,18 @@ def reformatAttribution(entry):
     return entry
 
 
+def getPMTilesBackgroundLayer(bglayer):
+    # Archives are displayed as vector or raster tile layers, depending on the type of the tiles
+    archiveUrl = re.sub(r'^pmtiles://', '', bglayer["url"])
+    # The tile type is stored in the fixed size header of version 3 archives
+    req = request.Request(urljoin(baseUrl, archiveUrl), headers={'Range': 'bytes=0-126'})
+    header = request.urlopen(req).read(127)
+    if len(header) < 127 or header[0:7] != b'PMTiles' or header[7] != 3:
+        raise Exception("Not a version 3 PMTiles archive")
+    bglayer["type"] = "mvt" if header[99] == 1 else "xyz"
+    bglayer["url"] = "pmtiles://" + archiveUrl
+
+
 def genThemes(themesConfig):
     # load themesConfig.json
     try:
@@ -623,6 +641,13 @@ def genThemes(themesConfig):
     groupCounter = 0
     getGroupThemes(config, config["themes"], result, result["themes"], groupCounter)
 
+    for bglayer in result["themes"]["backgroundLayers"]:
+        if bglayer.get("type") == "pmtiles":
+            try:
+                getPMTilesBackgroundLayer(bglayer)
+            except Exception as e:
+                return {"error": "Failed to read PMTiles archive " + bglayer["url"] + ": " + str(e)}
+
     for entry in autogenExternalLayers:
         cpos = entry.find(":")
         hpos = entry.rfind('#')
@@ -10,12 +10,15 @@ import {createSelector} from 'reselect';
 
 import {LayerRole} from '../actions/layers';
 import ConfigUtils from '../utils/ConfigUtils';
+import CoordinatesSearchProvider from '../utils/CoordinatesSearchProvider';
+import GeocoderSearchProviders from '../utils/GeocoderSearchProviders';
 import LocaleUtils from '../utils/LocaleUtils';
 import ThemeUtils from '../utils/ThemeUtils';
+import VectorLayerUtils from '../utils/VectorLayerUtils';
 
 export default (searchProviders) => createSelector(
     [state => state.theme, state => state.layers && state.layers.flat || null], (theme, layers) => {
-        searchProviders = {...searchProviders, ...window.QWC2SearchProviders || {}};
+        searchProviders = {...searchProviders, ...window.QWC2SearchProviders || {}, builtin_coordinates: CoordinatesSearchProvider, ...GeocoderSearchProviders};
         const availableProviders = {};
         const themeLayerNames = layers.map(layer => layer.role === LayerRole.THEME ? layer.params.LAYERS : "").join(",").split(",").filter(entry => entry);
         const themeProviders = theme && theme.current && theme.current.searchProviders ? theme.current.searchProviders : [];
@@ -60,6 +63,14 @@ export default (searchProviders) => createSelector(
                 }
             };
         }
+        if (ConfigUtils.getConfigProp("searchLocalLayers", theme, false)) {
+            availableProviders.locallayers = {
+                labelmsgid: LocaleUtils.trmsg("search.locallayers"),
+                onSearch: (text, options, callback) => {
+                    callback({results: VectorLayerUtils.searchLayerFeatures(layers, text)});
+                }
+            };
+        }
         return availableProviders;
     }
 );
@@ -0,0 +1,55 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Built-in coordinate search provider, enabled via the theme `searchProviders` as `"builtin_coordinates"`.
+ *
+ * Recognizes the formats of `CoordinatesUtils.parseCoordinates`, numeric pairs are interpreted in the display and map CRS.
+ * Each interpretation of ambiguous input is returned as separate result, labeled with the interpreted CRS and location.
+ * The `builtin_` keys are reserved, built-in providers take precedence over application providers with the same key.
+ */
+
+import isEmpty from 'lodash.isempty';
+
+import CoordinatesUtils from './CoordinatesUtils';
+import LocaleUtils from './LocaleUtils';
+
+function formatLocation(lon, lat) {
+    const format = (value, positive, negative) => Math.abs(value).toFixed(5) + "° " + (value < 0 ? negative : positive);
+    return format(lat, "N", "S") + ", " + format(lon, "E", "W");
+}
+
+export default {
+    labelmsgid: LocaleUtils.trmsg("search.coordinates"),
+    onSearch: (text, searchParams, callback) => {
+        const candidates = CoordinatesUtils.parseCoordinates(text, [searchParams.displaycrs, searchParams.mapcrs]);
+        const items = candidates.map((candidate, idx) => {
+            let label = candidate.label;
+            // Show where the coordinate lies, unless it was entered in degrees
+            if (candidate.format !== "degrees") {
+                const [lon, lat] = CoordinatesUtils.reproject([candidate.x, candidate.y], candidate.crs, "EPSG:4326");
+                label += " → " + formatLocation(lon, lat);
+            }
+            return {
+                id: "coordinates" + idx,
+                text: label,
+                x: candidate.x,
+                y: candidate.y,
+                crs: candidate.crs,
+                // Zoom to the extent of coarse MGRS grid squares, precise references are treated like points
+                bbox: candidate.bbox && candidate.bbox[2] - candidate.bbox[0] > 0.01 ? candidate.bbox : undefined
+            };
+        });
+        callback({results: isEmpty(items) ? [] : [{
+            id: "coordinates",
+            titlemsgid: LocaleUtils.trmsg("search.coordinates"),
+            priority: 5,
+            items: items
+        }]});
+    }
+};
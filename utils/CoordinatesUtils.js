@@ -6,14 +6,183 @@
  * This source code is licensed under the BSD-style license found in the
  * LICENSE file in the root directory of this source tree.
  */
+import {forward as mgrsForward, inverse as mgrsInverse, toPoint as mgrsToPoint} from 'mgrs';
 import ol from 'openlayers';
 import Proj4js from 'proj4';
 
+import GeoJSONUtils from './GeoJSONUtils';
+
 const crsLabels = {
     "EPSG:4326": "WGS 84",
     "EPSG:3857": "WGS 84 / Pseudo Mercator"
 };
 
+const NUMBER = "\\d+(?:\\.\\d+)?";
+const MGRS_REGEX = /^(\d{1,2}) ?([C-HJ-NP-X]) ?([A-HJ-NP-Z])([A-HJ-NP-V])(?: ?(\d+)(?: (\d+))?)?$/;
+const UTM_REGEX = new RegExp("^(\\d{1,2}) ?([C-HJ-NP-X]) (" + NUMBER + ") ?M?E?[ ,;]+(" + NUMBER + ") ?M?N?$");
+const ANGLE_REGEX = new RegExp("[+-]?" + NUMBER + "° ?(?:" + NUMBER + "' ?)?(?:" + NUMBER + "\")?", "g");
+const PAIR_REGEX = new RegExp("^([+-]?" + NUMBER + ")(?: ?[,;/] ?| )([+-]?" + NUMBER + ")$");
+
+function normalizeCoordinateText(text) {
+    return text.trim().toUpperCase()
+        .replace(/[′’‘´`]/g, "'").replace(/[″”“]/g, '"').replace(/''/g, '"').replace(/[º˚]/g, "°")
+        .replace(/\s+/g, " ");
+}
+
+function formatDecimal(value) {
+    return String(parseFloat(value.toFixed(6)));
+}
+
+function formatAngle(value, positive, negative) {
+    return formatDecimal(Math.abs(value)) + "° " + (value < 0 ? negative : positive);
+}
+
+function utmDefinition(zone, south) {
+    return "+proj=utm +zone=" + zone + (south ? " +south" : "") + " +datum=WGS84 +units=m +no_defs";
+}
+
+// Parses "47° 22' 15.3"", "47 22 15.3", "47°22.255'" or "47.3709°" to decimal degrees
+function parseAngle(text) {
+    const cleaned = text.replace(/[°'"]/g, " ").trim().replace(/ +/g, " ");
+    if (!new RegExp("^[+-]?" + NUMBER + "(?: " + NUMBER + "){0,2}$").test(cleaned)) {
+        return null;
+    }
+    const parts = cleaned.split(" ").map(Number);
+    const sign = cleaned.startsWith("-") ? -1 : 1;
+    // Only the last part may be fractional, minutes and seconds must be below 60
+    if (parts.slice(0, -1).some(part => !Number.isInteger(part)) || parts.slice(1).some(part => part >= 60)) {
+        return null;
+    }
+    return sign * (Math.abs(parts[0]) + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600);
+}
+
+function lonLatCandidate(lon, lat, format, label) {
+    if (lon === null || lat === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+    return {x: lon, y: lat, crs: "EPSG:4326", format: format, label: label};
+}
+
+function degreesLabel(lon, lat, axisOrder = "") {
+    return formatAngle(lat, "N", "S") + ", " + formatAngle(lon, "E", "W") + " (WGS 84" + (axisOrder ? ", " + axisOrder : "") + ")";
+}
+
+function parseMGRS(text) {
+    const match = text.match(MGRS_REGEX);
+    if (!match) {
+        return [];
+    }
+    const digits = match[6] !== undefined ? match[5] + match[6] : (match[5] || "");
+    if (digits.length % 2 !== 0 || digits.length > 10 || (match[6] !== undefined && match[5].length !== match[6].length)) {
+        return [];
+    }
+    const square = match[1] + match[2] + match[3] + match[4];
+    try {
+        const point = mgrsToPoint(square + digits);
+        // Reject squares which do not exist in the grid zone
+        if (mgrsForward(point, 1).slice(0, -2) !== String(Number(match[1])) + match[2] + match[3] + match[4]) {
+            return [];
+        }
+        const half = digits.length / 2;
+        const label = [Number(match[1]) + match[2], match[3] + match[4], digits.slice(0, half), digits.slice(half)].filter(entry => entry).join(" ");
+        return [{x: point[0], y: point[1], crs: "EPSG:4326", bbox: mgrsInverse(square + digits), format: "mgrs", label: label + " (MGRS)"}];
+    } catch (e) {
+        return [];
+    }
+}
+
+function parseUTM(text) {
+    const match = text.match(UTM_REGEX);
+    if (!match) {
+        return [];
+    }
+    const zone = Number(match[1]);
+    const easting = Number(match[3]);
+    const northing = Number(match[4]);
+    if (zone < 1 || zone > 60 || easting <= 0 || easting >= 1000000 || northing < 0 || northing > 10000000) {
+        return [];
+    }
+    const label = zone + match[2] + " " + formatDecimal(easting) + " E " + formatDecimal(northing) + " N";
+    // Bands C-M lie on the southern hemisphere. "S" is ambiguous, it is both a band letter
+    // (32°N - 40°N) and commonly used to denote the southern hemisphere.
+    const hemispheres = match[2] === "S" ? [false, true] : [match[2] < "N"];
+    return hemispheres.map(south => {
+        // eslint-disable-next-line
+        const lonlat = Proj4js(utmDefinition(zone, south)).inverse([easting, northing]);
+        if (!south && match[2] === "S" && (lonlat[1] < 32 || lonlat[1] >= 40)) {
+            return null;
+        }
+        const epsg = "EPSG:32" + (south ? "7" : "6") + String(zone).padStart(2, "0");
+        return lonLatCandidate(lonlat[0], lonlat[1], "utm", label + " (UTM " + zone + (south ? "S" : "N") + ", " + epsg + ")");
+    }).filter(entry => entry);
+}
+
+function parseHemisphereAngles(text) {
+    const letters = [...text.matchAll(/[NSEW]/g)];
+    if (letters.length !== 2 || !/^[NSEW0-9.,;/°'" ]+$/.test(text)) {
+        return [];
+    }
+    // Hemisphere letters either precede or follow both angles
+    let parts = null;
+    if (letters[0].index === 0) {
+        parts = [text.slice(1, letters[1].index), text.slice(letters[1].index + 1)];
+    } else if (letters[1].index === text.length - 1) {
+        parts = [text.slice(0, letters[0].index), text.slice(letters[0].index + 1, -1)];
+    } else {
+        return [];
+    }
+    const angles = parts.map(part => parseAngle(part.replace(/^[ ,;/]+|[ ,;/]+$/g, "").replace(/(\d),(\d)/g, "$1.$2")));
+    const hemispheres = letters[0][0] + letters[1][0];
+    const latIdx = ["NE", "NW", "SE", "SW"].includes(hemispheres) ? 0 : 1;
+    if (!["NE", "NW", "SE", "SW", "EN", "WN", "ES", "WS"].includes(hemispheres) || angles.includes(null)) {
+        return [];
+    }
+    const lat = letters[latIdx][0] === "S" ? -angles[latIdx] : angles[latIdx];
+    const lon = letters[1 - latIdx][0] === "W" ? -angles[1 - latIdx] : angles[1 - latIdx];
+    const candidate = lonLatCandidate(lon, lat, "degrees", degreesLabel(lon, lat));
+    return candidate ? [candidate] : [];
+}
+
+function parseDegreeAngles(text) {
+    const matches = text.match(ANGLE_REGEX) || [];
+    if (matches.length !== 2 || text.replace(ANGLE_REGEX, "").replace(/[ ,;/]/g, "") !== "") {
+        return [];
+    }
+    const [first, second] = matches.map(parseAngle);
+    if (first === null || second === null) {
+        return [];
+    }
+    // Degrees are usually written as latitude, longitude
+    return [
+        lonLatCandidate(second, first, "degrees", degreesLabel(second, first, "lat/lon")),
+        first !== second ? lonLatCandidate(first, second, "degrees", degreesLabel(first, second, "lon/lat")) : null
+    ].filter(entry => entry);
+}
+
+function parseNumberPair(text, crsList) {
+    const match = text.match(PAIR_REGEX);
+    if (!match) {
+        return [];
+    }
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    const geographic = Math.abs(first) <= 180 && Math.abs(second) <= 180;
+    const candidates = crsList.filter(crs => crs !== "EPSG:4326").filter(crs => {
+        // Small values are much more likely to be geographic coordinates than projected coordinates
+        return ol.proj.get(crs) && (!geographic || (ol.proj.get(crs).getUnits() || "degrees") === "degrees");
+    }).map(crs => ({
+        x: first, y: second, crs: crs, format: "crs",
+        label: formatDecimal(first) + ", " + formatDecimal(second) + " (" + (crsLabels[crs] ? crsLabels[crs] + ", " : "") + crs + ")"
+    }));
+    if (geographic) {
+        candidates.push(lonLatCandidate(second, first, "degrees", degreesLabel(second, first, "lat/lon")));
+        if (first !== second) {
+            candidates.push(lonLatCandidate(first, second, "degrees", degreesLabel(first, second, "lon/lat")));
+        }
+    }
+    return candidates.filter(entry => entry);
+}
+
 const CoordinatesUtils = {
     setCrsLabels(labels) {
         Object.assign(crsLabels, labels);
@@ -110,16 +279,40 @@ const CoordinatesUtils = {
             extent[1] >= extent[2] || extent[1] >= extent[3]
         );
     },
-    fromOgcUrnCrs(crsStr) {
-        if (crsStr.endsWith(":CRS84")) {
-            return "EPSG:4326";
+    /**
+     * Parses a coordinate entered as text. Recognized are MGRS grid references (i.e. `32TMT1234567890`),
+     * UTM coordinates with zone and band letter (i.e. `32T 465123 5245678`), degrees, minutes and seconds
+     * with hemisphere letters (i.e. `47°22'15.3"N 8°32'27.1"E`, `N 47 22.255 E 8 32.45`), decimal degrees
+     * and numeric pairs in the specified CRS.
+     *
+     * Ambiguous input yields multiple candidates, i.e. for either axis order or for `S` denoting a UTM band
+     * or the southern hemisphere.
+     *
+     * @param text {string} The entered text
+     * @param crsList {array} The CRS in which numeric pairs are interpreted, i.e. the display and map CRS
+     *
+     * @return {array} The candidates `{x, y, crs, bbox, format, label}`, where `format` is one of `mgrs`, `utm`, `degrees`
+     * and `crs`, and `label` describes the interpreted coordinate and CRS. MGRS, UTM and degree coordinates are returned
+     * in `EPSG:4326`, MGRS candidates include the `bbox` of the grid square.
+     */
+    parseCoordinates(text, crsList = []) {
+        const normalized = normalizeCoordinateText(text || "");
+        if (!normalized) {
+            return [];
         }
-        const parts = crsStr.split(":");
-        return "EPSG:" + parts.slice(-1);
+        return [
+            ...parseMGRS(normalized),
+            ...parseUTM(normalized),
+            ...parseHemisphereAngles(normalized),
+            ...parseDegreeAngles(normalized),
+            ...parseNumberPair(normalized, [...new Set(crsList.filter(crs => crs))])
+        ];
+    },
+    fromOgcUrnCrs(crsStr) {
+        return GeoJSONUtils.fromOgcUrnCrs(crsStr);
     },
     toOgcUrnCrs(crsStr) {
-        const parts = crsStr.split(":");
-        return "urn:ogc:def:crs:" + parts[0] + "::" + parts[1];
+        return GeoJSONUtils.toOgcUrnCrs(crsStr);
     }
 };
 
@@ -36,6 +36,33 @@ const DEFAULT_MARKER_STYLE = {
     textStroke: '#FFFFFF'
 };
 
+const DEFAULT_PHOTO_STYLE = {
+    strokeColor: [255, 255, 255, 1],
+    strokeWidth: 2,
+    fillColor: [230, 100, 20, 1],
+    circleRadius: 6,
+    directionColor: [230, 100, 20, 0.6],
+    textFill: "black",
+    textStroke: "white",
+    textFont: "11pt sans-serif"
+};
+
+const DEFAULT_CLUSTER_STYLE = {
+    strokeColor: [255, 255, 255, 1],
+    strokeWidth: 2,
+    fillColor: [0, 102, 204, 0.8],
+    circleRadius: 12,
+    textFill: [255, 255, 255, 1],
+    textStroke: [0, 102, 204, 1],
+    textFont: "bold 10pt sans-serif"
+};
+
+const DEFAULT_HEATMAP_STYLE = {
+    radius: 8,
+    blur: 15,
+    gradient: ['#00f', '#0ff', '#0f0', '#ff0', '#f00']
+};
+
 const DEFAULT_INTERACTION_STYLE = {
     fillColor: [255, 0, 0, 0.5],
     strokeColor: "red",
@@ -65,10 +92,30 @@ export const END_MARKERS = {
     LINE: {src: measurehead, anchor: [0.05, 0.5], baserotation: 0}
 };
 
+export const DEFAULT_CLUSTER_DISTANCE = 40;
+
+export function computeHeatmapStyle(options = {}) {
+    return {...DEFAULT_HEATMAP_STYLE, ...ConfigUtils.getConfigProp("defaultHeatmapStyle"), ...options};
+}
+
 export function computeFeatureStyle(feature) {
     return {...DEFAULT_FEATURE_STYLE, ...ConfigUtils.getConfigProp("defaultFeatureStyle"), ...feature.styleOptions};
 }
 
+export function computeClusterStyle(count, options = {}) {
+    const opts = {...DEFAULT_CLUSTER_STYLE, ...ConfigUtils.getConfigProp("defaultClusterStyle"), ...options};
+    // Grow the symbol logarithmically with the number of clustered features, up to twice the base radius
+    return {...opts, circleRadius: opts.circleRadius * (1 + Math.min(1, Math.log10(count) / 3))};
+}
+
+function directionConeIcon(color) {
+    // A 60° wedge pointing north from the center of the icon
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 64 64">' +
+        '<path d="M32 32 L16 4.29 A32 32 0 0 1 48 4.29 Z" fill="' + ol.color.asString(color) + '"/>' +
+        '</svg>';
+    return "data:image/svg+xml;base64," + btoa(svg);
+}
+
 const defaultStyle = (feature, options) => {
     const opts = {...DEFAULT_FEATURE_STYLE, ...ConfigUtils.getConfigProp("defaultFeatureStyle"), ...options};
     const styles = [];
@@ -89,7 +136,9 @@ const defaultStyle = (feature, options) => {
             }) : null
         })
     );
-    if (feature.getProperties().label) {
+    // The label may be overridden, i.e. by the attribute labels of vector styles
+    const label = opts.label ?? feature.getProperties().label;
+    if (label) {
         styles.push(
             new ol.style.Style({
                 geometry: (f) => {
@@ -102,7 +151,7 @@ const defaultStyle = (feature, options) => {
                 },
                 text: new ol.style.Text({
                     font: opts.textFont || '11pt sans-serif',
-                    text: feature.getProperties().label || "",
+                    text: String(label),
                     overflow: true,
                     fill: new ol.style.Fill({color: opts.textFill}),
                     stroke: new ol.style.Stroke({color: opts.textStroke, width: 3}),
@@ -201,6 +250,57 @@ export default {
             })
         ];
     },
+    photo: (feature, options) => {
+        const opts = {...DEFAULT_PHOTO_STYLE, ...ConfigUtils.getConfigProp("defaultPhotoStyle"), ...options};
+        const direction = feature.getProperties().direction;
+        const styles = [];
+        if (typeof direction === "number") {
+            // Show the viewing direction of the camera, clockwise from north
+            styles.push(new ol.style.Style({
+                image: new ol.style.Icon({
+                    src: directionConeIcon(opts.directionColor),
+                    anchor: [0.5, 0.5],
+                    anchorXUnits: 'fraction',
+                    anchorYUnits: 'fraction',
+                    rotation: direction / 180 * Math.PI,
+                    rotateWithView: true,
+                    scale: opts.circleRadius / 8
+                })
+            }));
+        }
+        styles.push(new ol.style.Style({
+            image: new ol.style.Circle({
+                radius: opts.circleRadius,
+                fill: new ol.style.Fill({color: opts.fillColor}),
+                stroke: new ol.style.Stroke({color: opts.strokeColor, width: opts.strokeWidth})
+            }),
+            text: new ol.style.Text({
+                font: opts.textFont,
+                text: feature.getProperties().label || "",
+                offsetY: 2 * opts.circleRadius + 4,
+                fill: new ol.style.Fill({color: opts.textFill}),
+                stroke: new ol.style.Stroke({color: opts.textStroke, width: 3})
+            })
+        }));
+        return styles;
+    },
+    cluster: (feature, options) => {
+        const count = (feature.get('features') || []).length;
+        const opts = computeClusterStyle(count, options);
+        return new ol.style.Style({
+            image: new ol.style.Circle({
+                radius: opts.circleRadius,
+                fill: new ol.style.Fill({color: opts.fillColor}),
+                stroke: new ol.style.Stroke({color: opts.strokeColor, width: opts.strokeWidth})
+            }),
+            text: new ol.style.Text({
+                font: opts.textFont,
+                text: String(count),
+                fill: new ol.style.Fill({color: opts.textFill}),
+                stroke: new ol.style.Stroke({color: opts.textStroke, width: 2})
+            })
+        });
+    },
     interaction: (options, isSnap) => {
         const opts = {...DEFAULT_INTERACTION_STYLE, ...ConfigUtils.getConfigProp("defaultInteractionStyle"), ...options};
         let fillColor = opts.fillColor;
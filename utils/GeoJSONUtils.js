@@ -0,0 +1,211 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import geojsonBbox from 'geojson-bounding-box';
+
+/*
+ * Note: this module is also used in web workers,
+ * hence it must not depend on the DOM or on OpenLayers.
+ */
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function transformCoordinates(coordinates, transform) {
+    if (typeof coordinates[0] === "number") {
+        return transform(coordinates);
+    }
+    return coordinates.map(entry => transformCoordinates(entry, transform));
+}
+
+function convert3dto2d(entry) {
+    if (!Array.isArray(entry)) {
+        return entry;
+    } else if (entry.length >= 3 && !Array.isArray(entry[0])) {
+        return [entry[0], entry[1]];
+    } else if (Array.isArray(entry[0])) {
+        return entry.map(convert3dto2d);
+    }
+    return entry;
+}
+
+const GeoJSONUtils = {
+    /**
+     * Converts an OGC URN (i.e. `urn:ogc:def:crs:EPSG::2056`) to a CRS code (i.e. `EPSG:2056`).
+     */
+    fromOgcUrnCrs(crsStr) {
+        if (crsStr.endsWith(":CRS84")) {
+            return "EPSG:4326";
+        }
+        const parts = crsStr.split(":");
+        return "EPSG:" + parts.slice(-1);
+    },
+    /**
+     * Converts a CRS code (i.e. `EPSG:2056`) to an OGC URN (i.e. `urn:ogc:def:crs:EPSG::2056`).
+     */
+    toOgcUrnCrs(crsStr) {
+        const parts = crsStr.split(":");
+        return "urn:ogc:def:crs:" + parts[0] + "::" + parts[1];
+    },
+    convert3dto2d: convert3dto2d,
+    /**
+     * Applies a coordinate transform to all vertices of a GeoJSON geometry.
+     *
+     * @param geometry {Object} The GeoJSON geometry
+     * @param transform {function} A function mapping a coordinate array to the transformed coordinate array
+     *
+     * @return {Object} The transformed geometry
+     */
+    transformGeometry(geometry, transform) {
+        if (!geometry) {
+            return geometry;
+        } else if (geometry.type === "GeometryCollection") {
+            return {...geometry, geometries: geometry.geometries.map(geom => GeoJSONUtils.transformGeometry(geom, transform))};
+        }
+        return {...geometry, coordinates: transformCoordinates(geometry.coordinates, transform)};
+    },
+    /**
+     * Normalizes the features of a GeoJSON FeatureCollection.
+     *
+     * The CRS of each feature is stored as CRS code in its `crs` member, taking into account the `crs` of the FeatureCollection,
+     * the z component of the coordinates is discarded.
+     *
+     * @param data {Object} A GeoJSON FeatureCollection, features may specify their CRS in a `crs` member
+     *
+     * @return {Array} The list of features
+     */
+    normalizeFeatures(data) {
+        let defaultCrs = "EPSG:4326";
+        if (data.crs && data.crs.properties && data.crs.properties.name) {
+            // Extract CRS from FeatureCollection crs
+            defaultCrs = GeoJSONUtils.fromOgcUrnCrs(data.crs.properties.name);
+        }
+        return (data.features || []).map(feature => {
+            let crs = defaultCrs;
+            if (feature.crs && feature.crs.properties && feature.crs.properties.name) {
+                crs = GeoJSONUtils.fromOgcUrnCrs(feature.crs.properties.name);
+            } else if (typeof feature.crs === "string") {
+                crs = feature.crs;
+            }
+            if (feature.geometry && feature.geometry.coordinates) {
+                feature.geometry.coordinates = convert3dto2d(feature.geometry.coordinates);
+            }
+            return {...feature, crs: crs};
+        });
+    },
+    /**
+     * Computes the bounds of a list of GeoJSON features, which are assumed to be in the same CRS.
+     *
+     * @param features {Array} The list of features
+     *
+     * @return {Array} The bounds `[xmin, ymin, xmax, ymax]`
+     */
+    computeBounds(features) {
+        let bounds = geojsonBbox({
+            type: "FeatureCollection",
+            features: features.filter(feature => feature.geometry)
+        });
+        // Discard z component
+        if (bounds.length === 6) {
+            bounds = [bounds[0], bounds[1], bounds[3], bounds[4]];
+        }
+        return bounds;
+    },
+    /**
+     * Serializes a GeoJSON geometry as WKT.
+     *
+     * @param gj {Object} The GeoJSON geometry or feature
+     * @param precision {number} The number of decimals of the coordinates
+     *
+     * @return {string} The WKT string
+     */
+    geometryToWkt(gj, precision = 4) {
+        if (gj.type === 'Feature') {
+            gj = gj.geometry;
+        }
+
+        const wrapParens = (s) =>  { return '(' + s + ')'; };
+        const pairWKT = (c) => { return c.map(x => x.toFixed(precision)).join(' '); };
+        const ringWKT = (r) => { return r.map(pairWKT).join(', '); };
+        const ringsWKT = (r) => { return r.map(ringWKT).map(wrapParens).join(', '); };
+        const multiRingsWKT = (r) => { return r.map(ringsWKT).map(wrapParens).join(', '); };
+
+        switch (gj.type) {
+        case 'Point':
+            return 'POINT (' + pairWKT(gj.coordinates) + ')';
+        case 'LineString':
+            return 'LINESTRING (' + ringWKT(gj.coordinates) + ')';
+        case 'Polygon':
+            return 'POLYGON (' + ringsWKT(gj.coordinates) + ')';
+        case 'MultiPoint':
+            return 'MULTIPOINT (' + ringWKT(gj.coordinates) + ')';
+        case 'MultiPolygon':
+            return 'MULTIPOLYGON (' + multiRingsWKT(gj.coordinates) + ')';
+        case 'MultiLineString':
+            return 'MULTILINESTRING (' + ringsWKT(gj.coordinates) + ')';
+        case 'GeometryCollection':
+            return 'GEOMETRYCOLLECTION (' + gj.geometries.map(
+                (x) => GeoJSONUtils.geometryToWkt(x, precision)
+            ).join(', ') + ')';
+        default:
+            throw new Error('Invalid geometry object');
+        }
+    },
+    /**
+     * Determines the time dimension of imported features.
+     *
+     * The first attribute containing only ISO8601 dates is used as start time,
+     * an `end_time` / `enddate` attribute with ISO8601 dates as end time.
+     *
+     * @param features {Array} A list of GeoJSON features
+     *
+     * @return {Object} A time dimension `{name, units, value, fieldName, endFieldName}` as consumed by the TimeManager, or `null`
+     */
+    getTimeDimension(features) {
+        const attributes = [...new Set(features.map(feature => Object.keys(feature.properties || {})).flat())];
+        const timeAttributes = attributes.filter(attr => {
+            const values = features.map(feature => (feature.properties || {})[attr]).filter(value => value !== undefined && value !== null && value !== "");
+            return values.length > 0 && values.every(value => typeof value === "string" && ISO_DATE_RE.test(value));
+        });
+        const isEndAttribute = (attr) => /^end_?(time|date)$/i.test(attr);
+        const fieldName = timeAttributes.find(attr => !isEndAttribute(attr));
+        if (!fieldName) {
+            return null;
+        }
+        const endFieldName = timeAttributes.find(isEndAttribute);
+        return {
+            name: "time",
+            units: "ISO8601",
+            value: GeoJSONUtils.getTimeDimensionValue(features, fieldName, endFieldName),
+            fieldName: fieldName,
+            endFieldName: endFieldName
+        };
+    },
+    /**
+     * Computes the value of a time dimension, i.e. the sorted list of distinct timestamps of the features.
+     *
+     * @param features {Array} A list of GeoJSON features
+     * @param fieldName {string} The attribute containing the start time
+     * @param endFieldName {string} The attribute containing the end time (optional)
+     *
+     * @return {string} The comma separated list of ISO8601 timestamps
+     */
+    getTimeDimensionValue(features, fieldName, endFieldName = null) {
+        const values = new Set();
+        features.forEach(feature => {
+            [fieldName, endFieldName].filter(Boolean).forEach(attr => {
+                const value = (feature.properties || {})[attr];
+                if (value) {
+                    values.add(new Date(value).toISOString());
+                }
+            });
+        });
+        return [...values].sort().join(", ");
+    }
+};
+
+export default GeoJSONUtils;
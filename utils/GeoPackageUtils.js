@@ -0,0 +1,314 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {register as olProj4Register} from 'ol/proj/proj4';
+import ol from 'openlayers';
+import Proj4js from 'proj4';
+
+import ConfigUtils from './ConfigUtils';
+import CoordinatesUtils from './CoordinatesUtils';
+import VectorLayerUtils from './VectorLayerUtils';
+
+
+const GPKG_APPLICATION_ID = 0x47504B47; // "GPKG"
+const GPKG_USER_VERSION = 10200;
+const WGS84_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],' +
+    'PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+// Definitions of the spatial reference systems registered from imported GeoPackages
+const importedDefinitions = {};
+
+function loadSqlJs() {
+    // The asm.js build does not require serving a separate wasm file
+    return import('sql.js/dist/sql-asm.js').then(mod => mod.default());
+}
+
+function queryRows(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return rows;
+}
+
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function srsToCrs(srs, fallbackCrs) {
+    if (!srs || srs.srs_id === -1) {
+        return fallbackCrs;
+    } else if (srs.srs_id === 0) {
+        return "EPSG:4326";
+    }
+    const crs = (srs.organization || "").toUpperCase() + ":" + srs.organization_coordsys_id;
+    if (Proj4js.defs(crs) === undefined) {
+        if (!srs.definition || srs.definition === "undefined") {
+            return fallbackCrs;
+        }
+        try {
+            Proj4js.defs(crs, srs.definition);
+            olProj4Register(Proj4js);
+            importedDefinitions[crs] = srs.definition;
+        } catch (e) {
+            // eslint-disable-next-line
+            console.warn("Unsupported GeoPackage spatial reference system " + crs);
+            return fallbackCrs;
+        }
+    }
+    return crs;
+}
+
+function crsDefinition(crs) {
+    // The parsed proj4 definitions do not retain WKT, use the WKT of imported GeoPackages or of the configured projections if available
+    const configured = (ConfigUtils.getConfigProp("projections") || []).find(entry => entry.code === crs)?.proj;
+    if (importedDefinitions[crs]) {
+        return importedDefinitions[crs];
+    } else if (configured && !configured.startsWith("+")) {
+        return configured;
+    }
+    return Proj4js.defs(crs)?.projStr || configured || "undefined";
+}
+
+function readGeometry(blob) {
+    // GeoPackage binary header, followed by the (ISO) WKB geometry
+    if (!blob || blob[0] !== 0x47 || blob[1] !== 0x50) {
+        return null;
+    }
+    const flags = blob[3];
+    if (flags & 0x10) {
+        // Empty geometry
+        return null;
+    }
+    const envelopeSize = [0, 32, 48, 48, 64][(flags >> 1) & 0x07] || 0;
+    const geometry = new ol.format.WKB().readGeometry(blob.slice(8 + envelopeSize));
+    return geometry ? new ol.format.GeoJSON().writeGeometryObject(geometry) : null;
+}
+
+function writeGeometry(geometry, srsId) {
+    const olGeometry = new ol.format.GeoJSON().readGeometry(geometry);
+    const wkb = new Uint8Array(new ol.format.WKB({hex: false, ewkb: false, littleEndian: true}).writeGeometry(olGeometry));
+    const extent = olGeometry.getExtent();
+    const blob = new Uint8Array(8 + 32 + wkb.length);
+    const view = new DataView(blob.buffer);
+    blob[0] = 0x47;
+    blob[1] = 0x50;
+    // Version 1, little endian header with [minx, maxx, miny, maxy] envelope
+    blob[2] = 0;
+    blob[3] = 0x01 | (1 << 1);
+    view.setInt32(4, srsId, true);
+    [extent[0], extent[2], extent[1], extent[3]].forEach((value, idx) => view.setFloat64(8 + 8 * idx, value, true));
+    blob.set(wkb, 40);
+    return blob;
+}
+
+function columnType(values) {
+    const defined = values.filter(value => value !== null && value !== undefined && value !== "");
+    if (defined.length === 0) {
+        return "TEXT";
+    } else if (defined.every(value => typeof value === "boolean")) {
+        return "BOOLEAN";
+    } else if (defined.every(value => Number.isInteger(value))) {
+        return "INTEGER";
+    } else if (defined.every(value => typeof value === "number")) {
+        return "REAL";
+    } else if (defined.every(value => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+        return "DATE";
+    } else if (defined.every(value => typeof value === "string" && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value))) {
+        return "DATETIME";
+    }
+    return "TEXT";
+}
+
+function columnValue(value, type) {
+    if (value === null || value === undefined || (value === "" && type !== "TEXT")) {
+        return null;
+    } else if (type === "BOOLEAN") {
+        return value ? 1 : 0;
+    } else if (type === "TEXT" && typeof value === "object") {
+        return JSON.stringify(value);
+    } else if (type === "TEXT") {
+        return String(value);
+    }
+    return value;
+}
+
+function geometryTypeName(features) {
+    const types = new Set(features.filter(feature => feature.geometry).map(feature => feature.geometry.type.toUpperCase()));
+    return types.size === 1 ? [...types][0] : "GEOMETRY";
+}
+
+const GeoPackageUtils = {
+    /**
+     * Opens a GeoPackage file.
+     *
+     * Feature tables are listed in `tables` as `{name, title, crs, count}` objects,
+     * their features can be read as GeoJSON with `readFeatures(tableName)`.
+     * Boolean columns are returned as booleans, dates as ISO strings, other binary columns are skipped.
+     * Features keep the CRS of the table, unknown CRS are registered from the definition stored in the GeoPackage.
+     *
+     * @param data {ArrayBuffer|Blob} The GeoPackage file
+     * @param fallbackCrs {string} The CRS assumed for tables with an undefined spatial reference system
+     *
+     * @return {Promise} A promise resolving to `{tables, readFeatures, close}`
+     */
+    open(data, fallbackCrs = "EPSG:4326") {
+        return Promise.all([
+            loadSqlJs(),
+            data instanceof Blob ? data.arrayBuffer() : data
+        ]).then(([SQL, buffer]) => {
+            const db = new SQL.Database(new Uint8Array(buffer));
+            let tables = [];
+            try {
+                tables = queryRows(db, `
+                    SELECT c.table_name, c.identifier, g.column_name, s.srs_id, s.organization, s.organization_coordsys_id, s.definition
+                    FROM gpkg_contents c
+                    JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+                    LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = g.srs_id
+                    WHERE c.data_type = 'features'
+                    ORDER BY c.table_name
+                `).map(row => ({
+                    name: row.table_name,
+                    title: row.identifier || row.table_name,
+                    geometryColumn: row.column_name,
+                    crs: srsToCrs(row.srs_id !== null ? row : null, fallbackCrs),
+                    count: queryRows(db, "SELECT COUNT(*) AS count FROM " + quoteIdentifier(row.table_name))[0].count
+                }));
+            } catch (e) {
+                db.close();
+                throw e;
+            }
+            return {
+                tables: tables.map(table => ({name: table.name, title: table.title, crs: table.crs, count: table.count})),
+                readFeatures: (tableName) => {
+                    const table = tables.find(entry => entry.name === tableName);
+                    const columns = queryRows(db, "PRAGMA table_info(" + quoteIdentifier(tableName) + ")");
+                    const pkColumn = (columns.find(column => column.pk) || {}).name;
+                    const columnTypes = columns.reduce((res, column) => ({...res, [column.name]: column.type.toUpperCase()}), {});
+                    return queryRows(db, "SELECT * FROM " + quoteIdentifier(tableName)).map(row => {
+                        const properties = {};
+                        Object.entries(row).forEach(([key, value]) => {
+                            if (key === table.geometryColumn || key === pkColumn || value instanceof Uint8Array) {
+                                return;
+                            }
+                            properties[key] = columnTypes[key] === "BOOLEAN" && value !== null ? !!value : value;
+                        });
+                        return {
+                            type: "Feature",
+                            id: pkColumn ? row[pkColumn] : undefined,
+                            geometry: readGeometry(row[table.geometryColumn]),
+                            properties: properties,
+                            crs: table.crs
+                        };
+                    });
+                },
+                close: () => db.close()
+            };
+        });
+    },
+    /**
+     * Writes a GeoPackage file.
+     *
+     * Each table is written as feature table in the CRS of its first feature, attribute column types are derived from the property values.
+     * The spatial reference systems are stored with their WKT definition if known, otherwise with their proj4 definition.
+     *
+     * @param tables {Array} A list of `{name, features}` objects, where features are GeoJSON features with a `crs` member
+     *
+     * @return {Promise} A promise resolving to the GeoPackage file contents as `Uint8Array`
+     */
+    write(tables) {
+        return loadSqlJs().then(SQL => {
+            const db = new SQL.Database();
+            db.run("PRAGMA application_id = " + GPKG_APPLICATION_ID);
+            db.run("PRAGMA user_version = " + GPKG_USER_VERSION);
+            db.run(`
+                CREATE TABLE gpkg_spatial_ref_sys (
+                    srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY, organization TEXT NOT NULL,
+                    organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT
+                );
+                CREATE TABLE gpkg_contents (
+                    table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE, description TEXT DEFAULT '',
+                    last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+                    min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+                    CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+                );
+                CREATE TABLE gpkg_geometry_columns (
+                    table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+                    srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+                    CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+                    CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+                    CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id)
+                );
+            `);
+            const addSrs = db.prepare("INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)");
+            addSrs.run(["Undefined cartesian SRS", -1, "NONE", -1, "undefined", "undefined cartesian coordinate reference system"]);
+            addSrs.run(["Undefined geographic SRS", 0, "NONE", 0, "undefined", "undefined geographic coordinate reference system"]);
+            addSrs.run(["WGS 84 geodetic", 4326, "EPSG", 4326, WGS84_WKT, "longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid"]);
+            const srsIds = {"EPSG:4326": 4326};
+
+            const usedNames = new Set();
+            const usedIdentifiers = new Set();
+            tables.forEach(({name, features}) => {
+                // Unique table name
+                let tableName = String(name).replace(/[^\w]/g, "_") || "features";
+                for (let i = 1; usedNames.has(tableName.toLowerCase()); ++i) {
+                    tableName = tableName.replace(/_\d+$/, "") + "_" + i;
+                }
+                usedNames.add(tableName.toLowerCase());
+                const identifier = usedIdentifiers.has(String(name)) ? tableName : String(name);
+                usedIdentifiers.add(identifier);
+
+                const crs = (features.find(feature => feature.geometry) || {}).crs || "EPSG:4326";
+                if (srsIds[crs] === undefined) {
+                    const [organization, code] = crs.includes(":") ? crs.split(":") : ["NONE", crs];
+                    srsIds[crs] = organization.toUpperCase() === "EPSG" && !isNaN(parseInt(code, 10)) ? parseInt(code, 10) : 100000 + Object.keys(srsIds).length;
+                    addSrs.run([
+                        CoordinatesUtils.getAvailableCRS()[crs]?.label || crs, srsIds[crs], organization.toUpperCase(), parseInt(code, 10) || srsIds[crs], crsDefinition(crs), null
+                    ]);
+                }
+                const srsId = srsIds[crs];
+                const geometries = features.map(feature => feature.geometry ? VectorLayerUtils.reprojectGeometry(feature.geometry, feature.crs || crs, crs) : null);
+
+                const attributes = [...new Set(features.map(feature => Object.keys(feature.properties || {})).flat())].filter(key => key.toLowerCase() !== "fid" && key.toLowerCase() !== "geom");
+                const types = attributes.map(key => columnType(features.map(feature => (feature.properties || {})[key])));
+                db.run(
+                    "CREATE TABLE " + quoteIdentifier(tableName) + " (fid INTEGER PRIMARY KEY AUTOINCREMENT, geom " + geometryTypeName(features) +
+                    attributes.map((key, idx) => ", " + quoteIdentifier(key) + " " + types[idx]).join("") + ")"
+                );
+                const insert = db.prepare(
+                    "INSERT INTO " + quoteIdentifier(tableName) + " (geom" + attributes.map(key => ", " + quoteIdentifier(key)).join("") + ") " +
+                    "VALUES (?" + attributes.map(() => ", ?").join("") + ")"
+                );
+                const extent = ol.extent.createEmpty();
+                features.forEach((feature, idx) => {
+                    const properties = feature.properties || {};
+                    const geom = geometries[idx] ? writeGeometry(geometries[idx], srsId) : null;
+                    if (geometries[idx]) {
+                        ol.extent.extend(extent, VectorLayerUtils.computeFeatureBBox({type: "Feature", geometry: geometries[idx]}));
+                    }
+                    insert.run([geom, ...attributes.map((key, i) => columnValue(properties[key], types[i]))]);
+                });
+                insert.free();
+                const bounds = ol.extent.isEmpty(extent) ? [null, null, null, null] : extent;
+                db.run("INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, 'features', ?, ?, ?, ?, ?, ?)", [
+                    tableName, identifier, ...bounds, srsId
+                ]);
+                db.run("INSERT INTO gpkg_geometry_columns VALUES (?, 'geom', ?, ?, 0, 0)", [tableName, geometryTypeName(features), srsId]);
+            });
+            addSrs.free();
+            const result = db.export();
+            db.close();
+            return result;
+        });
+    }
+};
+
+export default GeoPackageUtils;
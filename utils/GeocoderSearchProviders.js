@@ -0,0 +1,176 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Built-in search providers for standard geocoding services, enabled via the theme `searchProviders`:
+ *
+ *     {"provider": "builtin_nominatim", "params": {...}}
+ *     {"provider": "builtin_photon", "params": {...}}
+ *     {"provider": "builtin_pelias", "params": {"url": "https://api.geocode.earth/v1/search", "api_key": "..."}}
+ *
+ * The `builtin_` keys are reserved, built-in providers take precedence over application providers with the same key.
+ *
+ * Supported `params`:
+ *  - `url`: The search endpoint of the service. Defaults to the public OSM Nominatim and Photon instances, required for Pelias.
+ *  - `lang`: The result language. Defaults to the application language.
+ *  - `limit`: The maximum number of results. Defaults to 10.
+ *  - `bbox`: The area `[minLon, minLat, maxLon, maxLat]` in which results are preferred, or `"map"` for the current map extent.
+ *  - `bounded`: Whether to return only results within `bbox`.
+ *  - `resultTypes`: Mapping of service result types to result group titles. Types mapped to `null` are omitted,
+ *    the `"*"` entry applies to unmapped types. The types are `<class>:<type>`, `<type>` or `<class>` for Nominatim,
+ *    `<osm_key>:<osm_value>`, `<type>`, `<osm_value>` or `<osm_key>` for Photon and `<layer>` for Pelias.
+ *  - `title`: The provider title.
+ *  - `requestParams`: Additional query parameters passed to the service.
+ */
+
+import isEmpty from 'lodash.isempty';
+
+import StandardStore from '../stores/StandardStore';
+import CoordinatesUtils from './CoordinatesUtils';
+import MiscUtils from './MiscUtils';
+import VectorLayerUtils from './VectorLayerUtils';
+
+function searchBBox(cfgParams) {
+    if (cfgParams.bbox === "map") {
+        const mapState = StandardStore.get().getState().map;
+        return CoordinatesUtils.reprojectBbox(mapState.bbox.bounds, mapState.projection, "EPSG:4326");
+    }
+    return Array.isArray(cfgParams.bbox) && cfgParams.bbox.length === 4 ? cfgParams.bbox : null;
+}
+
+function groupResults(key, label, cfgParams, items) {
+    const resultTypes = cfgParams.resultTypes || {};
+    const groups = {};
+    for (const item of items) {
+        const type = item.resultTypes.find(entry => entry in resultTypes) ?? "*";
+        const title = type in resultTypes ? resultTypes[type] : (cfgParams.title || label);
+        if (!title) {
+            continue;
+        }
+        if (!groups[title]) {
+            groups[title] = {id: key + ":" + title, title: title, items: []};
+        }
+        delete item.resultTypes;
+        groups[title].items.push(item);
+    }
+    return Object.values(groups);
+}
+
+function createResultItem(id, label, lon, lat, bbox, geometry, resultTypes) {
+    return {
+        id: id,
+        text: MiscUtils.htmlEncode(label),
+        label: label,
+        x: lon,
+        y: lat,
+        crs: "EPSG:4326",
+        bbox: bbox,
+        geometry: geometry,
+        resultTypes: resultTypes.filter(entry => entry)
+    };
+}
+
+function createProvider(key, label, defaultUrl, buildParams, parseResults) {
+    return {
+        label: label,
+        onSearch: (text, searchParams, callback, axios) => {
+            const cfgParams = searchParams.cfgParams || {};
+            const url = cfgParams.url || defaultUrl;
+            if (!url) {
+                /* eslint-disable-next-line */
+                console.warn("No url configured for the " + label + " search provider");
+                callback({results: []});
+                return;
+            }
+            const params = {
+                ...buildParams(text, {
+                    lang: cfgParams.lang || searchParams.lang,
+                    limit: cfgParams.limit || 10,
+                    bbox: searchBBox(cfgParams),
+                    bounded: cfgParams.bounded === true
+                }, cfgParams),
+                ...(cfgParams.requestParams || {})
+            };
+            axios.get(url, {params}).then(response => {
+                callback({results: groupResults(key, label, cfgParams, parseResults(response.data))});
+            }).catch(e => {
+                /* eslint-disable-next-line */
+                console.warn(label + " search failed: " + e);
+                callback({results: []});
+            });
+        },
+        getResultGeometry: (item, callback) => {
+            callback({geometry: isEmpty(item.geometry) ? null : VectorLayerUtils.geoJSONGeomToWkt(item.geometry, 6), crs: item.crs});
+        }
+    };
+}
+
+function photonLabel(properties) {
+    const parts = [
+        properties.name,
+        [properties.street, properties.housenumber].filter(entry => entry).join(" "),
+        [properties.postcode, properties.city].filter(entry => entry).join(" "),
+        properties.country
+    ];
+    return parts.filter((entry, idx) => entry && parts.indexOf(entry) === idx).join(", ");
+}
+
+export default {
+    builtin_nominatim: createProvider("nominatim", "Nominatim", "https://nominatim.openstreetmap.org/search", (text, options) => ({
+        "q": text,
+        "format": "jsonv2",
+        "limit": options.limit,
+        "accept-language": options.lang,
+        "polygon_geojson": 1,
+        ...(options.bbox ? {viewbox: options.bbox.join(","), bounded: options.bounded ? 1 : 0} : {})
+    }), (data) => (data || []).map(entry => {
+        const [minLat, maxLat, minLon, maxLon] = (entry.boundingbox || []).map(Number);
+        return createResultItem(
+            "nominatim:" + entry.place_id, entry.display_name, Number(entry.lon), Number(entry.lat),
+            entry.boundingbox ? [minLon, minLat, maxLon, maxLat] : null, entry.geojson,
+            [entry.category + ":" + entry.type, entry.type, entry.category]
+        );
+    })),
+    builtin_photon: createProvider("photon", "Photon", "https://photon.komoot.io/api/", (text, options) => {
+        const params = {q: text, limit: options.limit, lang: (options.lang || "").slice(0, 2) || undefined};
+        if (options.bbox && options.bounded) {
+            params.bbox = options.bbox.join(",");
+        } else if (options.bbox) {
+            params.lon = 0.5 * (options.bbox[0] + options.bbox[2]);
+            params.lat = 0.5 * (options.bbox[1] + options.bbox[3]);
+        }
+        return params;
+    }, (data) => (data?.features || []).map(feature => {
+        const props = feature.properties;
+        // Photon extents are [minLon, maxLat, maxLon, minLat]
+        const extent = props.extent ? [props.extent[0], props.extent[3], props.extent[2], props.extent[1]] : null;
+        return createResultItem(
+            "photon:" + props.osm_type + props.osm_id, photonLabel(props), feature.geometry.coordinates[0], feature.geometry.coordinates[1], extent, feature.geometry,
+            [props.osm_key + ":" + props.osm_value, props.type, props.osm_value, props.osm_key]
+        );
+    })),
+    builtin_pelias: createProvider("pelias", "Pelias", null, (text, options, cfgParams) => {
+        const params = {text: text, size: options.limit, lang: options.lang, api_key: cfgParams.api_key};
+        if (options.bbox && options.bounded) {
+            params["boundary.rect.min_lon"] = options.bbox[0];
+            params["boundary.rect.min_lat"] = options.bbox[1];
+            params["boundary.rect.max_lon"] = options.bbox[2];
+            params["boundary.rect.max_lat"] = options.bbox[3];
+        } else if (options.bbox) {
+            params["focus.point.lon"] = 0.5 * (options.bbox[0] + options.bbox[2]);
+            params["focus.point.lat"] = 0.5 * (options.bbox[1] + options.bbox[3]);
+        }
+        return params;
+    }, (data) => (data?.features || []).map(feature => {
+        const props = feature.properties;
+        return createResultItem(
+            "pelias:" + props.gid, props.label, feature.geometry.coordinates[0], feature.geometry.coordinates[1], feature.bbox || null, feature.geometry,
+            [props.layer]
+        );
+    }))
+};
@@ -0,0 +1,301 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import LocaleUtils from './LocaleUtils';
+
+/*
+ * Pixel coordinates are relative to the top left corner of the image, with the y axis pointing down.
+ * Map coordinates are expressed in the map CRS, with the y axis pointing up.
+ */
+
+// Number of samples along each image edge when computing the extent of the warped image
+const EDGE_SAMPLES = 16;
+
+function solveLeastSquares(rows, values) {
+    // Solves the normal equations by Gaussian elimination with partial pivoting
+    const n = rows[0].length;
+    const matrix = [...Array(n).keys()].map(i => [...Array(n + 1).keys()].map(j => rows.reduce((sum, row, k) => (
+        sum + row[i] * (j < n ? row[j] : values[k])
+    ), 0)));
+    for (let col = 0; col < n; ++col) {
+        let pivot = col;
+        for (let row = col + 1; row < n; ++row) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-10) {
+            // Degenerate configuration, i.e. collinear points
+            return null;
+        }
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        for (let row = col + 1; row < n; ++row) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k <= n; ++k) {
+                matrix[row][k] -= factor * matrix[col][k];
+            }
+        }
+    }
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; --row) {
+        let sum = matrix[row][n];
+        for (let k = row + 1; k < n; ++k) {
+            sum -= matrix[row][k] * solution[k];
+        }
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+function normalization(points) {
+    // Center and scale the points, for numerical stability
+    const center = [0, 1].map(i => points.reduce((sum, point) => sum + point[i], 0) / points.length);
+    const scale = Math.max(...points.map(point => Math.max(Math.abs(point[0] - center[0]), Math.abs(point[1] - center[1])))) || 1;
+    return (point) => [(point[0] - center[0]) / scale, (point[1] - center[1]) / scale];
+}
+
+function fitPolynomial(src, dst, basis) {
+    // Fits each component of dst separately as a linear combination of the basis terms of src
+    const normalize = normalization(src);
+    const rows = src.map(point => basis(normalize(point)));
+    const coeffX = solveLeastSquares(rows, dst.map(point => point[0]));
+    const coeffY = solveLeastSquares(rows, dst.map(point => point[1]));
+    if (!coeffX || !coeffY) {
+        return null;
+    }
+    return (point) => {
+        const terms = basis(normalize(point));
+        return [
+            terms.reduce((sum, term, idx) => sum + term * coeffX[idx], 0),
+            terms.reduce((sum, term, idx) => sum + term * coeffY[idx], 0)
+        ];
+    };
+}
+
+function fitHelmert(src, dst) {
+    // Similarity transform: x' = a * x + b * y + c, y' = b * x - a * y + d (the image y axis points down)
+    const normalize = normalization(src);
+    const rows = [];
+    const values = [];
+    src.forEach((point, idx) => {
+        const [x, y] = normalize(point);
+        rows.push([x, y, 1, 0]);
+        values.push(dst[idx][0]);
+        rows.push([-y, x, 0, 1]);
+        values.push(dst[idx][1]);
+    });
+    const coeff = solveLeastSquares(rows, values);
+    if (!coeff) {
+        return null;
+    }
+    const [a, b, c, d] = coeff;
+    return (point) => {
+        const [x, y] = normalize(point);
+        return [a * x + b * y + c, b * x - a * y + d];
+    };
+}
+
+function affineParameters(forward) {
+    // Affine parameters [a, b, c, d, e, f] of a linear transform x' = a * x + b * y + c, y' = d * x + e * y + f
+    const origin = forward([0, 0]);
+    const unitX = forward([1, 0]);
+    const unitY = forward([0, 1]);
+    return [
+        unitX[0] - origin[0], unitY[0] - origin[0], origin[0],
+        unitX[1] - origin[1], unitY[1] - origin[1], origin[1]
+    ];
+}
+
+function invertAffine(params) {
+    const [a, b, c, d, e, f] = params;
+    const det = a * e - b * d;
+    return (point) => {
+        const x = point[0] - c;
+        const y = point[1] - f;
+        return [(e * x - b * y) / det, (a * y - d * x) / det];
+    };
+}
+
+const POLYNOMIAL_BASIS = ([x, y]) => [1, x, y, x * x, x * y, y * y];
+const AFFINE_BASIS = ([x, y]) => [1, x, y];
+
+const GeoreferenceUtils = {
+    /**
+     * The supported transformations and the minimum number of control points they require.
+     */
+    TRANSFORMATIONS: {
+        helmert: {minPoints: 2, labelmsgid: LocaleUtils.trmsg("georeferencer.helmert")},
+        affine: {minPoints: 3, labelmsgid: LocaleUtils.trmsg("georeferencer.affine")},
+        polynomial: {minPoints: 6, labelmsgid: LocaleUtils.trmsg("georeferencer.polynomial")}
+    },
+    /**
+     * Computes the transformation from image pixels to map coordinates.
+     *
+     * @param controlPoints {Array} The control points `[{pixel, coordinate}]`, incomplete points are ignored
+     * @param type {string} The transformation, `helmert` (scale, rotation and translation), `affine` or `polynomial` (second order)
+     *
+     * @return {Object} `{type, forward, inverse, affine, residuals, rmse}` or `null` if there are not enough
+     * or degenerate control points, where `forward` maps pixels to coordinates, `inverse` coordinates to pixels,
+     * `affine` are the parameters `[a, b, c, d, e, f]` of linear transformations (`x = a * px + b * py + c`,
+     * `y = d * px + e * py + f`, otherwise `null`) and `residuals` are the distances of the transformed pixels to the
+     * coordinates of the control points in map units.
+     */
+    computeTransform(controlPoints, type) {
+        const points = controlPoints.filter(point => point.pixel && point.coordinate);
+        if (!(type in GeoreferenceUtils.TRANSFORMATIONS) || points.length < GeoreferenceUtils.TRANSFORMATIONS[type].minPoints) {
+            return null;
+        }
+        const pixels = points.map(point => point.pixel);
+        const coordinates = points.map(point => point.coordinate);
+        let forward = null;
+        let inverse = null;
+        let affine = null;
+        if (type === "polynomial") {
+            forward = fitPolynomial(pixels, coordinates, POLYNOMIAL_BASIS);
+            // Not invertible in closed form, fit the reverse polynomial instead
+            inverse = fitPolynomial(coordinates, pixels, POLYNOMIAL_BASIS);
+        } else {
+            forward = type === "helmert" ? fitHelmert(pixels, coordinates) : fitPolynomial(pixels, coordinates, AFFINE_BASIS);
+            if (forward) {
+                affine = affineParameters(forward);
+                inverse = invertAffine(affine);
+            }
+        }
+        if (!forward || !inverse || (affine && Math.abs(affine[0] * affine[4] - affine[1] * affine[3]) < 1e-20)) {
+            return null;
+        }
+        const residuals = controlPoints.map(point => {
+            if (!point.pixel || !point.coordinate) {
+                return null;
+            }
+            const transformed = forward(point.pixel);
+            return Math.hypot(transformed[0] - point.coordinate[0], transformed[1] - point.coordinate[1]);
+        });
+        const valid = residuals.filter(residual => residual !== null);
+        const rmse = Math.sqrt(valid.reduce((sum, residual) => sum + residual * residual, 0) / valid.length);
+        return {type, forward, inverse, affine, residuals, rmse};
+    },
+    /**
+     * Computes the extent of the transformed image in map coordinates.
+     *
+     * @param transform {Object} The transformation, as returned by `computeTransform`
+     * @param width {number} The image width in pixels
+     * @param height {number} The image height in pixels
+     *
+     * @return {Array} The extent `[xmin, ymin, xmax, ymax]`
+     */
+    computeImageExtent(transform, width, height) {
+        const samples = [];
+        for (let i = 0; i <= EDGE_SAMPLES; ++i) {
+            const t = i / EDGE_SAMPLES;
+            samples.push([t * width, 0], [t * width, height], [0, t * height], [width, t * height]);
+        }
+        const coordinates = samples.map(transform.forward);
+        return [
+            Math.min(...coordinates.map(coo => coo[0])), Math.min(...coordinates.map(coo => coo[1])),
+            Math.max(...coordinates.map(coo => coo[0])), Math.max(...coordinates.map(coo => coo[1]))
+        ];
+    },
+    /**
+     * Warps an image to the map, as axis aligned image which can be displayed as `image` layer.
+     *
+     * @param image {HTMLImageElement} The loaded image
+     * @param transform {Object} The transformation, as returned by `computeTransform`
+     * @param maxSize {number} The maximum width and height of the warped image
+     *
+     * @return {Object} `{canvas, extent}`, the canvas containing the warped image and its extent in map coordinates
+     */
+    warpImage(image, transform, maxSize = 4096) {
+        const width = image.naturalWidth;
+        const height = image.naturalHeight;
+        const extent = GeoreferenceUtils.computeImageExtent(transform, width, height);
+        const extentWidth = extent[2] - extent[0];
+        const extentHeight = extent[3] - extent[1];
+        // Preserve the pixel density of the source image
+        let resolution = Math.sqrt(extentWidth * extentHeight / (width * height));
+        resolution = Math.max(resolution, Math.max(extentWidth, extentHeight) / maxSize);
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.ceil(extentWidth / resolution));
+        canvas.height = Math.max(1, Math.ceil(extentHeight / resolution));
+        const context = canvas.getContext("2d");
+        if (transform.affine) {
+            // Let the canvas do the work
+            const [a, b, c, d, e, f] = transform.affine;
+            context.setTransform(a / resolution, -d / resolution, b / resolution, -e / resolution, (c - extent[0]) / resolution, (extent[3] - f) / resolution);
+            context.drawImage(image, 0, 0);
+            return {canvas, extent};
+        }
+        const source = document.createElement("canvas");
+        source.width = width;
+        source.height = height;
+        const sourceContext = source.getContext("2d");
+        sourceContext.drawImage(image, 0, 0);
+        const sourceData = sourceContext.getImageData(0, 0, width, height).data;
+        const target = context.createImageData(canvas.width, canvas.height);
+        for (let row = 0; row < canvas.height; ++row) {
+            for (let col = 0; col < canvas.width; ++col) {
+                const pixel = transform.inverse([extent[0] + (col + 0.5) * resolution, extent[3] - (row + 0.5) * resolution]);
+                const px = Math.floor(pixel[0]);
+                const py = Math.floor(pixel[1]);
+                if (px >= 0 && py >= 0 && px < width && py < height) {
+                    // Nearest neighbour sampling
+                    const src = 4 * (py * width + px);
+                    const dst = 4 * (row * canvas.width + col);
+                    target.data[dst] = sourceData[src];
+                    target.data[dst + 1] = sourceData[src + 1];
+                    target.data[dst + 2] = sourceData[src + 2];
+                    target.data[dst + 3] = sourceData[src + 3];
+                }
+            }
+        }
+        context.putImageData(target, 0, 0);
+        return {canvas, extent};
+    },
+    /**
+     * Recreates the warped image of a georeferenced image layer, i.e. when restoring a permalink.
+     *
+     * @param georeference {Object} The `georeference` property of the layer, `{image, transformation, controlPoints}`
+     * @param maxSize {number} The maximum width and height of the warped image
+     * @param callback {function} Invoked with `{url, imageExtent}`, or with `null` if the image cannot be restored
+     */
+    restoreImage(georeference, maxSize, callback) {
+        const transform = GeoreferenceUtils.computeTransform(georeference.controlPoints || [], georeference.transformation);
+        if (!transform || !georeference.image) {
+            callback(null);
+            return;
+        }
+        const image = new Image();
+        image.onload = () => {
+            const {canvas, extent} = GeoreferenceUtils.warpImage(image, transform, maxSize);
+            callback({url: canvas.toDataURL("image/png"), imageExtent: extent});
+        };
+        image.onerror = () => callback(null);
+        image.src = georeference.image;
+    },
+    /**
+     * Returns the world file contents for an image.
+     *
+     * @param affine {Array} The affine parameters `[a, b, c, d, e, f]` mapping image pixels to map coordinates
+     *
+     * @return {string} The world file contents
+     */
+    worldFile(affine) {
+        const [a, b, c, d, e, f] = affine;
+        // The world file references the center of the top left pixel
+        return [a, d, b, e, a * 0.5 + b * 0.5 + c, d * 0.5 + e * 0.5 + f].map(value => String(value)).join("\n") + "\n";
+    },
+    /**
+     * Returns the world file extension for an image file name, i.e. `pgw` for `plan.png`.
+     */
+    worldFileExtension(filename) {
+        const ext = filename.replace(/^.*\./, '').toLowerCase();
+        return ext.length >= 3 ? ext[0] + ext[ext.length - 1] + "w" : "wld";
+    }
+};
+
+export default GeoreferenceUtils;
@@ -0,0 +1,415 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {forward as mgrsForward} from 'mgrs';
+import Proj4js from 'proj4';
+
+import CoordinatesUtils from './CoordinatesUtils';
+
+/*
+ * A grid is configured as
+ *
+ * {
+ *   type: "graticule|projected|utm|mgrs100k|mgrs1k",
+ *   crs: <grid CRS of projected grids, defaults to the map CRS>,
+ *   intervals: [{s: <scale>, x: <x interval>, y: <y interval>}, ...] (graticule and projected grids, in grid CRS units),
+ *   labelFormat: "dms|dm|decimal" (graticule) or "m|km" (projected),
+ *   maxScale: <scale above which the grid is not drawn>,
+ *   style: {strokeColor, strokeWidth, strokeDash, textFill, textStroke, textFont}
+ * }
+ *
+ * The intervals are sorted by descending scale, the first entry whose scale `s` does not exceed the map scale applies.
+ * If no intervals are configured, they are chosen to display a handful of lines.
+ */
+
+const DEFAULT_GRID_STYLE = {
+    strokeColor: [255, 120, 0, 0.9],
+    strokeWidth: 1.5,
+    strokeDash: [],
+    textFill: "black",
+    textStroke: "white",
+    textFont: "10pt sans-serif"
+};
+
+// Maximum number of lines per axis, above which a grid is not drawn
+const MAX_GRID_LINES = 100;
+
+// Number of segments into which lines are split before reprojecting them
+const DENSIFY_SEGMENTS = 32;
+
+// Approximate number of lines per axis of automatic intervals
+const AUTO_GRID_LINES = 6;
+
+const UTM_MIN_LAT = -80;
+const UTM_MAX_LAT = 84;
+const LAT_BANDS = "CDEFGHJKLMNPQRSTUVWX";
+
+// Longitude ranges of the zones which deviate from the regular 6° zones in a latitude band, null if the zone does not exist
+const UTM_ZONE_EXCEPTIONS = {
+    // Norway
+    V: {31: [0, 3], 32: [3, 12]},
+    // Svalbard
+    X: {31: [0, 9], 32: null, 33: [9, 21], 34: null, 35: [21, 33], 36: null, 37: [33, 42]}
+};
+
+function niceInterval(span) {
+    const raw = span / AUTO_GRID_LINES;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const factor = [1, 2, 5, 10].find(f => f * magnitude >= raw);
+    return factor * magnitude;
+}
+
+function gridIntervals(grid, scale, extent) {
+    const intervals = grid.intervals || [];
+    if (intervals.length > 0) {
+        let cur = 0;
+        for (; cur < intervals.length - 1 && scale < intervals[cur].s; ++cur);
+        return [intervals[cur].x, intervals[cur].y];
+    }
+    const interval = niceInterval(Math.max(extent[2] - extent[0], extent[3] - extent[1]));
+    return [interval, interval];
+}
+
+function densify(start, end) {
+    return [...Array(DENSIFY_SEGMENTS + 1).keys()].map(idx => [
+        start[0] + idx / DENSIFY_SEGMENTS * (end[0] - start[0]),
+        start[1] + idx / DENSIFY_SEGMENTS * (end[1] - start[1])
+    ]);
+}
+
+function transformExtent(extent, transform) {
+    // Sample the extent edges, since the extent of the transformed corners may not cover curved edges
+    const [x1, y1, x2, y2] = extent;
+    const points = [
+        ...densify([x1, y1], [x2, y1]), ...densify([x2, y1], [x2, y2]),
+        ...densify([x2, y2], [x1, y2]), ...densify([x1, y2], [x1, y1])
+    ].map(transform).filter(point => point.every(isFinite));
+    if (points.length === 0) {
+        return null;
+    }
+    return [
+        Math.min(...points.map(point => point[0])), Math.min(...points.map(point => point[1])),
+        Math.max(...points.map(point => point[0])), Math.max(...points.map(point => point[1]))
+    ];
+}
+
+function clipSegment(p1, p2, bounds) {
+    // Liang-Barsky line clipping
+    let t0 = 0;
+    let t1 = 1;
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const checks = [[-dx, p1[0] - bounds[0]], [dx, bounds[2] - p1[0]], [-dy, p1[1] - bounds[1]], [dy, bounds[3] - p1[1]]];
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q < 0) {
+                return null;
+            }
+        } else {
+            const t = q / p;
+            if (p < 0) {
+                t0 = Math.max(t0, t);
+            } else {
+                t1 = Math.min(t1, t);
+            }
+        }
+    }
+    if (t0 > t1) {
+        return null;
+    }
+    return [[p1[0] + t0 * dx, p1[1] + t0 * dy], [p1[0] + t1 * dx, p1[1] + t1 * dy]];
+}
+
+function clipLine(coordinates, bounds) {
+    const parts = [];
+    let current = null;
+    for (let i = 0; i < coordinates.length - 1; ++i) {
+        const clipped = clipSegment(coordinates[i], coordinates[i + 1], bounds);
+        if (!clipped) {
+            current = null;
+            continue;
+        }
+        if (!current) {
+            current = [clipped[0]];
+            parts.push(current);
+        }
+        current.push(clipped[1]);
+        if (clipped[1][0] !== coordinates[i + 1][0] || clipped[1][1] !== coordinates[i + 1][1]) {
+            // The segment leaves the bounds
+            current = null;
+        }
+    }
+    return parts;
+}
+
+function formatAngle(value, positive, negative, format) {
+    const hemisphere = value < 0 ? negative : positive;
+    const abs = Math.abs(value);
+    if (format === "decimal") {
+        return parseFloat(abs.toFixed(6)) + "°" + hemisphere;
+    }
+    // Round to the displayed precision first to avoid labels like 59.9999'
+    const seconds = Math.round(abs * 3600 * 100) / 100;
+    const deg = Math.floor(seconds / 3600);
+    const min = Math.floor((seconds - deg * 3600) / 60);
+    const sec = parseFloat((seconds - deg * 3600 - min * 60).toFixed(2));
+    if (format === "dm") {
+        return deg + "°" + String(parseFloat((min + sec / 60).toFixed(3))).padStart(2, "0") + "'" + hemisphere;
+    }
+    return deg + "°" + String(min).padStart(2, "0") + "'" + (sec ? String(sec).padStart(2, "0") + '"' : "") + hemisphere;
+}
+
+function utmDefinition(zone, south) {
+    return "+proj=utm +zone=" + zone + (south ? " +south" : "") + " +datum=WGS84 +units=m +no_defs";
+}
+
+class GridBuilder {
+    constructor(grid, extent, crs) {
+        this.extent = extent;
+        this.crs = crs;
+        this.style = {...DEFAULT_GRID_STYLE, ...grid.style};
+        this.features = [];
+    }
+    addLine(coordinates, sourceCrs) {
+        const transformed = coordinates.map(coo => CoordinatesUtils.reproject(coo, sourceCrs, this.crs));
+        for (const part of clipLine(transformed, this.extent)) {
+            this.features.push({
+                type: "Feature",
+                geometry: {type: "LineString", coordinates: part},
+                properties: {},
+                crs: this.crs,
+                styleName: "default",
+                styleOptions: {...this.style, circleRadius: 0}
+            });
+        }
+    }
+    addLabel(coordinate, label) {
+        this.features.push({
+            type: "Feature",
+            geometry: {type: "Point", coordinates: coordinate},
+            properties: {label: label},
+            crs: this.crs,
+            styleName: "default",
+            styleOptions: {...this.style, strokeWidth: 0, fillColor: [0, 0, 0, 0], circleRadius: 0}
+        });
+    }
+    addEdgeLabel(coordinates, sourceCrs, label, vertical) {
+        // Label lines where they enter the extent, at the bottom or left edge
+        const transformed = coordinates.map(coo => CoordinatesUtils.reproject(coo, sourceCrs, this.crs));
+        const parts = clipLine(transformed, this.extent);
+        if (parts.length === 0) {
+            return;
+        }
+        const ends = parts.map(part => [part[0], part[part.length - 1]]).flat();
+        const anchor = ends.reduce((best, point) => (
+            (vertical ? point[1] < best[1] : point[0] < best[0]) ? point : best
+        ));
+        this.addLabel(anchor, label);
+    }
+    addLineGrid(gridCrs, gridExtent, intervals, formatX, formatY) {
+        const [ix, iy] = intervals;
+        if (!(ix > 0) || !(iy > 0) || (gridExtent[2] - gridExtent[0]) / ix > MAX_GRID_LINES || (gridExtent[3] - gridExtent[1]) / iy > MAX_GRID_LINES) {
+            return;
+        }
+        for (let x = Math.ceil(gridExtent[0] / ix) * ix; x <= gridExtent[2]; x += ix) {
+            const line = densify([x, gridExtent[1]], [x, gridExtent[3]]);
+            this.addLine(line, gridCrs);
+            this.addEdgeLabel(line, gridCrs, formatX(x), true);
+        }
+        for (let y = Math.ceil(gridExtent[1] / iy) * iy; y <= gridExtent[3]; y += iy) {
+            const line = densify([gridExtent[0], y], [gridExtent[2], y]);
+            this.addLine(line, gridCrs);
+            this.addEdgeLabel(line, gridCrs, formatY(y), false);
+        }
+    }
+}
+
+function buildGraticule(builder, grid, scale) {
+    const extent = transformExtent(builder.extent, coo => CoordinatesUtils.reproject(coo, builder.crs, "EPSG:4326"));
+    if (!extent) {
+        return;
+    }
+    const lonLatExtent = [Math.max(-180, extent[0]), Math.max(-90, extent[1]), Math.min(180, extent[2]), Math.min(90, extent[3])];
+    const intervals = gridIntervals(grid, scale, lonLatExtent);
+    const format = grid.labelFormat || "dms";
+    builder.addLineGrid("EPSG:4326", lonLatExtent, intervals,
+        lon => formatAngle(lon, "E", "W", format),
+        lat => formatAngle(lat, "N", "S", format)
+    );
+}
+
+function buildProjectedGrid(builder, grid, scale) {
+    const gridCrs = grid.crs || builder.crs;
+    const extent = transformExtent(builder.extent, coo => CoordinatesUtils.reproject(coo, builder.crs, gridCrs));
+    if (!extent) {
+        return;
+    }
+    const intervals = gridIntervals(grid, scale, extent);
+    const format = (value) => grid.labelFormat === "km" ? parseFloat((value / 1000).toFixed(3)) + " km" : String(parseFloat(value.toFixed(3)));
+    builder.addLineGrid(gridCrs, extent, intervals, format, format);
+}
+
+function utmZoneAreas() {
+    // The areas of the UTM zones per hemisphere as WGS84 bounds, split where the zone width changes between latitude bands
+    const areas = [];
+    for (let zone = 1; zone <= 60; ++zone) {
+        const lon0 = -180 + (zone - 1) * 6;
+        LAT_BANDS.split("").forEach((band, idx) => {
+            const exceptions = UTM_ZONE_EXCEPTIONS[band] || {};
+            const lons = zone in exceptions ? exceptions[zone] : [lon0, lon0 + 6];
+            if (!lons) {
+                return;
+            }
+            const bandMin = UTM_MIN_LAT + idx * 8;
+            const bandMax = idx === LAT_BANDS.length - 1 ? UTM_MAX_LAT : bandMin + 8;
+            const south = bandMin < 0;
+            const last = areas[areas.length - 1];
+            if (last && last.zone === zone && last.south === south && last.bounds[0] === lons[0] && last.bounds[2] === lons[1]) {
+                last.bounds[3] = bandMax;
+            } else {
+                areas.push({zone, south, bounds: [lons[0], bandMin, lons[1], bandMax]});
+            }
+        });
+    }
+    return areas;
+}
+
+const UTM_ZONE_AREAS = utmZoneAreas();
+
+function utmCells(builder) {
+    // The UTM zone areas intersecting the extent, with the WGS84 bounds of their visible part
+    const extent = transformExtent(builder.extent, coo => CoordinatesUtils.reproject(coo, builder.crs, "EPSG:4326"));
+    if (!extent) {
+        return [];
+    }
+    return UTM_ZONE_AREAS.filter(area => (
+        area.bounds[0] < extent[2] && area.bounds[2] > extent[0] && area.bounds[1] < extent[3] && area.bounds[3] > extent[1]
+    )).map(area => ({
+        zone: area.zone,
+        south: area.south,
+        bounds: [Math.max(area.bounds[0], extent[0]), Math.max(area.bounds[1], extent[1]), Math.min(area.bounds[2], extent[2]), Math.min(area.bounds[3], extent[3])],
+        zoneBounds: area.bounds
+    }));
+}
+
+function buildUtmZones(builder) {
+    const extent = transformExtent(builder.extent, coo => CoordinatesUtils.reproject(coo, builder.crs, "EPSG:4326"));
+    if (!extent) {
+        return;
+    }
+    // Zone boundaries, the latitude band boundaries are parallels spanning all zones
+    UTM_ZONE_AREAS.forEach(area => {
+        const lons = area.bounds[2] === 180 ? [area.bounds[0], 180] : [area.bounds[0]];
+        lons.filter(lon => lon >= extent[0] && lon <= extent[2] && area.bounds[1] <= extent[3] && area.bounds[3] >= extent[1]).forEach(lon => {
+            builder.addLine(densify([lon, area.bounds[1]], [lon, area.bounds[3]]), "EPSG:4326");
+        });
+    });
+    const bandLats = [...Array(LAT_BANDS.length).keys()].map(idx => UTM_MIN_LAT + idx * 8).concat([UTM_MAX_LAT]);
+    bandLats.filter(lat => lat >= extent[1] && lat <= extent[3]).forEach(lat => {
+        builder.addLine(densify([Math.max(-180, extent[0]), lat], [Math.min(180, extent[2]), lat]), "EPSG:4326");
+    });
+    // Label the zone and latitude band of each cell at the center of its visible part
+    utmCells(builder).forEach(cell => {
+        LAT_BANDS.split("").forEach((band, idx) => {
+            const bandMin = UTM_MIN_LAT + idx * 8;
+            const bandMax = idx === LAT_BANDS.length - 1 ? UTM_MAX_LAT : bandMin + 8;
+            const minLat = Math.max(bandMin, cell.bounds[1]);
+            const maxLat = Math.min(bandMax, cell.bounds[3]);
+            if (minLat < maxLat) {
+                const center = [0.5 * (cell.bounds[0] + cell.bounds[2]), 0.5 * (minLat + maxLat)];
+                builder.addLabel(CoordinatesUtils.reproject(center, "EPSG:4326", builder.crs), cell.zone + band);
+            }
+        });
+    });
+}
+
+function buildMgrsGrid(builder, interval) {
+    for (const cell of utmCells(builder)) {
+        // eslint-disable-next-line
+        const projector = Proj4js("EPSG:4326", utmDefinition(cell.zone, cell.south));
+        const toLonLat = (coo) => projector.inverse(coo);
+        const utmExtent = transformExtent(cell.bounds, coo => projector.forward(coo));
+        if (!utmExtent || (utmExtent[2] - utmExtent[0]) / interval > MAX_GRID_LINES || (utmExtent[3] - utmExtent[1]) / interval > MAX_GRID_LINES) {
+            continue;
+        }
+        // Lines are computed in UTM coordinates and clipped to the zone in WGS84 coordinates
+        const addLine = (start, end) => {
+            for (const part of clipLine(densify(start, end).map(toLonLat), cell.zoneBounds)) {
+                builder.addLine(part, "EPSG:4326");
+            }
+        };
+        const minE = Math.floor(utmExtent[0] / interval) * interval;
+        const minN = Math.floor(utmExtent[1] / interval) * interval;
+        for (let e = minE; e <= utmExtent[2]; e += interval) {
+            addLine([e, utmExtent[1]], [e, utmExtent[3]]);
+        }
+        for (let n = minN; n <= utmExtent[3]; n += interval) {
+            addLine([utmExtent[0], n], [utmExtent[2], n]);
+        }
+        if (interval === 100000) {
+            // Label the 100 km squares at the center of their visible part
+            for (let e = minE; e <= utmExtent[2]; e += interval) {
+                for (let n = minN; n <= utmExtent[3]; n += interval) {
+                    const square = [Math.max(e, utmExtent[0]), Math.max(n, utmExtent[1]), Math.min(e + interval, utmExtent[2]), Math.min(n + interval, utmExtent[3])];
+                    const center = toLonLat([0.5 * (square[0] + square[2]), 0.5 * (square[1] + square[3])]);
+                    if (center[0] >= cell.bounds[0] && center[0] < cell.bounds[2] && center[1] >= cell.bounds[1] && center[1] < cell.bounds[3]) {
+                        // Strip the easting and northing digits to obtain the grid zone and 100 km square identifier
+                        const squareId = mgrsForward(center, 1).slice(0, -2);
+                        builder.addLabel(CoordinatesUtils.reproject(center, "EPSG:4326", builder.crs), squareId);
+                    }
+                }
+            }
+        } else {
+            // Label the lines with their kilometer digits within the 100 km square
+            const digits = (value) => String(Math.round(value / 1000) % 100).padStart(2, "0");
+            for (let e = minE; e <= utmExtent[2]; e += interval) {
+                builder.addEdgeLabel(densify([e, utmExtent[1]], [e, utmExtent[3]]).map(toLonLat), "EPSG:4326", digits(e), true);
+            }
+            for (let n = minN; n <= utmExtent[3]; n += interval) {
+                builder.addEdgeLabel(densify([utmExtent[0], n], [utmExtent[2], n]).map(toLonLat), "EPSG:4326", digits(n), false);
+            }
+        }
+    }
+}
+
+const GridUtils = {
+    /**
+     * The supported grid types.
+     */
+    GRID_TYPES: ["graticule", "projected", "utm", "mgrs100k", "mgrs1k"],
+    /**
+     * Computes the lines and labels of a grid.
+     *
+     * @param grid {Object} The grid configuration, see above
+     * @param extent {Array} The extent `[xmin, ymin, xmax, ymax]` to cover
+     * @param crs {string} The CRS of the extent and of the returned features
+     * @param scale {number} The map scale
+     *
+     * @return {Array} The GeoJSON features, `LineString` grid lines and `Point` labels (with a `label` property),
+     * with their style options set to be rendered with the `default` feature style.
+     */
+    computeGrid(grid, extent, crs, scale) {
+        const builder = new GridBuilder(grid, extent, crs);
+        if (grid.maxScale && scale > grid.maxScale) {
+            return [];
+        } else if (grid.type === "projected") {
+            buildProjectedGrid(builder, grid, scale);
+        } else if (grid.type === "utm") {
+            buildUtmZones(builder);
+        } else if (grid.type === "mgrs100k") {
+            buildMgrsGrid(builder, 100000);
+        } else if (grid.type === "mgrs1k") {
+            buildMgrsGrid(builder, 1000);
+        } else {
+            buildGraticule(builder, grid, scale);
+        }
+        return builder.features;
+    }
+};
+
+export default GridUtils;
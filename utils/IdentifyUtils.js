@@ -17,6 +17,7 @@ import {LayerRole} from '../actions/layers';
 import ConfigUtils from '../utils/ConfigUtils';
 import CoordinatesUtils from '../utils/CoordinatesUtils';
 import LayerUtils from '../utils/LayerUtils';
+import LocaleUtils from '../utils/LocaleUtils';
 import MapUtils from '../utils/MapUtils';
 import VectorLayerUtils from './VectorLayerUtils';
 
@@ -127,6 +128,32 @@ const IdentifyUtils = {
         };
         return identifyRequestParams(layer, queryLayers, map.projection, params);
     },
+    getArcGISQueryLayers(maplayers) {
+        return maplayers.filter(l => l.visibility && l.type === "arcgismapserver" && l.role !== LayerRole.BACKGROUND && l.queryable);
+    },
+    buildArcGISRequest(layer, center, map, options = {}) {
+        const size = [101, 101];
+        const resolution = MapUtils.computeForZoom(map.resolutions, map.zoom);
+        const dx = 0.5 * resolution * size[0];
+        const dy = 0.5 * resolution * size[1];
+        const layerIds = (layer.layers || "").replace(/^show:/, "");
+        return {
+            url: layer.url.split("?")[0].replace(/\/$/, "") + "/identify",
+            params: {
+                ...url.parse(layer.url, true).query,
+                f: "json",
+                geometry: center.join(","),
+                geometryType: "esriGeometryPoint",
+                sr: map.projection.replace(/^EPSG:/i, ""),
+                layers: layerIds ? "all:" + layerIds : "visible",
+                tolerance: 5,
+                mapExtent: [center[0] - dx, center[1] - dy, center[0] + dx, center[1] + dy].join(","),
+                imageDisplay: size.join(",") + ",96",
+                returnGeometry: true,
+                ...options
+            }
+        };
+    },
     sendRequest(request, responseHandler) {
         const urlParts = url.parse(request.url, true);
         urlParts.query = {
@@ -173,6 +200,8 @@ const IdentifyUtils = {
             results[layer.name] = [{type: "text", text: response, id: posstr, layername: layer.name, layertitle: layer.title}];
         } else if (format === "text/html") {
             results[layer.name] = [{type: "html", text: response, id: posstr, layername: layer.name, layertitle: layer.title}];
+        } else if (format === "arcgis") {
+            results = IdentifyUtils.parseArcGISResponse(response, layer);
         }
         // Add clickPos, bounding box, displayname and layer name / title
         for (const layername of Object.keys(results)) {
@@ -187,6 +216,63 @@ const IdentifyUtils = {
         }
         return results;
     },
+    identifyCOGLayers(maplayers, clickPoint, projection) {
+        // Reads the raw band values of the rendered cloud optimized GeoTIFF layers at the click position
+        const getNativeLayer = MapUtils.getHook(MapUtils.GET_NATIVE_LAYER);
+        const pixel = MapUtils.getHook(MapUtils.GET_PIXEL_FROM_COORDINATES_HOOK)(clickPoint);
+        const digits = CoordinatesUtils.getUnits(projection) === 'degrees' ? 4 : 0;
+        const posstr = clickPoint[0].toFixed(digits) + ", " + clickPoint[1].toFixed(digits);
+        const results = {};
+        maplayers.filter(layer => layer.type === "cog" && layer.visibility).forEach(layer => {
+            const data = getNativeLayer(layer.id)?.getData(pixel);
+            const bands = layer.bands || [1];
+            // Skip if outside the image or if the alpha band marks the pixel as nodata
+            if (!data || (data.length > bands.length && data[bands.length] === 0)) {
+                return;
+            }
+            results[layer.name] = [{
+                type: "Feature",
+                id: posstr,
+                layername: layer.name,
+                layertitle: layer.title,
+                displayname: posstr,
+                properties: bands.reduce((res, band, idx) => ({...res, [LocaleUtils.tr("identify.band", band)]: data[idx]}), {}),
+                geometry: {type: "Point", coordinates: clickPoint},
+                crs: projection,
+                clickPos: clickPoint
+            }];
+        });
+        return results;
+    },
+    identifyVectorTileFeatures(maplayers, features, projection) {
+        // Reports the clicked features of queryable vector tile layers, grouped by source layer
+        const results = {};
+        features.forEach(feature => {
+            const layer = maplayers.find(l => l.id === feature.layerId);
+            if (layer?.type !== "mvt" || !layer.queryable) {
+                return;
+            }
+            // The MVT format stores the source layer name in the "layer" property
+            const {layer: sourceLayer, ...properties} = feature.properties || {};
+            const layername = layer.name + "/" + sourceLayer;
+            if (!results[layername]) {
+                results[layername] = [];
+            }
+            const id = feature.id ?? sourceLayer + "." + results[layername].length;
+            results[layername].push({
+                ...feature,
+                id: id,
+                crs: projection,
+                layername: layername,
+                layertitle: (layer.title || layer.name) + " / " + sourceLayer,
+                displayname: properties.name || properties.Name || properties.NAME || id,
+                properties: Object.entries(properties).reduce((res, [key, val]) => ({
+                    ...res, [key]: typeof val === "object" ? JSON.stringify(val) : val
+                }), {})
+            });
+        });
+        return results;
+    },
     determineDisplayName(layer, layername, item) {
         const properties = item.properties || {};
         if (item.displayfield) {
@@ -308,6 +394,30 @@ const IdentifyUtils = {
         });
         return result;
     },
+    parseArcGISResponse(response, layer) {
+        // Geometries are returned in the spatial reference of the request
+        const esriFormat = new ol.format.EsriJSON();
+        const geojsonFormat = new ol.format.GeoJSON();
+        const result = {};
+        (response.results || []).forEach(entry => {
+            const layername = entry.layerName || String(entry.layerId);
+            if (result[layername] === undefined) {
+                result[layername] = [];
+            }
+            const attributes = entry.attributes || {};
+            result[layername].push({
+                type: "Feature",
+                id: entry.layerId + "." + (attributes.OBJECTID ?? attributes.FID ?? uuidv1()),
+                properties: attributes,
+                geometry: entry.geometry ? geojsonFormat.writeGeometryObject(esriFormat.readGeometry(entry.geometry)) : null,
+                displayfield: entry.displayFieldName,
+                layername: layername,
+                layertitle: entry.layerName || layer.title,
+                layerinfo: layer.name
+            });
+        });
+        return result;
+    },
     parseGmlResponse(response, geometrycrs, posstr, layer) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(response, "text/xml");
@@ -0,0 +1,711 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import exifr from 'exifr';
+import JSZip from 'jszip';
+import isEmpty from 'lodash.isempty';
+import {WorkerMessageHandler} from "pdfjs-dist/build/pdf.worker";
+import Proj4js from 'proj4';
+import {read as readShapefile} from 'shapefile';
+import {v4 as uuidv4} from 'uuid';
+
+import CoordinatesUtils from './CoordinatesUtils';
+import GeoJSONUtils from './GeoJSONUtils';
+import GeoPackageUtils from './GeoPackageUtils';
+import LocaleUtils from './LocaleUtils';
+import PMTilesUtils from './PMTilesUtils';
+import ResourceRegistry from './ResourceRegistry';
+import ServiceLayerUtils from './ServiceLayerUtils';
+import VectorLayerUtils from './VectorLayerUtils';
+import WorkerUtils from './WorkerUtils';
+
+// Layer id of the imported photos
+const PHOTO_LAYER_ID = "importedphotos";
+// Maximum width and height of the photo thumbnails
+const PHOTO_THUMBNAIL_SIZE = 160;
+
+function dbfEncoding(cpg) {
+    // I.e. "UTF-8", "1252", "ANSI 1252", "CP1252", "ISO-8859-1"
+    const codepage = (cpg || "").trim();
+    if (!codepage) {
+        return "windows-1252";
+    } else if (/^(65001|utf-?8)$/i.test(codepage)) {
+        return "utf-8";
+    } else if (/^(ANSI\s*)?\d+$/i.test(codepage)) {
+        return "windows-" + codepage.replace(/\D/g, "");
+    }
+    return codepage.toLowerCase();
+}
+
+function normalizeProperties(properties) {
+    // DBF date fields are read as Date objects
+    return Object.entries(properties || {}).reduce((res, [key, value]) => {
+        res[key] = value instanceof Date ? value.toISOString().slice(0, 10) : value;
+        return res;
+    }, {});
+}
+
+function childText(element, name) {
+    const child = [...element.children].find(entry => entry.localName === name);
+    return child ? child.textContent.trim() : undefined;
+}
+
+function readGPXPoint(point) {
+    const ele = childText(point, "ele");
+    return {
+        coordinates: [parseFloat(point.getAttribute("lon")), parseFloat(point.getAttribute("lat"))],
+        ele: ele !== undefined ? parseFloat(ele) : undefined,
+        time: childText(point, "time")
+    };
+}
+
+function readGPXPoints(element, name) {
+    return [...element.getElementsByTagNameNS("*", name)].map(readGPXPoint);
+}
+
+function gpxPathProperties(element, points) {
+    // Summarize the per-vertex elevations and timestamps, so that the track can be placed on the timeline
+    const elevations = points.map(point => point.ele).filter(ele => ele !== undefined && !isNaN(ele));
+    const times = points.map(point => point.time).filter(Boolean).sort();
+    return {
+        name: childText(element, "name"),
+        desc: childText(element, "desc"),
+        type: childText(element, "type"),
+        ele_min: elevations.length > 0 ? Math.min(...elevations) : undefined,
+        ele_max: elevations.length > 0 ? Math.max(...elevations) : undefined,
+        time: times[0],
+        end_time: times[times.length - 1]
+    };
+}
+
+function pruneProperties(properties) {
+    return Object.entries(properties).reduce((res, [key, value]) => {
+        if (value !== undefined) {
+            res[key] = value;
+        }
+        return res;
+    }, {});
+}
+
+function parseDelimitedRows(text, delimiter) {
+    // Handles quoted values with embedded delimiters, newlines and escaped ("") quotes
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; ++i) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                value += '"';
+                ++i;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c === '"' && value === "") {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(value);
+            value = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                ++i;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += c;
+        }
+    }
+    if (value !== "" || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(entry => entry.length > 1 || entry[0] !== "");
+}
+
+function importError(msgId, ...args) {
+    // Errors with a message which can be shown to the user
+    const error = new Error(msgId);
+    error.userMessage = LocaleUtils.tr(msgId, ...args);
+    return error;
+}
+
+function readDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (ev) => resolve(ev.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function readCOG(file) {
+    return ServiceLayerUtils.getCOGMetadata(file).then(metadata => {
+        const resourceKey = "cog:" + uuidv4();
+        ResourceRegistry.addResource(resourceKey, file);
+        return [{
+            layer: {
+                ...ServiceLayerUtils.getCOGLayer(metadata, null, file.name),
+                title: file.name.replace(/\.[^/.]+$/, ""),
+                blob: resourceKey,
+                zoomToExtent: true
+            }
+        }];
+    });
+}
+
+function readFlatGeobuf(file) {
+    return ServiceLayerUtils.getFlatGeobufMetadata(file).then(metadata => {
+        const resourceKey = "flatgeobuf:" + uuidv4();
+        ResourceRegistry.addResource(resourceKey, file);
+        return [{
+            layer: {
+                ...ServiceLayerUtils.getFlatGeobufLayer(metadata, null, file.name),
+                title: metadata.title || file.name.replace(/\.[^/.]+$/, ""),
+                blob: resourceKey,
+                zoomToExtent: true
+            }
+        }];
+    });
+}
+
+function readPMTiles(file) {
+    return PMTilesUtils.getMetadata(file).then(metadata => {
+        const resourceKey = "pmtiles:" + uuidv4();
+        ResourceRegistry.addResource(resourceKey, file);
+        return [{
+            layer: {
+                ...ServiceLayerUtils.getPMTilesLayer(metadata, null, file.name),
+                title: metadata.title || file.name.replace(/\.[^/.]+$/, ""),
+                blob: resourceKey,
+                zoomToExtent: true
+            }
+        }];
+    });
+}
+
+function readGeoPDF(file, mapCrs) {
+    return readDataURL(file).then(dataUrl => {
+        const pdfText = atob(dataUrl.slice(28));
+        /* FIXME: This is a very ugly way to extract PDF objects */
+        const GPTS = pdfText.match(/\/GPTS\s+\[([^\]]+)\]/);
+        const LPTS = pdfText.match(/\/LPTS\s+\[([^\]]+)\]/);
+        const Viewport = pdfText.match(/<<([^>]+\/Type\s+\/Viewport[^>]+)>>/);
+        const EPSG = pdfText.match(/\/EPSG\s*(\d+)/);
+        if (!GPTS || !LPTS || !Viewport || !EPSG) {
+            throw importError(LocaleUtils.trmsg("importlayer.notgeopdf"));
+        }
+        const pairs = (res, value, idx, array) => idx % 2 === 0 ? [...res, array.slice(idx, idx + 2)] : res;
+        const gpts = GPTS[1].split(/\s+/).filter(Boolean).map(Number).reduce(pairs, []).map(e => e.reverse()); // lat-lon => lon-lat
+        const lpts = LPTS[1].split(/\s+/).filter(Boolean).map(Number).reduce(pairs, []);
+        const viewport = Viewport[1].match(/\/BBox\s+\[([^\]]+)\]/)[1].split(/\s+/).filter(Boolean).map(Number);
+        const epsg = EPSG[1];
+        const projDef = Proj4js.defs('EPSG:' + epsg);
+        if (!projDef) {
+            throw importError(LocaleUtils.trmsg("importlayer.unknownproj"), 'EPSG:' + epsg);
+        }
+        // Construct geog CS
+        const geogCs = {
+            projName: 'longlat',
+            ellps: projDef.ellps,
+            datum_params: projDef.datum_params,
+            no_defs: projDef.no_defs
+        };
+
+        // Compute the georeferenced area
+        // Note: this is a simplistic implementation, assuming that the frame is rectangular and not skewed
+        const getCornerIdx = (x, y) => lpts.findIndex(entry => Math.round(entry[0]) === x && Math.round(entry[1]) === y);
+        const idxBL = getCornerIdx(0, 0);
+        const idxTR = getCornerIdx(1, 1);
+
+        const computeCorner = (idx) => ({
+            pixel: [
+                viewport[0] * (1 - lpts[idx][0]) + viewport[2] * lpts[idx][0],
+                viewport[1] * (1 - lpts[idx][1]) + viewport[3] * lpts[idx][1]
+            ],
+            // eslint-disable-next-line
+            coo: Proj4js(geogCs, mapCrs, gpts[idx])
+        });
+        const bl = computeCorner(idxBL);
+        const tr = computeCorner(idxTR);
+        const geoextent = [bl.coo[0], bl.coo[1], tr.coo[0], tr.coo[1]];
+        const imgextent = [bl.pixel[0], bl.pixel[1], tr.pixel[0], tr.pixel[1]];
+
+        return import('pdfjs-dist/build/pdf').then(pdfjsLib => {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = WorkerMessageHandler;
+            return pdfjsLib.getDocument(dataUrl).promise;
+        }).then(pdf => pdf.getPage(1)).then(page => {
+            const pageViewport = page.getViewport({scale: 1});
+            const canvas = document.createElement('canvas');
+            canvas.width = imgextent[2] - imgextent[0];
+            canvas.height = imgextent[3] - imgextent[1];
+            const context = canvas.getContext('2d');
+            context.translate(-imgextent[0], -(pageViewport.height - imgextent[3]));
+            return page.render({canvasContext: context, viewport: pageViewport}).promise.then(() => [{
+                layer: {
+                    type: "image",
+                    name: file.name,
+                    title: file.name,
+                    url: canvas.toDataURL(),
+                    projection: mapCrs,
+                    imageExtent: geoextent
+                }
+            }]);
+        });
+    });
+}
+
+function folderSublayers(folders) {
+    // KML folders are displayed as groups in the LayerTree, their name matches the folder of the features
+    return folders.map(folder => ({
+        name: folder.id,
+        title: folder.name,
+        visibility: folder.visibility,
+        uuid: uuidv4(),
+        ...(isEmpty(folder.folders) ? {} : {sublayers: folderSublayers(folder.folders)})
+    }));
+}
+
+function vectorLayerEntry(filename, features, timeDimension, bbox = null, folders = []) {
+    return {
+        layer: {
+            name: filename,
+            title: filename.replace(/\.[^/.]+$/, ""),
+            zoomToExtent: true,
+            // Allow filtering the features in the TimeManager
+            dimensions: timeDimension ? [timeDimension] : undefined,
+            bbox: bbox,
+            sublayers: isEmpty(folders) ? undefined : folderSublayers(folders)
+        },
+        features: features
+    };
+}
+
+function readFeaturesInWorker(format) {
+    // Parse, reproject and compute the extent off the main thread, since the files can be large
+    return (file, mapCrs, options) => file.text().then(text => {
+        const args = {text: text, format: format, crs: mapCrs, projDefs: WorkerUtils.getProjectionDefs()};
+        return WorkerUtils.runTask("readFeatures", args, options);
+    }).then(result => {
+        if (isEmpty(result.features)) {
+            return [];
+        }
+        return [vectorLayerEntry(file.name, result.features, result.timeDimension, result.bbox, result.folders)];
+    });
+}
+
+function photoTimestamp(exif) {
+    // Prefer the GPS timestamp, which is in UTC, over the capture time, which is in the (unknown) local time of the camera
+    if (exif.GPSDateStamp && Array.isArray(exif.GPSTimeStamp)) {
+        const [year, month, day] = exif.GPSDateStamp.split(/[:-]/).map(Number);
+        const [hours, minutes, seconds] = exif.GPSTimeStamp;
+        const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, Math.floor(seconds)));
+        if (!isNaN(date)) {
+            return date.toISOString();
+        }
+    }
+    const date = exif.DateTimeOriginal || exif.CreateDate;
+    return date instanceof Date && !isNaN(date) ? date.toISOString() : undefined;
+}
+
+function photoThumbnail(file) {
+    // Use the embedded EXIF thumbnail if available, otherwise scale down the photo
+    return exifr.thumbnail(file).catch(() => null).then(thumbnail => {
+        if (thumbnail) {
+            return readDataURL(new Blob([thumbnail], {type: "image/jpeg"}));
+        }
+        return createImageBitmap(file).then(bitmap => {
+            const scale = Math.min(1, PHOTO_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return canvas.toDataURL("image/jpeg", 0.8);
+        });
+    });
+}
+
+function readGeotaggedPhoto(file) {
+    return exifr.parse(file, {gps: true}).catch(() => null).then(exif => {
+        if (!exif || typeof exif.latitude !== "number" || typeof exif.longitude !== "number") {
+            throw importError(LocaleUtils.trmsg("importlayer.nophotolocation"));
+        }
+        return photoThumbnail(file).then(thumbnail => {
+            // The thumbnail is referenced by its resource key, to keep the image data out of permalinks and exports
+            const thumbnailKey = "thumbnail:" + uuidv4();
+            ResourceRegistry.addResource(thumbnailKey, thumbnail);
+            const altitude = typeof exif.GPSAltitude === "number" ? exif.GPSAltitude * (exif.GPSAltitudeRef === 1 ? -1 : 1) : undefined;
+            const feature = {
+                type: "Feature",
+                geometry: {type: "Point", coordinates: [exif.longitude, exif.latitude]},
+                properties: pruneProperties({
+                    name: file.name,
+                    timestamp: photoTimestamp(exif),
+                    direction: typeof exif.GPSImgDirection === "number" ? exif.GPSImgDirection : undefined,
+                    altitude: altitude,
+                    thumbnail: thumbnailKey
+                }),
+                crs: "EPSG:4326",
+                styleName: "photo"
+            };
+            const timeDimension = feature.properties.timestamp ? {
+                name: "time",
+                units: "ISO8601",
+                value: GeoJSONUtils.getTimeDimensionValue([feature], "timestamp"),
+                fieldName: "timestamp"
+            } : null;
+            // All photos are collected in a single layer
+            const entry = vectorLayerEntry(LocaleUtils.tr("importlayer.photos"), [feature], timeDimension);
+            return [{...entry, layer: {...entry.layer, id: PHOTO_LAYER_ID}, append: true}];
+        });
+    });
+}
+
+const ImportUtils = {
+    /**
+     * Returns the supported local file formats.
+     *
+     * Each format is an object `{extensions, read}`, where `read(file, mapCrs, options)` returns a promise
+     * resolving to a list of `{layer, features}` entries, see `importFile`.
+     */
+    getFileFormats() {
+        const readText = (read) => (file, mapCrs) => file.text().then(text => read(text, file.name, mapCrs));
+        return [{
+            extensions: [".kml"],
+            read: readFeaturesInWorker("kml")
+        }, {
+            extensions: [".json", ".geojson"],
+            read: readFeaturesInWorker("geojson")
+        }, {
+            extensions: [".gpx"],
+            read: readText((text, filename) => [ImportUtils.createVectorLayer(filename, {features: ImportUtils.readGPX(text)})])
+        }, {
+            extensions: [".csv", ".tsv"],
+            read: readText((text, filename, mapCrs) => {
+                const data = ImportUtils.parseDelimitedText(text, filename.toLowerCase().endsWith(".tsv") ? "\t" : null);
+                const mapping = ImportUtils.guessColumnMapping(data.columns, mapCrs);
+                if (!mapping) {
+                    throw importError(LocaleUtils.trmsg("importlayer.nogeometrycolumns"));
+                }
+                return [ImportUtils.createVectorLayer(filename, {features: ImportUtils.delimitedTextToFeatures(data, mapping)})];
+            })
+        }, {
+            extensions: [".zip"],
+            read: (file, mapCrs) => ImportUtils.readShapefileZip(file, mapCrs).then(shapefiles => {
+                if (isEmpty(shapefiles)) {
+                    throw importError(LocaleUtils.trmsg("importlayer.noshapefile"));
+                }
+                // Name the layers after the zip file, unless it contains multiple shapefiles
+                return shapefiles.map(shapefile => ImportUtils.createVectorLayer(shapefiles.length > 1 ? shapefile.name + ".shp" : file.name, {features: shapefile.features}));
+            })
+        }, {
+            extensions: [".gpkg"],
+            read: (file, mapCrs) => GeoPackageUtils.open(file, mapCrs).then(geoPackage => {
+                try {
+                    // The tables to import of GeoPackages with multiple tables are chosen in the layer import dialog
+                    if (geoPackage.tables.length > 1) {
+                        throw importError(LocaleUtils.trmsg("importlayer.gpkgmultipletables"));
+                    }
+                    return geoPackage.tables.map(table => ImportUtils.createVectorLayer(table.title, {features: geoPackage.readFeatures(table.name)}));
+                } finally {
+                    geoPackage.close();
+                }
+            })
+        }, {
+            extensions: [".jpg", ".jpeg"],
+            read: readGeotaggedPhoto
+        }, {
+            extensions: [".fgb"],
+            read: readFlatGeobuf
+        }, {
+            extensions: [".tif", ".tiff"],
+            read: readCOG
+        }, {
+            extensions: [".pmtiles"],
+            read: readPMTiles
+        }, {
+            extensions: [".pdf"],
+            read: readGeoPDF
+        }];
+    },
+    /**
+     * Returns the file extensions of the supported local file formats.
+     */
+    getSupportedExtensions() {
+        return ImportUtils.getFileFormats().map(format => format.extensions).flat();
+    },
+    /**
+     * Reads a local file as layers.
+     *
+     * @param file {File} The file
+     * @param mapCrs {string} The map CRS
+     * @param options {Object} Options `{onProgress, signal}`, see `WorkerUtils.runTask`. Not all formats report progress.
+     *
+     * @return {Promise} A promise resolving to a list of `{layer, features, append}` entries, which are to be added
+     * with `addLayerFeatures(layer, features, !append)` if `features` is set and with `addLayer(layer)` otherwise.
+     * If `append` is set, the features are added to the layer if it already exists, i.e. for geotagged photos.
+     * If the promise is rejected, the `userMessage` of the error (if any) describes the problem.
+     * If the import is cancelled, the promise is rejected with an `AbortError`.
+     */
+    importFile(file, mapCrs, options = {}) {
+        const filename = file.name.toLowerCase();
+        const format = ImportUtils.getFileFormats().find(entry => entry.extensions.find(ext => filename.endsWith(ext)));
+        if (!format) {
+            return Promise.reject(importError(LocaleUtils.trmsg("importlayer.unsupportedformat")));
+        }
+        return format.read(file, mapCrs, options).then(entries => {
+            if (options.signal?.aborted) {
+                throw options.signal.reason;
+            }
+            entries = entries.filter(Boolean);
+            if (isEmpty(entries)) {
+                throw importError(LocaleUtils.trmsg("importlayer.nofeatures"));
+            }
+            return entries;
+        });
+    },
+    /**
+     * Creates a vector layer entry for imported GeoJSON data, see `importFile`.
+     *
+     * @param filename {string} The name of the imported file
+     * @param data {Object} A GeoJSON FeatureCollection, features may specify their CRS in a `crs` member
+     *
+     * @return {Object} A `{layer, features}` entry, or `null` if there are no features
+     */
+    createVectorLayer(filename, data) {
+        if (isEmpty(data.features)) {
+            return null;
+        }
+        const features = GeoJSONUtils.normalizeFeatures(data);
+        return vectorLayerEntry(filename, features, GeoJSONUtils.getTimeDimension(features));
+    },
+    /**
+     * Computes the combined extent of imported layers.
+     *
+     * @param entries {Array} A list of `{layer, features}` entries, see `importFile`
+     * @param crs {string} The CRS of the returned extent
+     *
+     * @return {Array} The extent, or `null` if the extent of none of the layers is known
+     */
+    computeExtent(entries, crs) {
+        const extents = entries.map(entry => {
+            if (entry.layer.bbox) {
+                return entry.layer.bbox;
+            } else if (entry.features) {
+                return VectorLayerUtils.computeFeaturesBBox(entry.features);
+            } else if (entry.layer.imageExtent) {
+                return {bounds: entry.layer.imageExtent, crs: entry.layer.projection};
+            }
+            return null;
+        }).filter(Boolean).map(bbox => CoordinatesUtils.reprojectBbox(bbox.bounds, bbox.crs, crs));
+        if (isEmpty(extents)) {
+            return null;
+        }
+        return extents.reduce((res, extent) => [
+            Math.min(res[0], extent[0]), Math.min(res[1], extent[1]), Math.max(res[2], extent[2]), Math.max(res[3], extent[3])
+        ]);
+    },
+    /**
+     * Reads all shapefiles contained in a zip archive.
+     *
+     * Geometries are reprojected to EPSG:4326 using the definition of the `.prj` file,
+     * attributes are decoded with the codepage specified in the `.cpg` file.
+     *
+     * @param data {ArrayBuffer|Blob} The zip archive
+     * @param fallbackCrs {string} The CRS assumed for shapefiles without `.prj`
+     *
+     * @return {Promise} A promise resolving to a list of `{name, crs, features}` objects
+     */
+    readShapefileZip(data, fallbackCrs = "EPSG:4326") {
+        return JSZip.loadAsync(data).then(zip => {
+            const files = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith("__MACOSX/"));
+            const findFile = (basename, ext) => files.find(entry => entry.name.toLowerCase() === (basename + ext).toLowerCase());
+            const shapefiles = files.filter(entry => entry.name.toLowerCase().endsWith(".shp")).map(entry => {
+                const basename = entry.name.slice(0, -4);
+                const dbf = findFile(basename, ".dbf");
+                const prj = findFile(basename, ".prj");
+                const cpg = findFile(basename, ".cpg");
+                return Promise.all([
+                    entry.async("arraybuffer"),
+                    dbf ? dbf.async("arraybuffer") : null,
+                    prj ? prj.async("string") : null,
+                    cpg ? cpg.async("string") : null
+                ]).then(([shpData, dbfData, prjData, cpgData]) => {
+                    return readShapefile(shpData, dbfData, {encoding: dbfEncoding(cpgData)}).then(collection => {
+                        let crs = fallbackCrs;
+                        let features = collection.features;
+                        if (prjData) {
+                            // eslint-disable-next-line
+                            const transform = Proj4js(prjData, "EPSG:4326").forward;
+                            features = features.map(feature => ({...feature, geometry: GeoJSONUtils.transformGeometry(feature.geometry, transform)}));
+                            crs = "EPSG:4326";
+                        }
+                        return {
+                            name: basename.split("/").pop(),
+                            crs: crs,
+                            features: features.map(feature => ({...feature, properties: normalizeProperties(feature.properties), crs: crs}))
+                        };
+                    });
+                });
+            });
+            return Promise.all(shapefiles);
+        });
+    },
+    /**
+     * Reads the waypoints, routes and tracks of a GPX document as GeoJSON features in EPSG:4326.
+     *
+     * Waypoints keep their elevation (`ele`) and timestamp (`time`),
+     * routes and tracks are summarized with the elevation range (`ele_min`, `ele_max`) and time span (`time`, `end_time`) of their vertices.
+     *
+     * @param text {string} The GPX document
+     *
+     * @return {Array} The list of GeoJSON features
+     */
+    readGPX(text) {
+        const doc = new DOMParser().parseFromString(text, "text/xml");
+        if (doc.documentElement.localName !== "gpx") {
+            throw new Error("Not a GPX document");
+        }
+        const features = [];
+        [...doc.documentElement.children].forEach(element => {
+            if (element.localName === "wpt") {
+                const point = readGPXPoint(element);
+                features.push({
+                    type: "Feature",
+                    geometry: {type: "Point", coordinates: point.coordinates},
+                    properties: pruneProperties({
+                        gpx_type: "waypoint",
+                        name: childText(element, "name"),
+                        desc: childText(element, "desc"),
+                        sym: childText(element, "sym"),
+                        type: childText(element, "type"),
+                        ele: point.ele,
+                        time: point.time
+                    }),
+                    crs: "EPSG:4326"
+                });
+            } else if (element.localName === "rte") {
+                const points = readGPXPoints(element, "rtept");
+                if (points.length > 1) {
+                    features.push({
+                        type: "Feature",
+                        geometry: {type: "LineString", coordinates: points.map(point => point.coordinates)},
+                        properties: pruneProperties({gpx_type: "route", ...gpxPathProperties(element, points)}),
+                        crs: "EPSG:4326"
+                    });
+                }
+            } else if (element.localName === "trk") {
+                const segments = [...element.getElementsByTagNameNS("*", "trkseg")].map(segment => readGPXPoints(segment, "trkpt")).filter(points => points.length > 1);
+                if (segments.length > 0) {
+                    features.push({
+                        type: "Feature",
+                        geometry: {type: "MultiLineString", coordinates: segments.map(points => points.map(point => point.coordinates))},
+                        properties: pruneProperties({gpx_type: "track", ...gpxPathProperties(element, segments.flat())}),
+                        crs: "EPSG:4326"
+                    });
+                }
+            }
+        });
+        return features;
+    },
+    /**
+     * Parses a delimited text (CSV/TSV) file with a header row.
+     *
+     * The delimiter is guessed from the header row, unless specified.
+     *
+     * @param text {string} The file contents
+     * @param delimiter {string} The delimiter (optional)
+     *
+     * @return {Object} An object `{columns, rows}`, where `rows` is a list of value arrays
+     */
+    parseDelimitedText(text, delimiter = null) {
+        if (!delimiter) {
+            const header = text.split(/\r?\n/, 1)[0];
+            delimiter = ["\t", ";", ","].map(c => [c, header.split(c).length]).sort((a, b) => b[1] - a[1])[0][0];
+        }
+        const rows = parseDelimitedRows(text.replace(/^\uFEFF/, ""), delimiter);
+        const columns = (rows.shift() || []).map((column, idx) => column.trim() || "field_" + (idx + 1));
+        return {columns, rows};
+    },
+    /**
+     * Guesses the geometry column mapping of delimited text from the column names.
+     *
+     * @param columns {Array} The column names
+     * @param mapCrs {string} The CRS assumed for projected coordinates
+     *
+     * @return {Object} A mapping `{mode, xColumn, yColumn, wktColumn, crs}` as consumed by `delimitedTextToFeatures`, or `null` if no geometry columns were found
+     */
+    guessColumnMapping(columns, mapCrs) {
+        const findColumn = (pattern) => columns.find(column => pattern.test(column.trim())) || "";
+        const xColumn = findColumn(/^(x|lon|lng|long|longitude|easting)$/i);
+        const yColumn = findColumn(/^(y|lat|latitude|northing)$/i);
+        const wktColumn = findColumn(/^(wkt|wkt_geom|geom|geometry|the_geom)$/i);
+        if (!wktColumn && !(xColumn && yColumn)) {
+            return null;
+        }
+        const geographic = /^(lon|lng|long|longitude)$/i.test(xColumn);
+        return {
+            mode: xColumn && yColumn ? "xy" : "wkt",
+            xColumn: xColumn,
+            yColumn: yColumn,
+            wktColumn: wktColumn,
+            crs: geographic ? "EPSG:4326" : mapCrs
+        };
+    },
+    /**
+     * Converts parsed delimited text rows to GeoJSON features.
+     *
+     * Numeric columns are converted to numbers, rows without valid geometry are skipped.
+     *
+     * @param data {Object} The parsed delimited text, as returned by `parseDelimitedText`
+     * @param mapping {Object} The geometry column mapping `{mode: "xy|wkt", xColumn, yColumn, wktColumn, crs}`
+     *
+     * @return {Array} The list of GeoJSON features
+     */
+    delimitedTextToFeatures(data, mapping) {
+        const numericColumns = data.columns.map((column, idx) => {
+            const values = data.rows.map(row => (row[idx] ?? "").trim()).filter(Boolean);
+            return values.length > 0 && values.every(value => !isNaN(Number(value)));
+        });
+        const xIdx = data.columns.indexOf(mapping.xColumn);
+        const yIdx = data.columns.indexOf(mapping.yColumn);
+        const wktIdx = data.columns.indexOf(mapping.wktColumn);
+        const wkt = mapping.mode === "wkt";
+        const geomColumns = wkt ? [wktIdx] : [xIdx, yIdx];
+        return data.rows.map(row => {
+            let geometry = null;
+            if (wkt) {
+                geometry = row[wktIdx] ? VectorLayerUtils.wktToGeoJSON(row[wktIdx].trim(), mapping.crs, mapping.crs)?.geometry : null;
+            } else {
+                // Allow decimal commas
+                const x = parseFloat((row[xIdx] || "").replace(",", "."));
+                const y = parseFloat((row[yIdx] || "").replace(",", "."));
+                geometry = !isNaN(x) && !isNaN(y) ? {type: "Point", coordinates: [x, y]} : null;
+            }
+            if (!geometry) {
+                return null;
+            }
+            const properties = data.columns.reduce((res, column, idx) => {
+                if (!geomColumns.includes(idx)) {
+                    const value = (row[idx] ?? "").trim();
+                    res[column] = numericColumns[idx] && value !== "" ? Number(value) : value;
+                }
+                return res;
+            }, {});
+            return {type: "Feature", geometry: geometry, properties: properties, crs: mapping.crs};
+        }).filter(Boolean);
+    }
+};
+
+export default ImportUtils;
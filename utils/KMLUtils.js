@@ -0,0 +1,513 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {XMLParser} from 'fast-xml-parser';
+import omit from 'lodash.omit';
+import {v1 as uuidv1} from 'uuid';
+
+/*
+ * Note: this module is also used in web workers,
+ * hence it must not depend on the DOM or on OpenLayers.
+ */
+
+const ARRAY_ELEMENTS = [
+    "Data", "Document", "Folder", "LineString", "LinearRing", "MultiGeometry", "MultiTrack", "Pair", "Placemark",
+    "Point", "Polygon", "SchemaData", "SimpleData", "Style", "StyleMap", "Track", "coord", "innerBoundaryIs"
+];
+
+// Namespace of the extended data written by KMLUtils.writeKML
+const QWC2_NAMESPACE = "https://github.com/qgis/qwc2";
+
+const CSS_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], orange: [255, 165, 0], gray: [128, 128, 128], grey: [128, 128, 128]
+};
+
+const DEFAULT_STYLE = {
+    strokeColor: [0, 0, 0, 1],
+    strokeWidth: 1,
+    strokeDash: [],
+    fillColor: [255, 255, 255, 1],
+    textFill: [0, 0, 0, 1],
+    textStroke: [255, 255, 255, 1]
+};
+
+function textValue(node) {
+    if (node === undefined || node === null) {
+        return undefined;
+    } else if (typeof node === "object") {
+        return node["#text"] !== undefined ? String(node["#text"]) : undefined;
+    }
+    return String(node);
+}
+
+function readColor(node) {
+    // KML colors are aabbggrr
+    const hex = (textValue(node) || "").trim().replace(/^#/, "");
+    if (!/^[0-9a-f]{8}$/i.test(hex)) {
+        return undefined;
+    }
+    const value = (idx) => parseInt(hex.slice(idx, idx + 2), 16);
+    return [value(6), value(4), value(2), Math.round(value(0) / 255 * 100) / 100];
+}
+
+function readCoordinates(node) {
+    return (textValue(node) || "").trim().split(/\s+/).map(tuple => tuple.split(",").slice(0, 2).map(Number)).filter(
+        coordinate => coordinate.length === 2 && !isNaN(coordinate[0]) && !isNaN(coordinate[1])
+    );
+}
+
+function readGeometries(node) {
+    const geometries = [];
+    (node.Point || []).forEach(point => {
+        const coordinates = readCoordinates(point.coordinates);
+        if (coordinates.length > 0) {
+            geometries.push({type: "Point", coordinates: coordinates[0]});
+        }
+    });
+    [...(node.LineString || []), ...(node.LinearRing || [])].forEach(line => {
+        geometries.push({type: "LineString", coordinates: readCoordinates(line.coordinates)});
+    });
+    (node.Polygon || []).forEach(polygon => {
+        const rings = [polygon.outerBoundaryIs, ...(polygon.innerBoundaryIs || [])].filter(Boolean).map(
+            boundary => readCoordinates((boundary.LinearRing || [])[0]?.coordinates)
+        );
+        geometries.push({type: "Polygon", coordinates: rings});
+    });
+    (node.Track || []).forEach(track => {
+        // gx:Track, coordinates are space separated
+        const coordinates = (track.coord || []).map(coord => (textValue(coord) || "").trim().split(/\s+/).slice(0, 2).map(Number));
+        geometries.push({type: "LineString", coordinates: coordinates});
+    });
+    [...(node.MultiGeometry || []), ...(node.MultiTrack || [])].forEach(multi => {
+        const parts = readGeometries(multi);
+        const types = new Set(parts.map(part => part.type));
+        if (parts.length > 0 && types.size === 1 && !types.has("GeometryCollection")) {
+            geometries.push({type: "Multi" + parts[0].type, coordinates: parts.map(part => part.coordinates)});
+        } else if (parts.length > 0) {
+            geometries.push({type: "GeometryCollection", geometries: parts});
+        }
+    });
+    return geometries;
+}
+
+function readStyle(node) {
+    const style = {};
+    if (!node) {
+        return style;
+    }
+    const lineStyle = node.LineStyle;
+    if (lineStyle) {
+        style.strokeColor = readColor(lineStyle.color);
+        style.strokeWidth = parseFloat(textValue(lineStyle.width)) || undefined;
+    }
+    const polyStyle = node.PolyStyle;
+    if (polyStyle) {
+        style.fillColor = textValue(polyStyle.fill) === "0" ? [0, 0, 0, 0] : readColor(polyStyle.color);
+        if (textValue(polyStyle.outline) === "0") {
+            style.strokeColor = [0, 0, 0, 0];
+        }
+    }
+    const iconStyle = node.IconStyle;
+    if (iconStyle) {
+        const scale = parseFloat(textValue(iconStyle.scale));
+        style.scale = isNaN(scale) ? undefined : scale;
+    }
+    if (iconStyle && iconStyle.Icon) {
+        style.iconSrc = textValue(iconStyle.Icon.href);
+        const hotSpot = iconStyle.hotSpot;
+        if (hotSpot && hotSpot["@_xunits"] === "fraction" && hotSpot["@_yunits"] === "fraction") {
+            // KML hotspots are relative to the bottom left corner
+            style.iconAnchor = [parseFloat(hotSpot["@_x"]), 1 - parseFloat(hotSpot["@_y"])];
+        }
+        // White is the neutral icon color
+        const color = readColor(iconStyle.color);
+        if (color && color.join(",") !== "255,255,255,1") {
+            style.color = color;
+        }
+    }
+    const labelStyle = node.LabelStyle;
+    if (labelStyle) {
+        style.textFill = readColor(labelStyle.color);
+        style.textColor = style.textFill;
+        const scale = parseFloat(textValue(labelStyle.scale));
+        style.labelScale = isNaN(scale) ? undefined : scale;
+    }
+    return Object.entries(style).reduce((res, [key, value]) => {
+        if (value !== undefined) {
+            res[key] = value;
+        }
+        return res;
+    }, {});
+}
+
+function collectStyles(node, styles) {
+    (node.Style || []).forEach(style => {
+        if (style["@_id"]) {
+            styles[style["@_id"]] = {style: style};
+        }
+    });
+    (node.StyleMap || []).forEach(styleMap => {
+        if (styleMap["@_id"]) {
+            const pair = (styleMap.Pair || []).find(entry => textValue(entry.key) === "normal");
+            styles[styleMap["@_id"]] = {styleUrl: textValue(pair?.styleUrl), style: (pair?.Style || [])[0]};
+        }
+    });
+    [...(node.Document || []), ...(node.Folder || [])].forEach(child => collectStyles(child, styles));
+}
+
+function resolveStyle(styleUrl, styles, depth = 0) {
+    // Only document-local styles are supported
+    const entry = styleUrl && styleUrl.startsWith("#") ? styles[styleUrl.slice(1)] : null;
+    if (!entry || depth > 5) {
+        return {};
+    }
+    return {...resolveStyle(entry.styleUrl, styles, depth + 1), ...readStyle(entry.style)};
+}
+
+function readProperties(placemark) {
+    const properties = {};
+    ["name", "description", "address", "phoneNumber"].forEach(key => {
+        const value = textValue(placemark[key]);
+        if (value !== undefined) {
+            properties[key] = value;
+        }
+    });
+    const extendedData = placemark.ExtendedData;
+    if (extendedData) {
+        (extendedData.Data || []).forEach(data => {
+            if (data["@_name"]) {
+                properties[data["@_name"]] = textValue(data.value);
+            }
+        });
+        (extendedData.SchemaData || []).forEach(schemaData => {
+            (schemaData.SimpleData || []).forEach(simpleData => {
+                if (simpleData["@_name"]) {
+                    properties[simpleData["@_name"]] = textValue(simpleData);
+                }
+            });
+        });
+    }
+    return properties;
+}
+
+function readQwc2Style(placemark) {
+    // Style written by KMLUtils.writeKML, see QWC2_NAMESPACE
+    const node = placemark.ExtendedData?.style;
+    if (!node || !node["@_name"]) {
+        return null;
+    }
+    try {
+        return {
+            styleName: node["@_name"],
+            styleOptions: JSON.parse(textValue(node) || "{}"),
+            shape: node["@_shape"],
+            labelled: node["@_label"] === "1"
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+function readPlacemark(placemark, styles, folder) {
+    const geometries = readGeometries(placemark);
+    const geometry = geometries.length > 1 ? {type: "GeometryCollection", geometries: geometries} : (geometries[0] || null);
+    const properties = readProperties(placemark);
+    const {labelScale, ...styleOptions} = {
+        ...DEFAULT_STYLE,
+        ...resolveStyle(textValue(placemark.styleUrl), styles),
+        ...readStyle((placemark.Style || [])[0])
+    };
+    const feature = {
+        type: "Feature",
+        geometry: geometry,
+        properties: properties,
+        id: uuidv1(),
+        crs: "EPSG:4326"
+    };
+    const name = textValue(placemark.name);
+    const qwc2Style = readQwc2Style(placemark);
+    if (qwc2Style) {
+        feature.styleName = qwc2Style.styleName;
+        feature.styleOptions = qwc2Style.styleOptions;
+        if (qwc2Style.shape) {
+            feature.shape = qwc2Style.shape;
+        }
+        if (qwc2Style.labelled && name !== undefined) {
+            // The placemark name is the label, the name property is written as extended data if it differs
+            feature.properties.label = name;
+            if (!(placemark.ExtendedData.Data || []).find(data => data["@_name"] === "name")) {
+                delete feature.properties.name;
+            }
+        }
+    } else if (styleOptions.scale === 0 && geometry?.type === "Point" && name) {
+        // Label only placemark
+        feature.styleName = 'text';
+        feature.styleOptions = {
+            fillColor: styleOptions.textFill,
+            strokeColor: DEFAULT_STYLE.textStroke,
+            strokeWidth: labelScale ?? 1
+        };
+        feature.properties.label = name;
+    } else if (styleOptions.iconSrc) {
+        feature.styleName = 'marker';
+        feature.styleOptions = {iconAnchor: [0.5, 0.5], ...styleOptions};
+        if (name) {
+            feature.properties.label = name;
+        }
+    } else {
+        feature.styleName = 'default';
+        feature.styleOptions = omit(styleOptions, ["scale", "color", "textColor"]);
+    }
+    if (folder) {
+        feature.folder = folder;
+    }
+    return feature;
+}
+
+function readContainer(node, styles, features, folders, folder = null) {
+    (node.Placemark || []).forEach(placemark => features.push(readPlacemark(placemark, styles, folder)));
+    (node.Document || []).forEach(child => readContainer(child, styles, features, folders, folder));
+    (node.Folder || []).forEach(child => {
+        const entry = {
+            id: uuidv1(),
+            name: textValue(child.name) || "Folder",
+            visibility: textValue(child.visibility) !== "0",
+            folders: []
+        };
+        const count = features.length;
+        readContainer(child, styles, features, entry.folders, entry.id);
+        // Skip empty folders
+        if (features.length > count) {
+            folders.push(entry);
+        }
+    });
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function parseColor(color) {
+    if (Array.isArray(color)) {
+        return [...color.slice(0, 3), color.length > 3 ? color[3] : 1];
+    } else if (typeof color !== "string") {
+        return null;
+    }
+    color = color.trim().toLowerCase();
+    if (color in CSS_COLORS) {
+        return [...CSS_COLORS[color], 1];
+    } else if (color === "transparent") {
+        return [0, 0, 0, 0];
+    }
+    let match = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (match) {
+        let hex = match[1];
+        if (hex.length <= 4) {
+            hex = hex.split("").map(c => c + c).join("");
+        }
+        const values = hex.match(/../g).map(value => parseInt(value, 16));
+        return [...values.slice(0, 3), values.length > 3 ? values[3] / 255 : 1];
+    }
+    match = color.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const values = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return [...values.slice(0, 3), values.length > 3 ? values[3] : 1];
+    }
+    return null;
+}
+
+function writeColor(color) {
+    // KML colors are aabbggrr
+    const rgba = parseColor(color);
+    if (!rgba || rgba.some(isNaN)) {
+        return null;
+    }
+    const alpha = Math.round(Math.max(0, Math.min(1, rgba[3])) * 255);
+    return [alpha, rgba[2], rgba[1], rgba[0]].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+function writeCoordinates(coordinates) {
+    return "<coordinates>" + coordinates.map(coordinate => coordinate.slice(0, 2).join(",")).join(" ") + "</coordinates>";
+}
+
+function writeGeometry(geometry) {
+    switch (geometry.type) {
+    case "Point":
+        return "<Point>" + writeCoordinates([geometry.coordinates]) + "</Point>";
+    case "LineString":
+        return "<LineString>" + writeCoordinates(geometry.coordinates) + "</LineString>";
+    case "Polygon":
+        return "<Polygon>" + geometry.coordinates.map((ring, idx) => {
+            const tag = idx === 0 ? "outerBoundaryIs" : "innerBoundaryIs";
+            return "<" + tag + "><LinearRing>" + writeCoordinates(ring) + "</LinearRing></" + tag + ">";
+        }).join("") + "</Polygon>";
+    case "MultiPoint":
+    case "MultiLineString":
+    case "MultiPolygon":
+        return "<MultiGeometry>" + geometry.coordinates.map(coordinates => writeGeometry({
+            type: geometry.type.slice(5), coordinates: coordinates
+        })).join("") + "</MultiGeometry>";
+    case "GeometryCollection":
+        return "<MultiGeometry>" + geometry.geometries.map(writeGeometry).join("") + "</MultiGeometry>";
+    default:
+        return "";
+    }
+}
+
+function writeElement(tag, content) {
+    return content !== undefined && content !== null && content !== "" ? "<" + tag + ">" + content + "</" + tag + ">" : "";
+}
+
+function writeStyle(feature) {
+    const options = feature.styleOptions || {};
+    if (feature.styleName === "text") {
+        // Label only: hide the icon
+        return writeElement("Style",
+            writeElement("IconStyle", writeElement("scale", 0)) +
+            writeElement("LabelStyle", writeElement("color", writeColor(options.fillColor)) + writeElement("scale", options.strokeWidth))
+        );
+    } else if (feature.styleName === "marker") {
+        // KML hotspots are relative to the bottom left corner
+        const hotSpot = options.iconAnchor ? (
+            '<hotSpot x="' + options.iconAnchor[0] + '" y="' + (1 - options.iconAnchor[1]) + '" xunits="fraction" yunits="fraction"/>'
+        ) : "";
+        return writeElement("Style",
+            writeElement("IconStyle",
+                writeElement("color", writeColor(options.color)) + writeElement("scale", options.scale) +
+                writeElement("Icon", writeElement("href", options.iconSrc && escapeXml(options.iconSrc))) + hotSpot
+            ) +
+            writeElement("LabelStyle", writeElement("color", writeColor(options.textColor)))
+        );
+    }
+    return writeElement("Style",
+        writeElement("LabelStyle", writeElement("color", writeColor(options.textFill))) +
+        writeElement("LineStyle", writeElement("color", writeColor(options.strokeColor)) + writeElement("width", options.strokeWidth)) +
+        writeElement("PolyStyle", writeElement("color", writeColor(options.fillColor)))
+    );
+}
+
+function writePlacemark(feature) {
+    const properties = feature.properties || {};
+    const labelled = properties.label !== undefined && properties.label !== null;
+    const name = labelled ? properties.label : properties.name;
+    let placemark = "<Placemark>";
+    if (name !== undefined && name !== null) {
+        placemark += "<name>" + escapeXml(name) + "</name>";
+    }
+    if (properties.description !== undefined && properties.description !== null) {
+        placemark += "<description>" + escapeXml(properties.description) + "</description>";
+    }
+    placemark += writeStyle(feature);
+    let extendedData = Object.entries(properties).filter(([key, value]) => {
+        if (key === "label" || key === "description" || (key === "name" && !labelled)) {
+            return false;
+        }
+        return value !== null && value !== undefined && typeof value !== "object";
+    }).map(([key, value]) => (
+        '<Data name="' + escapeXml(key) + '"><value>' + escapeXml(value) + '</value></Data>'
+    )).join("");
+    if (feature.styleName) {
+        // Preserve the style options which have no KML equivalent, i.e. end markers and dashes
+        // NOTE: circle parameters are not written, they are expressed in the map CRS
+        const shape = feature.shape && feature.shape !== "Circle" ? ' shape="' + escapeXml(feature.shape) + '"' : '';
+        const label = labelled ? ' label="1"' : '';
+        extendedData += '<qwc2:style name="' + escapeXml(feature.styleName) + '"' + shape + label + '>' +
+            escapeXml(JSON.stringify(feature.styleOptions || {})) + '</qwc2:style>';
+    }
+    if (extendedData) {
+        placemark += "<ExtendedData>" + extendedData + "</ExtendedData>";
+    }
+    if (feature.geometry) {
+        placemark += writeGeometry(feature.geometry);
+    }
+    return placemark + "</Placemark>";
+}
+
+function writeFolder(folder, featuresByFolder) {
+    let content = "<Folder><name>" + escapeXml(folder.title ?? folder.name) + "</name>";
+    content += "<visibility>" + (folder.visibility === false ? 0 : 1) + "</visibility>";
+    content += (featuresByFolder[folder.name] || []).map(writePlacemark).join("");
+    content += (folder.sublayers || []).map(sublayer => writeFolder(sublayer, featuresByFolder)).join("");
+    return content + "</Folder>";
+}
+
+const KMLUtils = {
+    /**
+     * Reads the placemarks and folders of a KML document.
+     *
+     * The placemarks are returned as GeoJSON features in EPSG:4326. Their styles are converted to `styleOptions` as
+     * consumed by the `default`, `marker` and `text` feature styles, the name, description and extended data of the
+     * placemarks are stored as feature properties. Features inside a folder store the id of the innermost folder in `folder`.
+     *
+     * @param text {string} The KML document
+     *
+     * @return {Object} `{features, folders}`, where `folders` is the (non-empty) folder tree `[{id, name, visibility, folders}]`
+     */
+    readKMLDocument(text) {
+        const parser = new XMLParser({
+            attributeNamePrefix: "@_",
+            ignoreAttributes: false,
+            isArray: (name) => ARRAY_ELEMENTS.includes(name),
+            parseTagValue: false,
+            removeNSPrefix: true
+        });
+        const doc = parser.parse(text);
+        const root = doc.kml || doc;
+        const styles = {};
+        collectStyles(root, styles);
+        const features = [];
+        const folders = [];
+        readContainer(root, styles, features, folders);
+        return {features, folders};
+    },
+    /**
+     * Reads the placemarks of a KML document as GeoJSON features in EPSG:4326, see `readKMLDocument`.
+     *
+     * @param text {string} The KML document
+     *
+     * @return {Array} The list of GeoJSON features
+     */
+    readKML(text) {
+        return KMLUtils.readKMLDocument(text).features;
+    },
+    /**
+     * Writes GeoJSON features as KML document.
+     *
+     * The feature styles are written as KML styles, the style options are additionally stored in the extended data,
+     * so that they are fully restored by `readKMLDocument`. Labels are written as placemark names.
+     *
+     * @param name {string} The document name
+     * @param features {Array} The list of GeoJSON features in EPSG:4326
+     * @param folders {Array} Optional, the folder tree as layer sublayers `[{name, title, visibility, sublayers}]`,
+     * where `name` matches the `folder` of the features
+     *
+     * @return {string} The KML document
+     */
+    writeKML(name, features, folders = []) {
+        const folderIds = new Set();
+        const collectFolderIds = (entries) => entries.forEach(entry => {
+            folderIds.add(entry.name);
+            collectFolderIds(entry.sublayers || []);
+        });
+        collectFolderIds(folders);
+        const featuresByFolder = features.reduce((res, feature) => {
+            const folder = folderIds.has(feature.folder) ? feature.folder : "";
+            (res[folder] = res[folder] || []).push(feature);
+            return res;
+        }, {});
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:qwc2="' + QWC2_NAMESPACE + '">' +
+            "<Document><name>" + escapeXml(name) + "</name>" +
+            (featuresByFolder[""] || []).map(writePlacemark).join("") +
+            folders.map(folder => writeFolder(folder, featuresByFolder)).join("") +
+            "</Document></kml>";
+    }
+};
+
+export default KMLUtils;
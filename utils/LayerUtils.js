@@ -17,6 +17,9 @@ import CoordinatesUtils from './CoordinatesUtils';
 import MapUtils from './MapUtils';
 import VectorLayerUtils from './VectorLayerUtils';
 
+// Maximum number of values to which dimension intervals are expanded
+const MAX_DIMENSION_VALUES = 1000;
+
 const LayerUtils = {
     restoreLayerParams(themeLayer, layerConfigs, permalinkLayers, externalLayers) {
         let exploded = LayerUtils.explodeLayers([themeLayer]);
@@ -31,6 +34,9 @@ const LayerUtils = {
                 if (!entry.sublayer.style) {
                     entry.sublayer.style = !isEmpty(entry.sublayer.styles) ? Object.keys(entry.sublayer.styles)[0] : "";
                 }
+                if (!isEmpty(layerConfig.hiddenRules)) {
+                    entry.sublayer.hiddenRules = layerConfig.hiddenRules;
+                }
             } else {
                 entry.sublayer.visibility = false;
             }
@@ -65,6 +71,9 @@ const LayerUtils = {
                     if (!entry.sublayer.style) {
                         entry.sublayer.style = !isEmpty(entry.sublayer.styles) ? Object.keys(entry.sublayer.styles)[0] : "";
                     }
+                    if (!isEmpty(layerConfig.hiddenRules)) {
+                        entry.sublayer.hiddenRules = layerConfig.hiddenRules;
+                    }
                     reordered.push(entry);
                 }
             } else if (layerConfig.type === 'separator') {
@@ -108,7 +117,8 @@ const LayerUtils = {
             opacity: layerConfig.opacity,
             visibility: layerConfig.visibility,
             style: layerConfig.style,
-            params: layerConfig.params
+            params: layerConfig.params,
+            heatmap: layerConfig.heatmap
         });
         return LayerUtils.explodeLayers([{
             id: id,
@@ -123,21 +133,22 @@ const LayerUtils = {
     insertPermalinkLayers(exploded, layers) {
         for (const layer of layers || []) {
             const insLayer = LayerUtils.explodeLayers([layer])[0];
-            if (insLayer.layer.role !== LayerRole.USERLAYER || insLayer.layer.type !== 'vector') {
+            const georeferenced = insLayer.layer.type === 'image' && insLayer.layer.georeference;
+            if (insLayer.layer.role !== LayerRole.USERLAYER || (insLayer.layer.type !== 'vector' && !georeferenced)) {
                 continue;
             }
             delete insLayer.layer.pos;
             exploded.splice(layer.pos, 0, insLayer);
         }
     },
-    collectWMSSublayerParams(sublayer, layerNames, opacities, styles, queryable, visibilities, parentVisibility) {
+    collectWMSSublayerParams(sublayer, layerNames, opacities, styles, queryable, visibilities, parentVisibility, hiddenRules = null) {
         const layerVisibility = (sublayer.visibility === undefined ? true : sublayer.visibility);
         const visibility = layerVisibility && parentVisibility;
         if (visibility || visibilities) {
             if (!isEmpty(sublayer.sublayers)) {
                 // Is group
                 sublayer.sublayers.map(sublyr => {
-                    LayerUtils.collectWMSSublayerParams(sublyr, layerNames, opacities, styles, queryable, visibilities, visibility);
+                    LayerUtils.collectWMSSublayerParams(sublyr, layerNames, opacities, styles, queryable, visibilities, visibility, hiddenRules);
                 });
             } else {
                 layerNames.push(sublayer.name);
@@ -150,6 +161,9 @@ const LayerUtils = {
                 if (visibilities) {
                     visibilities.push(layerVisibility ? (parentVisibility ? 1 : 0.5) : 0);
                 }
+                if (hiddenRules) {
+                    hiddenRules.push(sublayer.hiddenRules || []);
+                }
             }
         }
     },
@@ -179,9 +193,12 @@ const LayerUtils = {
             let layerNames = [];
             let opacities = [];
             let styles = [];
+            const hiddenRules = [];
             layer.sublayers.map(sublayer => {
-                LayerUtils.collectWMSSublayerParams(sublayer, layerNames, opacities, styles, queryLayers, null, layer.visibility);
+                LayerUtils.collectWMSSublayerParams(sublayer, layerNames, opacities, styles, queryLayers, null, layer.visibility, hiddenRules);
             });
+            // Legend rules hidden in the interactive legend, as QGIS Server LEGEND_OFF parameter
+            const legendOff = layerNames.map((name, idx) => isEmpty(hiddenRules[idx]) ? null : name + ":" + hiddenRules[idx].join(",")).filter(Boolean);
             layerNames.reverse();
             opacities.reverse();
             styles.reverse();
@@ -197,6 +214,9 @@ const LayerUtils = {
                 STYLES: styles.join(","),
                 ...layer.dimensionValues
             };
+            if (!isEmpty(legendOff)) {
+                newParams.LEGEND_OFF = legendOff.join(";");
+            }
             if (filter.filterParams) {
                 newParams.FILTER = Object.entries(filter.filterParams).reduce((res, [layername, filters]) => {
                     if (!layerNames.includes(layername)) {
@@ -247,27 +267,32 @@ const LayerUtils = {
         const styles = [];
         const visibilities = [];
         const queryable = [];
+        const heatmaps = [];
+        const hiddenRules = [];
         for (const layer of layers) {
             if (layer.role === LayerRole.THEME) {
-                LayerUtils.collectWMSSublayerParams(layer, layernames, opacities, styles, queryable, visibilities, layer.visibility);
+                LayerUtils.collectWMSSublayerParams(layer, layernames, opacities, styles, queryable, visibilities, layer.visibility, hiddenRules);
             } else if (layer.role === LayerRole.USERLAYER && layer.type === "wms") {
                 const sublayernames = [];
-                LayerUtils.collectWMSSublayerParams(layer, sublayernames, opacities, styles, queryable, visibilities, layer.visibility);
+                LayerUtils.collectWMSSublayerParams(layer, sublayernames, opacities, styles, queryable, visibilities, layer.visibility, hiddenRules);
                 let layerurl = layer.url;
                 if (layer.extwmsparams) {
                     layerurl += (layerurl.includes('?') ? '&' : '?') + Object.entries(layer.extwmsparams || {}).map(([key, value]) => 'extwms.' + key + "=" + value).join('&');
                 }
                 layernames.push(...sublayernames.map(name => "wms:" + layerurl + "#" + name));
-            } else if (layer.role === LayerRole.USERLAYER && (layer.type === "wfs" || layer.type === "wmts")) {
+            } else if (layer.role === LayerRole.USERLAYER && (["wfs", "wmts", "ogcapifeatures", "arcgismapserver", "arcgisfeatureserver"].includes(layer.type) || (["cog", "flatgeobuf"].includes(layer.type) && layer.url))) {
                 layernames.push(layer.type + ':' + (layer.capabilitiesUrl || layer.url) + "#" + layer.name);
                 opacities.push(layer.opacity);
                 styles.push(layer.style);
                 visibilities.push(layer.visibility);
+                heatmaps[layernames.length - 1] = layer.heatmap;
+                hiddenRules.push([]);
             } else if (layer.role === LayerRole.USERLAYER && layer.type === "separator") {
                 layernames.push("sep:" + layer.title);
                 opacities.push(255);
                 styles.push('');
                 visibilities.push(true);
+                hiddenRules.push([]);
             }
         }
         const result = layernames.map((layername, idx) => {
@@ -278,6 +303,14 @@ const LayerUtils = {
             if (styles[idx]) {
                 param += "{" + styles[idx] + "}";
             }
+            if (heatmaps[idx]) {
+                const heatmap = heatmaps[idx];
+                param += "<heatmap:" + [heatmap.weight ?? "", heatmap.radius ?? "", heatmap.blur ?? ""].join(",") + ">";
+            }
+            if (!isEmpty(hiddenRules[idx])) {
+                // Rule keys may contain reserved characters, i.e. the braces of rule-based renderer keys
+                param += "<legendoff:" + hiddenRules[idx].map(encodeURIComponent).join(",") + ">";
+            }
             if (visibilities[idx] === 0) {
                 param += '!';
             } else if (visibilities[idx] === 0.5) {
@@ -294,6 +327,8 @@ const LayerUtils = {
     splitLayerUrlParam(entry) {
         const opacityPattern = /\[(\d+)\]/;
         const stylePattern = /{([^}]+)}/;
+        const heatmapPattern = /<heatmap:([^>]*)>/;
+        const legendOffPattern = /<legendoff:([^>]*)>/;
         const extPattern = /^(\w+):(.*)#([^#]+)$/;
         const id = uuidv4();
         let type = 'theme';
@@ -302,6 +337,8 @@ const LayerUtils = {
         let style = '';
         let visibility = true;
         let tristate = false;
+        let heatmap = null;
+        let hiddenRules = [];
         if (entry.endsWith('!')) {
             visibility = false;
             entry = entry.slice(0, -1);
@@ -311,6 +348,11 @@ const LayerUtils = {
             entry = entry.slice(0, -1);
         }
         let m = null;
+        // Extract the legend rules first, since encoded rule keys may contain the characters of the other patterns
+        if ((m = entry.match(legendOffPattern))) {
+            hiddenRules = m[1].split(",").filter(Boolean).map(decodeURIComponent);
+            entry = entry.slice(0, m.index) + entry.slice(m.index + m[0].length);
+        }
         if ((m = entry.match(opacityPattern))) {
             opacity = Math.round(255 - parseFloat(m[1]) / 100 * 255);
             entry = entry.slice(0, m.index) + entry.slice(m.index + m[0].length);
@@ -319,6 +361,20 @@ const LayerUtils = {
             style = m[1];
             entry = entry.slice(0, m.index) + entry.slice(m.index + m[0].length);
         }
+        if ((m = entry.match(heatmapPattern))) {
+            const [weight, radius, blur] = m[1].split(",");
+            heatmap = {};
+            if (weight) {
+                heatmap.weight = weight;
+            }
+            if (radius) {
+                heatmap.radius = parseInt(radius, 10);
+            }
+            if (blur) {
+                heatmap.blur = parseInt(blur, 10);
+            }
+            entry = entry.slice(0, m.index) + entry.slice(m.index + m[0].length);
+        }
         let name = entry;
         if ((m = entry.match(extPattern))) {
             type = m[1];
@@ -328,7 +384,7 @@ const LayerUtils = {
             type = 'separator';
             name = name.slice(4);
         }
-        return {id, type, url: layerUrl, name, opacity, style, visibility, tristate};
+        return {id, type, url: layerUrl, name, opacity, style, visibility, tristate, heatmap, hiddenRules};
     },
     pathEqualOrBelow(parent, child) {
         return isEqual(child.slice(0, parent.length), parent);
@@ -626,6 +682,24 @@ const LayerUtils = {
         });
         return queryable / layer.sublayers.length;
     },
+    getRefreshInterval(layer) {
+        // Smallest refresh interval of the requested WMS sublayers, sublayers inherit the interval of their groups
+        if (layer.type !== "wms" || isEmpty(layer.sublayers)) {
+            return layer.refreshInterval || null;
+        }
+        const requested = (layer.params?.LAYERS || "").split(",");
+        const collect = (sublayer, inherited) => {
+            const interval = sublayer.refreshInterval || inherited;
+            if (!isEmpty(sublayer.sublayers)) {
+                return sublayer.sublayers.reduce((min, child) => {
+                    const childInterval = collect(child, interval);
+                    return childInterval && (!min || childInterval < min) ? childInterval : min;
+                }, null);
+            }
+            return requested.includes(sublayer.name) ? interval : null;
+        };
+        return collect(layer, null);
+    },
     cloneLayer(layer, sublayerpath) {
         const newlayer = {...layer};
         let cur = newlayer;
@@ -766,6 +840,23 @@ const LayerUtils = {
             return url.format(urlParts);
         }
     },
+    /**
+     * Returns the URL of the QGIS Server JSON legend of a leaf sublayer, listing the symbols of the layer renderer
+     * along with their rule keys, or an empty string if the layer does not provide a JSON legend.
+     */
+    getLegendJsonUrl(layer, sublayer, scale, map, bboxDependentLegend, scaleDependentLegend, extraLegendParameters) {
+        if (layer.type !== "wms" || layer.serverType !== "qgis" || !isEmpty(sublayer.sublayers) || layer.externalLayerMap?.[sublayer.name]) {
+            return "";
+        }
+        const urlParts = url.parse(LayerUtils.getLegendUrl(layer, sublayer, scale, map, bboxDependentLegend, scaleDependentLegend, extraLegendParameters), true);
+        urlParts.query = {
+            ...urlParts.query,
+            FORMAT: "application/json",
+            SHOWRULEDETAILS: "TRUE"
+        };
+        delete urlParts.search;
+        return url.format(urlParts);
+    },
     layerScaleInRange(layer, mapScale) {
         return (layer.minScale === undefined || mapScale >= layer.minScale) && (layer.maxScale === undefined || mapScale < layer.maxScale);
     },
@@ -851,6 +942,9 @@ const LayerUtils = {
                 params.STYLES.push(layer.params.STYLES);
                 params.COLORS.push(layer.params.LAYERS.split(",").map(() => "").join(","));
                 params.FILTER = layer.params.FILTER ?? '';
+                if (layer.params.LEGEND_OFF) {
+                    params.LEGEND_OFF = layer.params.LEGEND_OFF;
+                }
             } else if (printExternalLayers && layer.role === LayerRole.USERLAYER && layer.visibility !== false && LayerUtils.layerScaleInRange(layer, printScale)) {
                 LayerUtils.addExternalLayerPrintParams(layer, params, printCrs, counterRef);
             }
@@ -928,6 +1022,99 @@ const LayerUtils = {
         });
         return result;
     },
+    /**
+     * Returns the request parameter name of a WMS dimension, i.e. `ELEVATION` or `DIM_SCENARIO`.
+     */
+    getDimensionParamName(name) {
+        const upperName = name.toUpperCase();
+        if (["TIME", "ELEVATION"].includes(upperName) || upperName.startsWith("DIM_")) {
+            return upperName;
+        }
+        return "DIM_" + upperName;
+    },
+    /**
+     * Parses the extent of a WMS dimension.
+     *
+     * @param extent {string} The dimension extent, a comma separated list of values and/or `min/max/resolution` intervals
+     *
+     * @return {Object} `{min, max, resolution}` if the extent is a single numeric interval (`resolution` is `null` for
+     * continuous intervals), otherwise `{values}`, with numeric intervals expanded to their values.
+     */
+    parseDimensionExtent(extent) {
+        const entries = String(extent ?? "").split(",").map(entry => entry.trim()).filter(Boolean);
+        const intervals = entries.map(entry => entry.split("/").map(Number));
+        if (entries.length === 1 && intervals[0].length === 3 && isFinite(intervals[0][0]) && isFinite(intervals[0][1])) {
+            const [min, max, resolution] = intervals[0];
+            return {min, max, resolution: resolution > 0 ? resolution : null};
+        }
+        const values = [];
+        entries.forEach((entry, idx) => {
+            const [min, max, resolution] = intervals[idx];
+            if (intervals[idx].length === 3 && resolution > 0 && (max - min) / resolution <= MAX_DIMENSION_VALUES) {
+                const count = Math.floor((max - min) / resolution + 1e-9);
+                for (let i = 0; i <= count; ++i) {
+                    values.push(String(parseFloat((min + i * resolution).toPrecision(12))));
+                }
+            } else {
+                values.push(entry);
+            }
+        });
+        return {values};
+    },
+    /**
+     * Collects the non-temporal WMS dimensions of a layer and its sublayers, temporal dimensions are handled by the TimeManager.
+     *
+     * @return {Array} The dimensions `[{name, param, units, unitSymbol, default, nearest, multiple, extent}]`, where `param` is
+     * the request parameter name and `extent` the dimension extent as returned by `parseDimensionExtent`. Dimensions of
+     * sublayers which share the same name are merged.
+     */
+    getDimensions(layer) {
+        const dimensions = {};
+        const collect = (sublayer) => {
+            (sublayer.dimensions || []).forEach(dimension => {
+                if (!dimension.name || dimension.units === "ISO8601" || dimension.name.toUpperCase() === "TIME") {
+                    return;
+                }
+                const param = LayerUtils.getDimensionParamName(dimension.name);
+                const extent = LayerUtils.parseDimensionExtent(dimension.value);
+                if (!dimensions[param]) {
+                    dimensions[param] = {
+                        name: dimension.name,
+                        param: param,
+                        units: dimension.units,
+                        unitSymbol: dimension.unitSymbol,
+                        default: dimension.default,
+                        nearest: dimension.nearest,
+                        multiple: dimension.multiple,
+                        extent: extent
+                    };
+                } else if (dimensions[param].extent.values && extent.values) {
+                    const values = new Set([...dimensions[param].extent.values, ...extent.values]);
+                    dimensions[param].extent = {values: [...values]};
+                }
+            });
+            (sublayer.sublayers || []).forEach(collect);
+        };
+        collect(layer);
+        return Object.values(dimensions);
+    },
+    /**
+     * Builds the permalink parameter of the non-temporal dimension values of a layer, i.e. `ELEVATION:100;DIM_SCENARIO:high`.
+     */
+    buildDimensionUrlParam(dimensionValues) {
+        return Object.entries(dimensionValues || {}).filter(([param, value]) => (
+            param !== "TIME" && value !== undefined && value !== null && value !== ""
+        )).map(([param, value]) => param + ":" + value).join(";");
+    },
+    /**
+     * Parses the permalink parameter built by `buildDimensionUrlParam`.
+     */
+    splitDimensionUrlParam(param) {
+        return (param || "").split(";").filter(entry => entry.includes(":")).reduce((res, entry) => {
+            const idx = entry.indexOf(":");
+            return {...res, [entry.slice(0, idx).toUpperCase()]: entry.slice(idx + 1)};
+        }, {});
+    },
     getAttribution(layer, map, showThemeAttributionOnly = false, transformedMapBBoxes = {}) {
         if (layer.visibility === false || (showThemeAttributionOnly && layer.role !== LayerRole.THEME)) {
             return {};
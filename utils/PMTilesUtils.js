@@ -0,0 +1,182 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ol from 'openlayers';
+import {FileSource, PMTiles, TileType} from 'pmtiles';
+
+import MiscUtils from './MiscUtils';
+import ResourceRegistry from './ResourceRegistry';
+
+const URL_PREFIX = "pmtiles://";
+
+// Opened archives by url or resource key, the archives cache their header and directories
+const ARCHIVES = {};
+
+const TILE_FORMATS = {
+    [TileType.Mvt]: "mvt",
+    [TileType.Png]: "png",
+    [TileType.Jpeg]: "jpeg",
+    [TileType.Webp]: "webp",
+    [TileType.Avif]: "avif"
+};
+
+function tileGrid(metadata, tileSize) {
+    return ol.tilegrid.createXYZ({
+        extent: ol.proj.get("EPSG:3857").getExtent(),
+        minZoom: metadata.minZoom,
+        maxZoom: metadata.maxZoom,
+        tileSize: tileSize
+    });
+}
+
+function readMetadata(archive) {
+    return Promise.all([archive.getHeader(), archive.getMetadata().catch(() => ({}))]).then(([header, metadata]) => {
+        const tileFormat = TILE_FORMATS[header.tileType];
+        if (!tileFormat) {
+            throw new Error("Unsupported PMTiles tile type " + header.tileType);
+        }
+        return {
+            tileFormat: tileFormat,
+            vector: header.tileType === TileType.Mvt,
+            minZoom: header.minZoom,
+            maxZoom: header.maxZoom,
+            bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+            title: metadata?.name,
+            description: metadata?.description,
+            attribution: metadata?.attribution,
+            vectorLayers: (metadata?.vector_layers || []).map(entry => entry.id)
+        };
+    });
+}
+
+function tileCoord(url) {
+    // The source tile urls are set to "z/x/y" and resolved in the tile load functions
+    return url.split("/").map(Number);
+}
+
+const PMTilesUtils = {
+    /**
+     * Returns whether the url refers to a PMTiles archive, i.e. `pmtiles://https://example.com/tiles.pmtiles`.
+     */
+    isPMTilesUrl(url) {
+        return (url || "").startsWith(URL_PREFIX);
+    },
+    /**
+     * Returns the `pmtiles://` url of an archive url.
+     */
+    toPMTilesUrl(url) {
+        return PMTilesUtils.isPMTilesUrl(url) ? url : URL_PREFIX + url;
+    },
+    /**
+     * Returns the archive of a layer, read from the layer `blob` resource (local files) or `url`.
+     *
+     * @param options {Object} The layer options
+     *
+     * @return {PMTiles} The archive
+     */
+    getArchive(options) {
+        const key = options.blob || options.url;
+        if (!ARCHIVES[key]) {
+            if (options.blob) {
+                ARCHIVES[key] = new PMTiles(new FileSource(ResourceRegistry.getResource(options.blob)));
+            } else {
+                ARCHIVES[key] = new PMTiles(MiscUtils.adjustProtocol(options.url.slice(URL_PREFIX.length)));
+            }
+        }
+        return ARCHIVES[key];
+    },
+    /**
+     * Reads the metadata of an archive.
+     *
+     * @param source {string|Blob} The archive `pmtiles://` url or file
+     *
+     * @return {Promise} A promise resolving to `{tileFormat, vector, minZoom, maxZoom, bounds, title, description, attribution, vectorLayers}`.
+     * The `bounds` are `[minLon, minLat, maxLon, maxLat]`.
+     */
+    getMetadata(source) {
+        if (source instanceof Blob) {
+            return readMetadata(new PMTiles(new FileSource(source)));
+        }
+        return readMetadata(PMTilesUtils.getArchive({url: PMTilesUtils.toPMTilesUrl(source)}));
+    },
+    /**
+     * Creates the OpenLayers source of a PMTiles layer, see `getMetadata`.
+     *
+     * @param options {Object} The layer options, with `url` or `blob`, and optional `sourceConfig`
+     * @param metadata {Object} The archive metadata
+     *
+     * @return {ol.source.VectorTile|ol.source.XYZ} A vector tile source for vector archives, a tile image source otherwise
+     */
+    createSource(options, metadata) {
+        const archive = PMTilesUtils.getArchive(options);
+        if (metadata.vector) {
+            return new ol.source.VectorTile({
+                format: new ol.format.MVT(),
+                tileGrid: tileGrid(metadata, 512),
+                url: "{z}/{x}/{y}",
+                attributions: metadata.attribution,
+                tileLoadFunction: (tile, url) => {
+                    tile.setLoader((extent, resolution, projection) => {
+                        const [z, x, y] = tileCoord(url);
+                        archive.getZxy(z, x, y).then(response => {
+                            tile.setFeatures(response ? tile.getFormat().readFeatures(response.data, {extent: extent, featureProjection: projection}) : []);
+                        }).catch(() => {
+                            tile.onError();
+                        });
+                    });
+                },
+                ...(options.sourceConfig || {})
+            });
+        }
+        return new ol.source.XYZ({
+            tileGrid: tileGrid(metadata, 256),
+            url: "{z}/{x}/{y}",
+            attributions: metadata.attribution,
+            tileLoadFunction: (tile, url) => {
+                const [z, x, y] = tileCoord(url);
+                archive.getZxy(z, x, y).then(response => {
+                    if (!response) {
+                        tile.setState(ol.TileState.EMPTY);
+                        return;
+                    }
+                    const image = tile.getImage();
+                    const objectUrl = URL.createObjectURL(new Blob([response.data], {type: "image/" + metadata.tileFormat}));
+                    image.addEventListener("load", () => URL.revokeObjectURL(objectUrl), {once: true});
+                    image.addEventListener("error", () => URL.revokeObjectURL(objectUrl), {once: true});
+                    image.src = objectUrl;
+                }).catch(() => {
+                    tile.setState(ol.TileState.ERROR);
+                });
+            },
+            ...(options.sourceConfig || {})
+        });
+    },
+    /**
+     * Sets up a layer to display a PMTiles archive: reads the archive metadata, then sets the layer source
+     * and restricts the layer to the archive bounds.
+     *
+     * @param layer {ol.layer.Layer} The layer, created without source
+     * @param options {Object} The layer options
+     * @param map {ol.Map} The map
+     * @param callback {function} Optional callback `callback(metadata)` invoked once the source is set
+     */
+    setupLayer(layer, options, map, callback = null) {
+        readMetadata(PMTilesUtils.getArchive(options)).then(metadata => {
+            layer.setSource(PMTilesUtils.createSource(options, metadata));
+            layer.setExtent(ol.proj.transformExtent(metadata.bounds, "EPSG:4326", map.getView().getProjection()));
+            if (callback) {
+                callback(metadata);
+            }
+        }).catch(e => {
+            /* eslint-disable-next-line */
+            console.warn("Failed to read PMTiles archive " + (options.url || options.name) + ": " + e);
+        });
+    }
+};
+
+export default PMTilesUtils;
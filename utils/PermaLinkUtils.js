@@ -13,6 +13,16 @@ import {LayerRole} from '../actions/layers';
 import ConfigUtils from '../utils/ConfigUtils';
 import LayerUtils from '../utils/LayerUtils';
 
+function isPermalinkUserLayer(layer) {
+    // Georeferenced images are restored from the source image and the control points
+    return layer.role === LayerRole.USERLAYER && (layer.type === 'vector' || (layer.type === 'image' && !!layer.georeference));
+}
+
+function permalinkLayer(layer) {
+    // The warped image is recomputed when restoring georeferenced images, see GeoreferenceUtils.restoreImage
+    return layer.georeference ? {...layer, url: undefined} : layer;
+}
+
 let UrlQuery = {};
 let historyUpdateTimeout = null;
 let pendingParams = {};
@@ -70,7 +80,7 @@ export const UrlParams = {
         }
     },
     clear() {
-        this.updateParams({k: undefined, t: undefined, l: undefined, bl: undefined, bk: undefined, c: undefined, s: undefined, e: undefined, crs: undefined, st: undefined, sp: undefined, f: undefined}, true);
+        this.updateParams({k: undefined, t: undefined, l: undefined, bl: undefined, bk: undefined, c: undefined, s: undefined, e: undefined, crs: undefined, st: undefined, sp: undefined, f: undefined, dim: undefined}, true);
     },
     getFullUrl() {
         if (ConfigUtils.getConfigProp("omitUrlParameterUpdates") === true) {
@@ -92,13 +102,13 @@ export function generatePermaLink(state, callback, user = false) {
     }
     const permalinkState = {};
     if (ConfigUtils.getConfigProp("storeAllLayersInPermalink")) {
-        permalinkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND);
+        permalinkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND).map(permalinkLayer);
     } else {
         // Only store redlining layers
         const exploded = LayerUtils.explodeLayers(state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND));
         const redliningLayers = exploded.map((entry, idx) => ({...entry, pos: idx}))
-            .filter(entry => entry.layer.role === LayerRole.USERLAYER && entry.layer.type === 'vector')
-            .map(entry => ({...entry.layer, pos: entry.pos}));
+            .filter(entry => isPermalinkUserLayer(entry.layer))
+            .map(entry => ({...permalinkLayer(entry.layer), pos: entry.pos}));
         permalinkState.layers = redliningLayers;
     }
     permalinkState.permalinkParams = state.localConfig.permalinkParams;
@@ -176,11 +186,11 @@ export function createBookmark(state, description, callback) {
     const exploded = LayerUtils.explodeLayers(state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND));
     const bookmarkState = {};
     if (ConfigUtils.getConfigProp("storeAllLayersInPermalink")) {
-        bookmarkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND);
+        bookmarkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND).map(permalinkLayer);
     } else {
         const redliningLayers = exploded.map((entry, idx) => ({...entry, pos: idx}))
-            .filter(entry => entry.layer.role === LayerRole.USERLAYER && entry.layer.type === 'vector')
-            .map(entry => ({...entry.layer, pos: entry.pos}));
+            .filter(entry => isPermalinkUserLayer(entry.layer))
+            .map(entry => ({...permalinkLayer(entry.layer), pos: entry.pos}));
         bookmarkState.layers = redliningLayers;
     }
     bookmarkState.permalinkParams = state.localConfig.permalinkParams;
@@ -200,11 +210,11 @@ export function updateBookmark(state, bkey, description, callback) {
     const exploded = LayerUtils.explodeLayers(state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND));
     const bookmarkState = {};
     if (ConfigUtils.getConfigProp("storeAllLayersInPermalink")) {
-        bookmarkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND);
+        bookmarkState.layers = state.layers.flat.filter(layer => layer.role !== LayerRole.BACKGROUND).map(permalinkLayer);
     } else {
         const redliningLayers = exploded.map((entry, idx) => ({...entry, pos: idx}))
-            .filter(entry => entry.layer.role === LayerRole.USERLAYER && entry.layer.type === 'vector')
-            .map(entry => ({...entry.layer, pos: entry.pos}));
+            .filter(entry => isPermalinkUserLayer(entry.layer))
+            .map(entry => ({...permalinkLayer(entry.layer), pos: entry.pos}));
         bookmarkState.layers = redliningLayers;
     }
     bookmarkState.permalinkParams = state.localConfig.permalinkParams;
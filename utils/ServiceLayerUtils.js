@@ -9,6 +9,8 @@
 import axios from 'axios';
 import deepmerge from 'deepmerge';
 import {XMLParser} from 'fast-xml-parser';
+import {deserialize as deserializeFlatGeobuf} from 'flatgeobuf/lib/mjs/ol';
+import {fromBlob, fromUrl} from 'geotiff';
 import isEmpty from 'lodash.isempty';
 import ol from 'openlayers';
 import randomColor from 'randomcolor';
@@ -19,6 +21,7 @@ import ConfigUtils from './ConfigUtils';
 import CoordinatesUtils from './CoordinatesUtils';
 import LayerUtils from './LayerUtils';
 import MiscUtils from './MiscUtils';
+import PMTilesUtils from './PMTilesUtils';
 
 function strcmp(a, b) {
     const al = a.toLowerCase();
@@ -31,6 +34,56 @@ function strcmp(a, b) {
     return 0;
 }
 
+function arcgisCrs(spatialReference) {
+    const wkid = spatialReference?.latestWkid || spatialReference?.wkid;
+    if (!wkid) {
+        return null;
+    }
+    // 102100 is the legacy ESRI code for web mercator
+    const crs = "EPSG:" + (wkid === 102100 ? 3857 : wkid);
+    return ol.proj.get(crs) ? crs : null;
+}
+
+function arcgisBbox(extent) {
+    const crs = arcgisCrs(extent?.spatialReference);
+    if (!crs || ![extent.xmin, extent.ymin, extent.xmax, extent.ymax].every(isFinite)) {
+        return undefined;
+    }
+    return {crs: crs, bounds: [extent.xmin, extent.ymin, extent.xmax, extent.ymax]};
+}
+
+function arcgisUrl(baseUrl, path) {
+    const urlParts = url.parse(baseUrl);
+    urlParts.pathname = urlParts.pathname.replace(/\/+$/, "") + "/" + path;
+    return url.format(urlParts);
+}
+
+function arcgisRequest(requestUrl) {
+    return axios.get(requestUrl, {params: {f: "json"}}).then(response => {
+        if (!response.data || typeof response.data !== "object" || response.data.error) {
+            throw new Error(response.data?.error?.message || "Invalid ArcGIS REST response");
+        }
+        return response.data;
+    });
+}
+
+function wmsDimensions(layer) {
+    // WMS 1.1.1 declares the dimension values in separate Extent elements
+    const extents = MiscUtils.ensureArray(layer.Extent).reduce((res, extent) => ({...res, [extent.name]: extent}), {});
+    return MiscUtils.ensureArray(layer.Dimension).map(dim => {
+        const extent = extents[dim.name] || dim;
+        return {
+            units: dim.units,
+            unitSymbol: dim.unitSymbol,
+            name: dim.name,
+            multiple: String(extent.multipleValues ?? dim.multipleValues) === "1",
+            nearest: String(extent.nearestValue ?? dim.nearestValue) === "1",
+            default: extent.default !== undefined ? String(extent.default) : undefined,
+            value: extent["#text"] !== undefined ? String(extent["#text"]) : undefined
+        };
+    });
+}
+
 const ServiceLayerUtils = {
     getWMTSLayers(capabilities, capabilitiesUrl, mapCrs) {
         if (!capabilities?.contents) {
@@ -225,7 +278,8 @@ const ServiceLayerUtils = {
             minScale: layer.MinScaleDenominator !== undefined ? Number(layer.MinScaleDenominator) : undefined,
             maxScale: layer.MinScaleDenominator !== undefined ? Number(layer.MaxScaleDenominator) : undefined,
             styles: styles,
-            style: style
+            style: style,
+            dimensions: wmsDimensions(layer)
         };
     },
     getWFSLayers(capabilities, calledServiceUrl, mapCrs) {
@@ -346,6 +400,289 @@ const ServiceLayerUtils = {
         }
         return layers;
     },
+    getOGCAPIFeaturesLayers(collections, serviceUrl) {
+        if (!Array.isArray(collections?.collections)) {
+            return [];
+        }
+        const layers = [];
+        for (const collection of collections.collections) {
+            if (collection.itemType && collection.itemType !== "feature") {
+                continue;
+            }
+            const itemsLinks = (collection.links || []).filter(link => link.rel === "items");
+            const itemsLink = itemsLinks.find(link => ["application/geo+json", "application/json"].includes(link.type)) || itemsLinks[0];
+            if (!itemsLink) {
+                continue;
+            }
+            const bbox = collection.extent?.spatial?.bbox?.[0];
+            layers.push({
+                type: "ogcapifeatures",
+                name: collection.id,
+                title: collection.title || collection.id,
+                abstract: collection.description || "",
+                bbox: bbox ? {
+                    crs: "EPSG:4326",
+                    bounds: [bbox[0], bbox[1], bbox[bbox.length === 6 ? 3 : 2], bbox[bbox.length === 6 ? 4 : 3]]
+                } : undefined,
+                url: serviceUrl,
+                itemsUrl: url.resolve(collections.requestUrl || serviceUrl, itemsLink.href),
+                color: randomColor(),
+                visibility: true
+            });
+        }
+        layers.sort((a, b) => strcmp(a.title, b.title));
+        return layers;
+    },
+    getCOGLayer(metadata, serviceUrl, name) {
+        return {
+            type: "cog",
+            url: serviceUrl,
+            name: name,
+            title: name,
+            bbox: {
+                crs: metadata.projection,
+                bounds: metadata.extent
+            },
+            projection: metadata.projection,
+            bandCount: metadata.bandCount,
+            bands: metadata.bandCount >= 3 ? [1, 2, 3] : [1],
+            nodata: metadata.nodata,
+            min: metadata.min,
+            max: metadata.max,
+            visibility: true
+        };
+    },
+    getCOGMetadata(source) {
+        // Reads the header of the (cloud optimized) GeoTIFF and estimates the value range from the smallest overview
+        const tiffPromise = source instanceof Blob ? fromBlob(source) : fromUrl(MiscUtils.adjustProtocol(source));
+        return tiffPromise.then(tiff => Promise.all([tiff.getImage(0), tiff.getImageCount()]).then(([image, imageCount]) => {
+            const geoKeys = image.getGeoKeys() || {};
+            const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey;
+            const projection = epsg && epsg !== 32767 ? "EPSG:" + epsg : null;
+            if (!projection || !ol.proj.get(projection)) {
+                throw new Error("Unsupported GeoTIFF projection " + projection);
+            }
+            const nodata = image.getGDALNoData();
+            const metadata = {
+                projection: projection,
+                extent: image.getBoundingBox(),
+                bandCount: image.getSamplesPerPixel(),
+                nodata: nodata,
+                min: parseFloat(image.getGDALMetadata(0)?.STATISTICS_MINIMUM),
+                max: parseFloat(image.getGDALMetadata(0)?.STATISTICS_MAXIMUM)
+            };
+            if (!isNaN(metadata.min) && !isNaN(metadata.max)) {
+                return metadata;
+            } else if (image.getBitsPerSample() === 8) {
+                return {...metadata, min: 0, max: 255};
+            }
+            // Skip trailing mask images
+            const getOverview = (idx) => tiff.getImage(idx).then(overview => {
+                return idx > 0 && (overview.fileDirectory.NewSubfileType & 4) ? getOverview(idx - 1) : overview;
+            });
+            return getOverview(imageCount - 1).then(overview => overview.readRasters({interleave: true})).then(data => {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let i = 0; i < data.length; ++i) {
+                    if (data[i] !== nodata && !isNaN(data[i])) {
+                        min = Math.min(min, data[i]);
+                        max = Math.max(max, data[i]);
+                    }
+                }
+                return {...metadata, min: isFinite(min) ? min : 0, max: isFinite(max) ? max : 255};
+            });
+        }));
+    },
+    getCOGCapabilities(serviceUrl) {
+        return ServiceLayerUtils.getCOGMetadata(serviceUrl).then(metadata => ({capabilities: metadata, requestUrl: serviceUrl}));
+    },
+    getFlatGeobufLayer(metadata, serviceUrl, name) {
+        return {
+            type: "flatgeobuf",
+            url: serviceUrl,
+            name: name,
+            title: metadata.title || name,
+            abstract: metadata.description || "",
+            bbox: metadata.envelope ? {
+                crs: metadata.projection,
+                bounds: Array.from(metadata.envelope).slice(0, 4)
+            } : undefined,
+            projection: metadata.projection,
+            featureCount: metadata.featuresCount,
+            visibility: true
+        };
+    },
+    getFlatGeobufMetadata(source) {
+        // Only reads the header: with an empty filter rect for remote files, by aborting the stream after the header for local files
+        return new Promise((resolve, reject) => {
+            let metadata = null;
+            const headerMetaFn = (header) => {
+                // Organization defaults to EPSG if unset
+                const crs = header.crs?.code > 0 && (header.crs.org || "EPSG").toUpperCase() === "EPSG" ? "EPSG:" + header.crs.code : "EPSG:4326";
+                metadata = {...header, projection: crs};
+            };
+            const iterator = source instanceof Blob ?
+                deserializeFlatGeobuf(source.stream(), undefined, headerMetaFn) :
+                deserializeFlatGeobuf(MiscUtils.adjustProtocol(source), {minX: 0, minY: 0, maxX: 0, maxY: 0}, headerMetaFn);
+            iterator.next().then(() => {
+                iterator.return();
+                if (!metadata) {
+                    reject();
+                } else if (!ol.proj.get(metadata.projection)) {
+                    reject(new Error("Unsupported FlatGeobuf projection " + metadata.projection));
+                } else {
+                    resolve(metadata);
+                }
+            }).catch(reject);
+        });
+    },
+    getFlatGeobufCapabilities(serviceUrl) {
+        return ServiceLayerUtils.getFlatGeobufMetadata(serviceUrl).then(metadata => ({capabilities: metadata, requestUrl: serviceUrl}));
+    },
+    getPMTilesLayer(metadata, serviceUrl, name) {
+        return {
+            type: metadata.vector ? "mvt" : "xyz",
+            url: serviceUrl ? PMTilesUtils.toPMTilesUrl(serviceUrl) : null,
+            name: name,
+            title: metadata.title || name,
+            abstract: metadata.description || "",
+            bbox: {
+                crs: "EPSG:4326",
+                bounds: metadata.bounds
+            },
+            visibility: true,
+            queryable: metadata.vector
+        };
+    },
+    getPMTilesCapabilities(serviceUrl) {
+        return PMTilesUtils.getMetadata(serviceUrl).then(metadata => ({capabilities: metadata, requestUrl: serviceUrl}));
+    },
+    getArcGISLayers(capabilities) {
+        const layers = [];
+        for (const service of capabilities.services || []) {
+            const entry = service.type === "MapServer" ?
+                ServiceLayerUtils.getArcGISMapServerLayer(service) :
+                ServiceLayerUtils.getArcGISFeatureServerLayers(service);
+            if (service.layerId !== undefined) {
+                // Layer URL, only return the requested layer
+                const layer = LayerUtils.searchSubLayer(entry, "name", service.name + "/" + service.layerId);
+                if (layer) {
+                    layers.push(layer);
+                }
+            } else {
+                layers.push(entry);
+            }
+        }
+        layers.sort((a, b) => strcmp(a.title, b.title));
+        return layers;
+    },
+    getArcGISMapServerLayer(service) {
+        const info = service.info;
+        const bbox = arcgisBbox(info.fullExtent || info.initialExtent);
+        const tileCrs = arcgisCrs(info.tileInfo?.spatialReference);
+        const tileInfo = info.singleFusedMapCache && info.tileInfo && tileCrs ? {
+            crs: tileCrs,
+            origin: [info.tileInfo.origin.x, info.tileInfo.origin.y],
+            resolutions: info.tileInfo.lods.map(lod => lod.resolution),
+            tileSize: [info.tileInfo.cols, info.tileInfo.rows]
+        } : undefined;
+        const queryable = (info.capabilities || "").split(",").includes("Query");
+        const sublayersById = (info.layers || []).reduce((res, layer) => ({...res, [layer.id]: layer}), {});
+        const buildSublayers = (layerIds) => layerIds.filter(id => sublayersById[id]).map(id => {
+            const sublayer = sublayersById[id];
+            // ArcGIS minScale is the largest scale denominator at which the layer is shown
+            return {
+                type: "arcgismapserver",
+                url: service.url,
+                name: service.name + "/" + sublayer.id,
+                title: sublayer.name,
+                bbox: bbox,
+                layers: "show:" + sublayer.id,
+                minScale: sublayer.maxScale || undefined,
+                maxScale: sublayer.minScale || undefined,
+                queryable: queryable,
+                visibility: true,
+                sublayers: isEmpty(sublayer.subLayerIds) ? undefined : buildSublayers(sublayer.subLayerIds)
+            };
+        });
+        const rootLayerIds = (info.layers || []).filter(layer => (layer.parentLayerId ?? -1) === -1).map(layer => layer.id);
+        return {
+            type: "arcgismapserver",
+            url: service.url,
+            name: service.name,
+            title: info.documentInfo?.Title || service.name,
+            abstract: info.serviceDescription || info.description || "",
+            bbox: bbox,
+            tileInfo: tileInfo,
+            queryable: queryable,
+            visibility: true,
+            sublayers: buildSublayers(rootLayerIds)
+        };
+    },
+    getArcGISFeatureServerLayers(service) {
+        return {
+            title: service.name,
+            sublayers: (service.layers || []).filter(layer => layer.type === "Feature Layer" && layer.geometryType).map(layer => ({
+                type: "arcgisfeatureserver",
+                url: arcgisUrl(service.url, String(layer.id)),
+                name: service.name + "/" + layer.id,
+                title: layer.name,
+                abstract: layer.description || "",
+                bbox: arcgisBbox(layer.extent),
+                minScale: layer.maxScale || undefined,
+                maxScale: layer.minScale || undefined,
+                supportsPagination: !!layer.advancedQueryCapabilities?.supportsPagination,
+                maxRecordCount: layer.maxRecordCount,
+                color: randomColor(),
+                visibility: true
+            }))
+        };
+    },
+    getArcGISCapabilities(serviceUrl) {
+        // Accepts a services directory (root or folder), MapServer / FeatureServer service or layer URL
+        const requestUrl = MiscUtils.adjustProtocol(serviceUrl);
+        const urlParts = url.parse(requestUrl);
+        const pathname = urlParts.pathname.replace(/\/+$/, "");
+        const rootIdx = pathname.toLowerCase().indexOf("/rest/services");
+        const rootUrl = rootIdx >= 0 ? url.format({...urlParts, pathname: pathname.slice(0, rootIdx + 14), search: null, query: null}) : null;
+        const fetchService = (type, serviceBaseUrl, name) => {
+            const requests = [arcgisRequest(serviceBaseUrl)];
+            if (type === "FeatureServer") {
+                // Service info only contains a layer summary
+                requests.push(arcgisRequest(arcgisUrl(serviceBaseUrl, "layers")).then(data => data.layers || []));
+            }
+            return Promise.all(requests).then(([info, layers]) => ({type, url: serviceBaseUrl, name, info, layers}));
+        };
+        const serviceMatch = pathname.match(/\/(MapServer|FeatureServer)(\/(\d+))?$/i);
+        if (serviceMatch) {
+            const type = serviceMatch[1].toLowerCase() === "mapserver" ? "MapServer" : "FeatureServer";
+            const servicePath = pathname.slice(0, serviceMatch.index);
+            const name = rootIdx >= 0 ? servicePath.slice(rootIdx + 15) : servicePath.split("/").pop();
+            const serviceBaseUrl = url.format({...urlParts, pathname: servicePath + "/" + type});
+            return fetchService(type, serviceBaseUrl, name).then(service => ({
+                capabilities: {services: [{...service, layerId: serviceMatch[3]}]},
+                requestUrl: serviceUrl
+            }));
+        }
+        if (!rootUrl) {
+            return Promise.reject(new Error("Not an ArcGIS REST services URL"));
+        }
+        return arcgisRequest(requestUrl).then(directory => {
+            if (!Array.isArray(directory.services)) {
+                throw new Error("Not an ArcGIS REST services directory");
+            }
+            // Folders are only listed in the root directory, service names are relative to the root
+            const folderRequests = (directory.folders || []).map(folder => {
+                return arcgisRequest(arcgisUrl(rootUrl, folder)).then(data => data.services || []).catch(() => []);
+            });
+            return Promise.all(folderRequests).then(folderServices => {
+                const services = [].concat(directory.services, ...folderServices).filter(service => ["MapServer", "FeatureServer"].includes(service.type));
+                return Promise.all(services.map(service => {
+                    return fetchService(service.type, arcgisUrl(rootUrl, service.name + "/" + service.type), service.name).catch(() => null);
+                }));
+            }).then(services => ({capabilities: {services: services.filter(Boolean)}, requestUrl: serviceUrl}));
+        });
+    },
     getCapabilities(baseUrl, params) {
         const urlParts = url.parse(baseUrl, true);
         if (params) {
@@ -399,6 +736,34 @@ const ServiceLayerUtils = {
             ServiceLayerUtils.getCapabilities(serviceUrl, {SERVICE: 'WFS', REQUEST: 'GetCapabilities'}).then(resolve).catch(reject);
         });
     },
+    getOGCAPIFeaturesCollections(serviceUrl) {
+        // Accepts a landing page, collections or single collection URL
+        const options = {headers: {Accept: "application/json"}};
+        const isDataLink = (link) => link.rel === "data" || link.rel === "http://www.opengis.net/def/rel/ogc/1.0/data";
+        return new Promise((resolve, reject) => {
+            const requestUrl = MiscUtils.adjustProtocol(serviceUrl);
+            axios.get(requestUrl, options).then(response => {
+                const data = response.data || {};
+                const dataLink = (data.links || []).find(isDataLink);
+                if (Array.isArray(data.collections)) {
+                    resolve({capabilities: {...data, requestUrl}, requestUrl: serviceUrl});
+                } else if (data.id && (data.links || []).find(link => link.rel === "items")) {
+                    resolve({capabilities: {collections: [data], requestUrl}, requestUrl: serviceUrl});
+                } else if (dataLink) {
+                    const collectionsUrl = url.resolve(requestUrl, dataLink.href);
+                    axios.get(collectionsUrl, options).then(response2 => {
+                        if (Array.isArray(response2.data?.collections)) {
+                            resolve({capabilities: {...response2.data, requestUrl: collectionsUrl}, requestUrl: serviceUrl});
+                        } else {
+                            reject();
+                        }
+                    }).catch(reject);
+                } else {
+                    reject();
+                }
+            }).catch(reject);
+        });
+    },
     findLayers(type, serviceUrl, layerConfigs, mapCrs, callback) {
         let getCapabilities = null;
         let getLayers = null;
@@ -411,6 +776,20 @@ const ServiceLayerUtils = {
         } else if (type === "wfs") {
             getCapabilities = ServiceLayerUtils.getWFSCapabilities;
             getLayers = (capabilites, requestUrl) => ServiceLayerUtils.getWFSLayers(capabilites, requestUrl, mapCrs);
+        } else if (type === "cog") {
+            getCapabilities = ServiceLayerUtils.getCOGCapabilities;
+            getLayers = (metadata, requestUrl) => layerConfigs.map(layerConfig => ServiceLayerUtils.getCOGLayer(metadata, requestUrl, layerConfig.name));
+        } else if (type === "flatgeobuf") {
+            getCapabilities = ServiceLayerUtils.getFlatGeobufCapabilities;
+            getLayers = (metadata, requestUrl) => layerConfigs.map(layerConfig => ServiceLayerUtils.getFlatGeobufLayer(metadata, requestUrl, layerConfig.name));
+        } else if (type === "ogcapifeatures") {
+            getCapabilities = ServiceLayerUtils.getOGCAPIFeaturesCollections;
+            getLayers = (capabilites, requestUrl) => ServiceLayerUtils.getOGCAPIFeaturesLayers(capabilites, requestUrl);
+        } else if (type === "arcgismapserver" || type === "arcgisfeatureserver") {
+            // Layers are added individually, without their catalog sublayer tree
+            const flatten = (entries) => entries.reduce((res, entry) => [...res, {...entry, sublayers: undefined}, ...flatten(entry.sublayers || [])], []);
+            getCapabilities = ServiceLayerUtils.getArcGISCapabilities;
+            getLayers = (capabilities) => flatten(ServiceLayerUtils.getArcGISLayers(capabilities));
         }
         getCapabilities(serviceUrl).then(({capabilities, requestUrl}) => {
             const layers = getLayers(capabilities, requestUrl);
@@ -425,6 +804,7 @@ const ServiceLayerUtils = {
                         opacity: layerConfig.opacity,
                         visibility: layerConfig.visibility,
                         style: layerConfig.style,
+                        heatmap: layerConfig.heatmap,
                         role: LayerRole.USERLAYER
                     };
                     callback(layerConfig.id, layer);
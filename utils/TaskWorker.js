@@ -0,0 +1,27 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import WorkerTasks from './WorkerTasks';
+
+/*
+ * Web worker entry point, see WorkerUtils.runTask.
+ *
+ * Receives a `{task, args}` message, posts `{progress}` messages while the task
+ * is running and finally either a `{result}` or an `{error}` message.
+ */
+self.onmessage = (ev) => {
+    const {task, args} = ev.data;
+    const progress = (value) => self.postMessage({progress: value});
+    new Promise(resolve => resolve(WorkerTasks[task](args, progress))).then(result => {
+        // Avoid copying large binary results
+        const transfer = result?.data instanceof ArrayBuffer ? [result.data] : [];
+        self.postMessage({result: result}, transfer);
+    }).catch(error => {
+        self.postMessage({error: String(error?.message || error)});
+    });
+};
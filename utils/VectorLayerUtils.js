@@ -6,21 +6,74 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import {remove as removeDiacritics} from 'diacritics';
 import geojsonBbox from 'geojson-bounding-box';
 import isEmpty from 'lodash.isempty';
-import {getDefaultImageStyle} from 'ol/format/KML';
 import ol from 'openlayers';
 import simplepolygon from 'simplepolygon';
 import svgpath from 'svgpath';
 import {v1 as uuidv1} from 'uuid';
 
+import {LayerRole} from '../actions/layers';
+import {SearchResultType} from '../actions/search';
 import ConfigUtils from '../utils/ConfigUtils';
 import CoordinatesUtils from '../utils/CoordinatesUtils';
-import {END_MARKERS, computeFeatureStyle} from '../utils/FeatureStyles';
+import {DEFAULT_CLUSTER_DISTANCE, END_MARKERS, computeClusterStyle, computeFeatureStyle} from '../utils/FeatureStyles';
+import GeoJSONUtils from '../utils/GeoJSONUtils';
+import GridUtils from '../utils/GridUtils';
+import KMLUtils from '../utils/KMLUtils';
+import MapUtils from '../utils/MapUtils';
+import MiscUtils from '../utils/MiscUtils';
+import VectorStyleUtils from '../utils/VectorStyleUtils';
 
 
+// Attribute index of the features of local vector layers, built once per features array
+const FEATURE_INDEX = new WeakMap();
+
+function normalizeSearchText(text) {
+    return removeDiacritics(String(text)).toLowerCase();
+}
+
+function featureIndex(features) {
+    if (!FEATURE_INDEX.has(features)) {
+        FEATURE_INDEX.set(features, features.filter(feature => feature.geometry).map(feature => ({
+            feature: feature,
+            values: Object.entries(feature.properties || {}).filter(([key, value]) => {
+                return !key.startsWith("__") && value !== null && value !== "" && ["string", "number"].includes(typeof value);
+            }).map(([key, value]) => ({key: key, value: String(value), normalized: normalizeSearchText(value)}))
+        })));
+    }
+    return FEATURE_INDEX.get(features);
+}
+
+function fuzzyMatchScore(term, text) {
+    const pos = text.indexOf(term);
+    if (pos >= 0) {
+        // Substring matches rank before fuzzy matches, exact and word start matches first
+        if (term.length === text.length) {
+            return 4;
+        }
+        return pos === 0 || /[^a-z0-9]/.test(text[pos - 1]) ? 3 : 2;
+    }
+    if (term.length < 3) {
+        return 0;
+    }
+    // Match the term characters in order, allowing a limited number of characters in between
+    let start = -1;
+    let idx = -1;
+    for (const char of term) {
+        idx = text.indexOf(char, idx + 1);
+        if (idx < 0) {
+            return 0;
+        }
+        start = start < 0 ? idx : start;
+    }
+    const span = idx - start + 1;
+    return span <= 2 * term.length ? term.length / span : 0;
+}
+
 const VectorLayerUtils = {
-    createPrintHighlighParams(layers, printCrs, printScale, dpi = 96, scaleFactor = 1.0) {
+    createPrintHighlighParams(layers, printCrs, printScale, dpi = 96, scaleFactor = 1.0, printExtent = null) {
         const qgisServerVersion = ConfigUtils.getConfigProp("qgisServerVersion") || 3;
         const params = {
             geoms: [],
@@ -39,11 +92,28 @@ const VectorLayerUtils = {
             ensureHex = (rgb) => (!Array.isArray(rgb) ? rgb : ('#' + (0x1000000 + (rgb[2] | (rgb[1] << 8) | (rgb[0] << 16))).toString(16).slice(1)));
         }
 
-        for (const layer of layers.slice(0).reverse()) {
+        for (let layer of layers.slice(0).reverse()) {
+            if (layer.type === 'graticule' && printExtent && layer.visibility !== false && layer.skipPrint !== true) {
+                // Grids are computed for the printed extent and scale
+                layer = {...layer, type: 'vector', features: GridUtils.computeGrid(layer.grid || {type: "graticule"}, printExtent, printCrs, printScale)};
+            }
             if (layer.type !== 'vector' || (layer.features || []).length === 0 || layer.visibility === false || layer.skipPrint === true) {
                 continue;
             }
-            const features = layer.features.map(feature =>
+            let layerFeatures = layer.features;
+            const hiddenFolders = VectorLayerUtils.getHiddenFolders(layer.sublayers);
+            if (hiddenFolders.size > 0) {
+                layerFeatures = layerFeatures.filter(feature => !hiddenFolders.has(feature.folder));
+            }
+            if (layer.vectorStyle) {
+                layerFeatures = VectorStyleUtils.applyVectorStyle(layerFeatures, layer.vectorStyle);
+            }
+            if (layer.cluster) {
+                // Cluster distance is in screen pixels
+                const resolution = MapUtils.getResolutionsForScales([printScale], printCrs)[0];
+                layerFeatures = VectorLayerUtils.clusterFeatures(layerFeatures, (layer.clusterDistance ?? DEFAULT_CLUSTER_DISTANCE) * resolution, printCrs, layer.clusterStyleOptions);
+            }
+            const features = layerFeatures.map(feature =>
                 feature.geometry.type === "Polygon" ? simplepolygon(feature).features.map(f => ({...feature, geometry: f.geometry})) : feature
             ).flat();
             for (const feature of features) {
@@ -116,6 +186,63 @@ const VectorLayerUtils = {
         }
         return params;
     },
+    clusterFeatures(features, distance, crs, clusterStyleOptions = {}) {
+        // Replaces point features within distance (in map units) of each other by a cluster symbol and count label,
+        // analogous to the clustering of vector layers in the map
+        const result = [];
+        const points = [];
+        for (const feature of features) {
+            if (feature.geometry?.type === "Point" && !isEmpty(feature.geometry.coordinates)) {
+                points.push({feature: feature, coordinates: CoordinatesUtils.reproject(feature.geometry.coordinates, feature.crs || crs, crs)});
+            } else {
+                result.push(feature);
+            }
+        }
+        const clustered = new Set();
+        points.forEach((point, idx) => {
+            if (clustered.has(idx)) {
+                return;
+            }
+            const members = [];
+            points.forEach((other, otherIdx) => {
+                if (
+                    !clustered.has(otherIdx) &&
+                    Math.abs(other.coordinates[0] - point.coordinates[0]) <= distance &&
+                    Math.abs(other.coordinates[1] - point.coordinates[1]) <= distance
+                ) {
+                    clustered.add(otherIdx);
+                    members.push(other);
+                }
+            });
+            if (members.length === 1) {
+                result.push(point.feature);
+                return;
+            }
+            const center = members.reduce((res, member) => [
+                res[0] + member.coordinates[0] / members.length,
+                res[1] + member.coordinates[1] / members.length
+            ], [0, 0]);
+            const styleOptions = computeClusterStyle(members.length, clusterStyleOptions);
+            const geometry = {type: "Point", coordinates: center};
+            result.push({
+                type: "Feature",
+                geometry: geometry,
+                crs: crs,
+                styleName: "default",
+                styleOptions: {...styleOptions, strokeDash: []},
+                properties: {}
+            });
+            result.push({
+                type: "Feature",
+                geometry: geometry,
+                crs: crs,
+                styleName: "text",
+                styleOptions: {fillColor: styleOptions.textFill, strokeColor: styleOptions.textStroke, strokeWidth: 1},
+                properties: {label: String(members.length)}
+            });
+        });
+        return result;
+    },
     validateGeometry(geometry) {
         if (!geometry) {
             return false;
@@ -159,6 +286,13 @@ const VectorLayerUtils = {
                 fillColor: [255, 255, 255, 1],
                 circleRadius: 6
             };
+        } else if (styleName === 'photo') {
+            opts = {
+                strokeColor: [255, 255, 255, 1],
+                strokeWidth: 2,
+                fillColor: [230, 100, 20, 1],
+                circleRadius: 6
+            };
         } else {
             // Default style
             opts = styleOptions;
@@ -350,97 +484,98 @@ const VectorLayerUtils = {
         }
     },
     geoJSONGeomToWkt(gj, precision = 4) {
-        if (gj.type === 'Feature') {
-            gj = gj.geometry;
-        }
-
-        const wrapParens = (s) =>  { return '(' + s + ')'; };
-        const pairWKT = (c) => { return c.map(x => x.toFixed(precision)).join(' '); };
-        const ringWKT = (r) => { return r.map(pairWKT).join(', '); };
-        const ringsWKT = (r) => { return r.map(ringWKT).map(wrapParens).join(', '); };
-        const multiRingsWKT = (r) => { return r.map(ringsWKT).map(wrapParens).join(', '); };
-
-        switch (gj.type) {
-        case 'Point':
-            return 'POINT (' + pairWKT(gj.coordinates) + ')';
-        case 'LineString':
-            return 'LINESTRING (' + ringWKT(gj.coordinates) + ')';
-        case 'Polygon':
-            return 'POLYGON (' + ringsWKT(gj.coordinates) + ')';
-        case 'MultiPoint':
-            return 'MULTIPOINT (' + ringWKT(gj.coordinates) + ')';
-        case 'MultiPolygon':
-            return 'MULTIPOLYGON (' + multiRingsWKT(gj.coordinates) + ')';
-        case 'MultiLineString':
-            return 'MULTILINESTRING (' + ringsWKT(gj.coordinates) + ')';
-        case 'GeometryCollection':
-            return 'GEOMETRYCOLLECTION (' + gj.geometries.map(
-                (x) => VectorLayerUtils.geoJSONGeomToWkt(x, precision)
-            ).join(', ') + ')';
-        default:
-            throw new Error('Invalid geometry object');
-        }
+        return GeoJSONUtils.geometryToWkt(gj, precision);
     },
     kmlToGeoJSON(kml) {
-        const kmlFormat = new ol.format.KML({defaultStyle: [new ol.style.Style()]});
-        const geojsonFormat = new ol.format.GeoJSON();
-        const features = [];
-        for (const olFeature of kmlFormat.readFeatures(kml)) {
-            let style = olFeature.getStyleFunction()(olFeature);
-            style = style[0] || style;
-
-            const styleOptions = {
-                strokeColor: style.getStroke() ? style.getStroke().getColor() : [0, 0, 0, 1],
-                strokeWidth: style.getStroke() ? style.getStroke().getWidth() : 1,
-                strokeDash: style.getStroke() ? style.getStroke().getLineDash() : [],
-                fillColor: style.getFill() ? style.getFill().getColor() : [255, 255, 255, 1],
-                textFill: style.getText() && style.getText().getFill() ? style.getText().getFill().getColor() : [0, 0, 0, 1],
-                textStroke: style.getText() && style.getText().getStroke() ? style.getText().getStroke().getColor() : [255, 255, 255, 1]
-            };
-            if (style.getImage() && style.getImage() !== getDefaultImageStyle() && style.getImage().getSrc()) {
-                // FIXME: Uses private members of ol.style.Icon, style.getImage().getAnchor() returns null because style.getImage.getSize() is null because the the image is not yet loaded
-                const anchor = style.getImage().anchor_ || [0.5, 0.5];
-                const anchorOrigin = (style.getImage().anchorOrigin_ || "").split("-");
-                if (anchorOrigin.includes("right")) {
-                    anchor[0] = 1 - anchor[0];
-                }
-                if (anchorOrigin.includes("bottom")) {
-                    anchor[1] = 1 - anchor[1];
-                }
-                styleOptions.iconSrc = style.getImage().getSrc();
-                styleOptions.iconAnchor = anchor;
-            }
-            const feature = geojsonFormat.writeFeatureObject(olFeature);
-            Object.assign(feature, {
-                styleName: styleOptions.iconSrc ? 'marker' : 'default',
-                styleOptions: styleOptions,
-                id: uuidv1(),
-                crs: "EPSG:4326",
-                properties: {}
-            });
-            const properties = olFeature.getProperties();
-            const excludedProperties = ['visibility', olFeature.getGeometryName()];
-            for (const key of Object.keys(properties)) {
-                if (!excludedProperties.includes(key)) {
-                    feature.properties[key] = properties[key];
-                }
-            }
-            if (properties.name && feature.styleName === 'marker') {
-                feature.properties.label = properties.name;
+        return KMLUtils.readKML(kml);
+    },
+    /**
+     * Returns the folders of a vector layer whose features are hidden, i.e. imported KML folders which
+     * are unchecked in the LayerTree or are contained in an unchecked folder.
+     *
+     * @param sublayers {Array} The sublayers of the vector layer
+     *
+     * @return {Set} The names of the hidden folders, which match the `folder` of the features
+     */
+    getHiddenFolders(sublayers, hidden = new Set(), parentHidden = false) {
+        (sublayers || []).forEach(sublayer => {
+            const isHidden = parentHidden || sublayer.visibility === false;
+            if (isHidden) {
+                hidden.add(sublayer.name);
             }
-            features.push(feature);
-        }
-        return features;
+            VectorLayerUtils.getHiddenFolders(sublayer.sublayers, hidden, isHidden);
+        });
+        return hidden;
     },
     convert3dto2d(entry) {
-        if (!Array.isArray(entry)) {
-            return entry;
-        } else if (entry.length >= 3 && !Array.isArray(entry[0])) {
-            return [entry[0], entry[1]];
-        } else if (Array.isArray(entry[0])) {
-            return entry.map(VectorLayerUtils.convert3dto2d);
+        return GeoJSONUtils.convert3dto2d(entry);
+    },
+    /**
+     * Searches the attribute values of the features of local vector layers, i.e. imported, redlining and API-added layers.
+     *
+     * Matching is case and diacritic insensitive, all whitespace separated terms of the search text must match.
+     * Terms which are not contained verbatim in a value also match if their characters occur in order and close together.
+     *
+     * @param layers {Array} The map layers
+     * @param searchtext {string} The search text
+     * @param maxResults {number} The maximum number of results per layer
+     *
+     * @return {Array} The search result groups, one per layer
+     */
+    searchLayerFeatures(layers, searchtext, maxResults = 10) {
+        const terms = normalizeSearchText(searchtext).split(/\s+/).filter(term => term);
+        if (isEmpty(terms)) {
+            return [];
         }
-        return entry;
+        return layers.filter(layer => layer.role === LayerRole.USERLAYER && layer.type === "vector" && !isEmpty(layer.features)).map(layer => {
+            const matches = [];
+            for (const entry of featureIndex(layer.features)) {
+                let score = 0;
+                let bestValue = null;
+                let bestValueScore = 0;
+                for (const term of terms) {
+                    let termScore = 0;
+                    for (const value of entry.values) {
+                        const valueScore = fuzzyMatchScore(term, value.normalized);
+                        termScore = Math.max(termScore, valueScore);
+                        if (valueScore > bestValueScore) {
+                            bestValue = value;
+                            bestValueScore = valueScore;
+                        }
+                    }
+                    if (termScore === 0) {
+                        score = 0;
+                        break;
+                    }
+                    score += termScore;
+                }
+                if (score > 0) {
+                    matches.push({score: score, feature: entry.feature, value: bestValue});
+                }
+            }
+            matches.sort((a, b) => b.score - a.score);
+            return {
+                id: "local_" + layer.id,
+                title: layer.title || layer.name,
+                priority: 1,
+                items: matches.slice(0, maxResults).map(({feature, value}, idx) => {
+                    const crs = feature.crs || layer.projection;
+                    const center = VectorLayerUtils.getFeatureCenter(feature);
+                    const label = String(feature.properties.label || feature.properties.name || feature.properties.title || value.value);
+                    return {
+                        type: SearchResultType.PLACE,
+                        id: layer.id + ":" + (feature.id ?? idx),
+                        text: MiscUtils.htmlEncode(value.key === "label" || value.value === label ? value.value : label + " (" + value.key + ": " + value.value + ")"),
+                        label: label,
+                        x: center[0],
+                        y: center[1],
+                        crs: crs,
+                        bbox: VectorLayerUtils.computeFeatureBBox(feature),
+                        geometry: feature.geometry
+                    };
+                })
+            };
+        }).filter(group => !isEmpty(group.items));
     },
     computeFeaturesBBox(features) {
         const featureCrs = new Set();
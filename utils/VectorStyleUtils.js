@@ -0,0 +1,288 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import LocaleUtils from './LocaleUtils';
+
+/*
+ * A vector style is stored in the `vectorStyle` property of a vector layer:
+ *
+ * {
+ *   renderer: "single|categorized|graduated",
+ *   attribute: <classified attribute>,
+ *   method: "equalinterval|quantile|jenks",
+ *   classCount: <number of graduated classes>,
+ *   ramp: <color ramp name>,
+ *   symbol: {strokeColor, strokeWidth, fillColor, circleRadius},
+ *   classes: [{value, label, color}] (categorized, the last class may be `{other: true, label, color}`) or [{min, max, label, color}] (graduated),
+ *   labelAttribute: <labelled attribute>
+ * }
+ */
+
+// Number of values above which the Jenks natural breaks are computed on a sample
+const JENKS_MAX_SAMPLES = 1000;
+
+// Maximum number of categories, less frequent values are grouped into a common class
+const MAX_CATEGORIES = 30;
+
+const DEFAULT_SYMBOL = {
+    strokeColor: [51, 51, 51, 1],
+    strokeWidth: 1,
+    strokeDash: [],
+    fillColor: [0, 102, 204, 0.8],
+    circleRadius: 6
+};
+
+const COLOR_RAMPS = {
+    viridis: {colors: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"]},
+    blues: {colors: ["#eff3ff", "#6baed6", "#08519c"]},
+    greens: {colors: ["#edf8e9", "#74c476", "#006d2c"]},
+    reds: {colors: ["#fee5d9", "#fb6a4a", "#a50f15"]},
+    ylorrd: {colors: ["#ffffb2", "#fd8d3c", "#bd0026"]},
+    spectral: {colors: ["#d7191c", "#fdae61", "#ffffbf", "#abdda4", "#2b83ba"]},
+    categories: {colors: ["#e41a1c", "#377eb8", "#4daf4a", "#984ea3", "#ff7f00", "#ffff33", "#a65628", "#f781bf", "#999999"], qualitative: true}
+};
+
+function parseHexColor(hex) {
+    return [1, 3, 5].map(idx => parseInt(hex.slice(idx, idx + 2), 16));
+}
+
+function rampColors(rampName, count) {
+    const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS.viridis;
+    const stops = ramp.colors.map(parseHexColor);
+    return [...Array(count).keys()].map(idx => {
+        if (ramp.qualitative) {
+            return [...stops[idx % stops.length], 1];
+        }
+        // Interpolate linearly between the color stops
+        const pos = count > 1 ? idx / (count - 1) * (stops.length - 1) : 0;
+        const lower = Math.min(Math.floor(pos), stops.length - 2);
+        const frac = pos - lower;
+        return [...stops[lower].map((value, i) => Math.round(value + frac * (stops[lower + 1][i] - value))), 1];
+    });
+}
+
+function jenksBreaks(values, classCount) {
+    // Fisher-Jenks natural breaks, minimizing the variance within the classes
+    const n = values.length;
+    const lowerLimits = [...Array(n + 1)].map(() => new Array(classCount + 1).fill(0));
+    const variances = [...Array(n + 1)].map(() => new Array(classCount + 1).fill(Infinity));
+    for (let j = 1; j <= classCount; ++j) {
+        lowerLimits[1][j] = 1;
+        variances[1][j] = 0;
+    }
+    for (let l = 2; l <= n; ++l) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        let variance = 0;
+        for (let m = 1; m <= l; ++m) {
+            const lowerIdx = l - m + 1;
+            const value = values[lowerIdx - 1];
+            ++count;
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / count;
+            if (lowerIdx > 1) {
+                for (let j = 2; j <= classCount; ++j) {
+                    if (variances[l][j] >= variance + variances[lowerIdx - 1][j - 1]) {
+                        lowerLimits[l][j] = lowerIdx;
+                        variances[l][j] = variance + variances[lowerIdx - 1][j - 1];
+                    }
+                }
+            }
+        }
+        lowerLimits[l][1] = 1;
+        variances[l][1] = variance;
+    }
+    const breaks = new Array(classCount + 1);
+    breaks[0] = values[0];
+    breaks[classCount] = values[n - 1];
+    let k = n;
+    for (let j = classCount; j >= 2; --j) {
+        const idx = lowerLimits[k][j] - 2;
+        breaks[j - 1] = values[idx];
+        k = lowerLimits[k][j] - 1;
+    }
+    return breaks;
+}
+
+function formatNumber(value) {
+    return String(parseFloat(value.toPrecision(6)));
+}
+
+function numericValue(value) {
+    if (typeof value === "number") {
+        return value;
+    } else if (typeof value === "string" && value.trim() !== "") {
+        return Number(value);
+    }
+    return NaN;
+}
+
+const VectorStyleUtils = {
+    DEFAULT_SYMBOL: DEFAULT_SYMBOL,
+    /**
+     * The names of the available color ramps.
+     */
+    COLOR_RAMPS: Object.keys(COLOR_RAMPS),
+    /**
+     * Returns the colors `[r, g, b, a]` of a color ramp for the specified number of classes.
+     */
+    rampColors: rampColors,
+    /**
+     * Returns the CSS gradient of a color ramp, i.e. for previews.
+     */
+    rampGradient(rampName) {
+        const ramp = COLOR_RAMPS[rampName] || COLOR_RAMPS.viridis;
+        return "linear-gradient(to right, " + ramp.colors.join(", ") + ")";
+    },
+    /**
+     * Computes the class breaks of numeric values.
+     *
+     * @param values {Array} The numeric values
+     * @param method {string} The classification method, `equalinterval`, `quantile` or `jenks`
+     * @param classCount {number} The number of classes
+     *
+     * @return {Array} The ascending class breaks, including the minimum and maximum value. Duplicate breaks are removed,
+     * hence there may be fewer classes than requested.
+     */
+    classBreaks(values, method, classCount) {
+        const sorted = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            return [];
+        }
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        let breaks = [];
+        if (method === "quantile") {
+            breaks = [...Array(classCount + 1).keys()].map(idx => sorted[Math.min(sorted.length - 1, Math.round(idx * (sorted.length - 1) / classCount))]);
+        } else if (method === "jenks") {
+            let sample = sorted;
+            if (sorted.length > JENKS_MAX_SAMPLES) {
+                // The algorithm is quadratic in the number of values
+                sample = [...Array(JENKS_MAX_SAMPLES).keys()].map(idx => sorted[Math.round(idx * (sorted.length - 1) / (JENKS_MAX_SAMPLES - 1))]);
+            }
+            const distinct = new Set(sample).size;
+            breaks = distinct > classCount ? jenksBreaks(sample, classCount) : [...new Set(sample)];
+            breaks[0] = min;
+            breaks[breaks.length - 1] = max;
+        } else {
+            breaks = [...Array(classCount + 1).keys()].map(idx => min + idx * (max - min) / classCount);
+        }
+        breaks = breaks.filter((value, idx) => idx === 0 || value > breaks[idx - 1]);
+        return breaks.length === 1 ? [min, max] : breaks;
+    },
+    /**
+     * Computes the classes of a categorized or graduated vector style.
+     *
+     * @param features {Array} The GeoJSON features of the layer
+     * @param style {Object} The vector style, see above
+     *
+     * @return {Array} The classes `[{value, label, color}]` (categorized) or `[{min, max, label, color}]` (graduated).
+     *   At most `MAX_CATEGORIES` categories are created, the remaining values are grouped in a final `{other: true, label, color}` class.
+     */
+    computeClasses(features, style) {
+        if (!style.attribute || !["categorized", "graduated"].includes(style.renderer)) {
+            return [];
+        }
+        const values = features.map(feature => (feature.properties || {})[style.attribute]).filter(value => value !== undefined && value !== null && value !== "");
+        if (style.renderer === "categorized") {
+            const counts = new Map();
+            values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            let categories = [...counts.keys()];
+            const other = categories.length > MAX_CATEGORIES;
+            if (other) {
+                categories = categories.sort((a, b) => counts.get(b) - counts.get(a)).slice(0, MAX_CATEGORIES - 1);
+            }
+            categories.sort((a, b) => String(a).localeCompare(String(b), undefined, {numeric: true}));
+            const colors = rampColors(style.ramp, categories.length + (other ? 1 : 0));
+            const classes = categories.map((value, idx) => ({value: value, label: String(value), color: colors[idx]}));
+            if (other) {
+                classes.push({other: true, label: LocaleUtils.tr("vectorstyle.other"), color: colors[categories.length]});
+            }
+            return classes;
+        }
+        const breaks = VectorStyleUtils.classBreaks(values.map(numericValue), style.method, style.classCount || 5);
+        const colors = rampColors(style.ramp, breaks.length - 1);
+        return breaks.slice(1).map((value, idx) => ({
+            min: breaks[idx],
+            max: value,
+            label: formatNumber(breaks[idx]) + " - " + formatNumber(value),
+            color: colors[idx]
+        }));
+    },
+    /**
+     * Returns the class of a feature, or `null` if the feature does not belong to any class.
+     */
+    featureClass(properties, style) {
+        const value = (properties || {})[style.attribute];
+        const classes = style.classes || [];
+        if (value === undefined || value === null || value === "") {
+            return null;
+        } else if (style.renderer === "categorized") {
+            return classes.find(entry => !entry.other && String(entry.value) === String(value)) || classes.find(entry => entry.other) || null;
+        }
+        const number = numericValue(value);
+        if (isNaN(number) || classes.length === 0 || number < classes[0].min) {
+            return null;
+        }
+        // Values on a break belong to the lower class
+        return classes.find(entry => number <= entry.max) || null;
+    },
+    /**
+     * Returns the style options of a feature, as consumed by `FeatureStyles.default`.
+     *
+     * @param properties {Object} The feature properties
+     * @param geometryType {string} The geometry type of the feature
+     * @param style {Object} The vector style, see above
+     *
+     * @return {Object} The style options, or `null` if the feature is not rendered (i.e. its value is not classified)
+     */
+    featureStyleOptions(properties, geometryType, style) {
+        const symbol = {...DEFAULT_SYMBOL, ...style.symbol};
+        if (style.renderer !== "categorized" && style.renderer !== "graduated") {
+            return symbol;
+        }
+        const featureClass = VectorStyleUtils.featureClass(properties, style);
+        if (!featureClass) {
+            return null;
+        }
+        if ((geometryType || "").endsWith("LineString")) {
+            return {...symbol, strokeColor: featureClass.color};
+        }
+        return {...symbol, fillColor: featureClass.color};
+    },
+    /**
+     * Returns the label of a feature, or `undefined` if no label attribute is configured.
+     */
+    featureLabel(properties, style) {
+        const value = style.labelAttribute ? (properties || {})[style.labelAttribute] : undefined;
+        return value !== undefined && value !== null ? String(value) : undefined;
+    },
+    /**
+     * Applies a vector style to GeoJSON features, setting their `styleName`, `styleOptions` and `label`, i.e. for printing.
+     * Features which are not rendered with the vector style are omitted.
+     */
+    applyVectorStyle(features, style) {
+        return features.map(feature => {
+            const styleOptions = VectorStyleUtils.featureStyleOptions(feature.properties, feature.geometry?.type, style);
+            if (!styleOptions) {
+                return null;
+            }
+            const label = VectorStyleUtils.featureLabel(feature.properties, style);
+            return {
+                ...feature,
+                styleName: "default",
+                styleOptions: styleOptions,
+                properties: label !== undefined ? {...feature.properties, label: label} : feature.properties
+            };
+        }).filter(Boolean);
+    }
+};
+
+export default VectorStyleUtils;
@@ -0,0 +1,245 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import JSZip from 'jszip';
+import omit from 'lodash.omit';
+import Proj4js from 'proj4';
+
+import GeoJSONUtils from './GeoJSONUtils';
+import KMLUtils from './KMLUtils';
+
+/*
+ * Note: this module is run in web workers by WorkerUtils.runTask,
+ * hence it must not depend on the DOM or on OpenLayers.
+ */
+
+// Number of features after which progress is reported
+const PROGRESS_INTERVAL = 1000;
+
+function registerProjections(projDefs) {
+    Object.entries(projDefs || {}).forEach(([code, def]) => {
+        if (!Proj4js.defs(code)) {
+            Proj4js.defs(code, def);
+        }
+    });
+}
+
+function excludedAttribute(attrib) {
+    return attrib === "htmlContent" || attrib === "htmlContentInline";
+}
+
+function identifyResultsToJSON(results) {
+    return {
+        data: JSON.stringify(results, null, ' '), type: "text/plain;charset=utf-8", filename: "results.json"
+    };
+}
+
+function identifyResultsToGeoJSON(results) {
+    const featureCollection = {
+        type: "FeatureCollection",
+        features: Object.values(results).flat().map(entry => {
+            const feature = omit(entry, ['featurereport', 'displayfield', 'layername', 'layertitle', 'layerinfo', 'attribnames', 'clickPos', 'displayname', 'bbox']);
+            if (feature.geometry) {
+                feature.crs = {
+                    type: "name",
+                    properties: {
+                        name: GeoJSONUtils.toOgcUrnCrs(entry.crs)
+                    }
+                };
+            }
+            return feature;
+        })
+    };
+    return {
+        data: JSON.stringify(featureCollection, null, ' '), type: "application/geo+json;charset=utf-8", filename: "results.json"
+    };
+}
+
+function identifyResultsToCSV(results, progress) {
+    let data = "";
+    const layers = Object.entries(results);
+    layers.forEach(([layerName, features], idx) => {
+        features.forEach(feature => {
+            data += layerName + ": " + feature.displayname + "\n";
+            Object.entries(feature.properties || {}).forEach(([attrib, value]) => {
+                if (!excludedAttribute(attrib)) {
+                    data += '\t"' + attrib + '"\t"' + String(value).replace(/"/g, '""') + '"\n';
+                }
+            });
+            if (feature.geometry) {
+                data += '\t"geometry"\t"' + GeoJSONUtils.geometryToWkt(feature.geometry) + '"\n';
+            }
+        });
+        data += "\n";
+        progress((idx + 1) / layers.length);
+    });
+    return {
+        data: data, type: "text/plain;charset=utf-8", filename: "results.csv"
+    };
+}
+
+function identifyResultsToCSVZip(results, progress) {
+    let first = true;
+    const data = [];
+    const filenames = [];
+    const layers = Object.entries(results);
+    layers.forEach(([layerName, features], idx) => {
+        let csv = "";
+        if (first) {
+            Object.entries(features[0].properties || {}).forEach(([attrib]) => {
+                if (!excludedAttribute(attrib)) {
+                    csv += attrib  + ';';
+                }
+            });
+            if (features[0].geometry) {
+                csv += 'geometry';
+            } else if (csv !== "") {
+                csv = csv.slice(0, -1); // Remove trailling semi column ;
+            }
+            first = false;
+            csv += '\n';
+        }
+        features.forEach(feature => {
+            Object.entries(feature.properties || {}).forEach(([attrib, value]) => {
+                if (!excludedAttribute(attrib)) {
+                    csv += String(value).replace(/"/g, '""') + ';';
+                }
+            });
+            if (feature.geometry) {
+                csv += GeoJSONUtils.geometryToWkt(feature.geometry);
+            } else if (csv !== "") {
+                csv = csv.slice(0, -1); // Remove trailling semi column ;
+            }
+            csv += '\n';
+        });
+        first = true;
+        data.push(csv);
+        filenames.push(layerName);
+        progress((idx + 1) / layers.length);
+    });
+    if (data.length > 1) {
+        const zip = new JSZip();
+        for (let i = 0; i < data.length; i++) {
+            const blob = new Blob([data[i]], {type: "text/csv;charset=utf-8"});
+            zip.file(filenames[i] + ".csv", blob);
+        }
+        return zip.generateAsync({type: "arraybuffer"}).then((result) => ({
+            data: result, type: "application/zip", filename: "results.zip"
+        }));
+    }
+    return {
+        data: data[0], type: "text/csv;charset=utf-8", filename: filenames[0] + ".csv"
+    };
+}
+
+/**
+ * Tasks which can be run with `WorkerUtils.runTask`.
+ *
+ * Each task is a function `(args, progress)`, where `progress(fraction)` reports the progress of the task,
+ * returning the (structured-cloneable) result or a promise resolving to the result.
+ */
+const WorkerTasks = {
+    /**
+     * Reads GeoJSON or KML features, reprojects them and computes their bounding box.
+     *
+     * Arguments `{text, format, crs, projDefs}`:
+     *
+     * * `text`: The file contents
+     * * `format`: The file format, `geojson` or `kml`
+     * * `crs`: The CRS to which the features are reprojected
+     * * `projDefs`: The proj4 definitions of the known projections, see `WorkerUtils.getProjectionDefs`
+     *
+     * Returns `{features, bbox, timeDimension, folders}`, where `bbox` is `null` if not all features could be reprojected,
+     * `timeDimension` is as returned by `GeoJSONUtils.getTimeDimension` and `folders` is the KML folder tree
+     * as returned by `KMLUtils.readKMLDocument`.
+     */
+    readFeatures(args, progress) {
+        registerProjections(args.projDefs);
+        const data = args.format === "kml" ? KMLUtils.readKMLDocument(args.text) : JSON.parse(args.text);
+        progress(0.5);
+        const features = GeoJSONUtils.normalizeFeatures(data);
+        const transforms = {};
+        const getTransform = (crs) => {
+            if (!(crs in transforms)) {
+                try {
+                    // eslint-disable-next-line
+                    transforms[crs] = Proj4js(crs, args.crs).forward;
+                } catch (e) {
+                    transforms[crs] = null;
+                }
+            }
+            return transforms[crs];
+        };
+        let reprojected = true;
+        features.forEach((feature, idx) => {
+            if (feature.geometry && feature.crs !== args.crs) {
+                const transform = getTransform(feature.crs);
+                if (transform) {
+                    features[idx] = {...feature, geometry: GeoJSONUtils.transformGeometry(feature.geometry, transform), crs: args.crs};
+                } else {
+                    reprojected = false;
+                }
+            }
+            if ((idx + 1) % PROGRESS_INTERVAL === 0) {
+                progress(0.5 + 0.5 * (idx + 1) / features.length);
+            }
+        });
+        return {
+            features: features,
+            bbox: reprojected && features.length > 0 ? {crs: args.crs, bounds: GeoJSONUtils.computeBounds(features)} : null,
+            timeDimension: GeoJSONUtils.getTimeDimension(features),
+            folders: data.folders || []
+        };
+    },
+    /**
+     * Serializes identify results, as displayed by the IdentifyViewer.
+     *
+     * Arguments `{format, results}`:
+     *
+     * * `format`: The export format, `json`, `geojson`, `csv` or `csvzip`
+     * * `results`: The identify results, by layer name
+     *
+     * Returns `{data, type, filename}`.
+     */
+    exportIdentifyResults(args, progress) {
+        switch (args.format) {
+        case "json":
+            return identifyResultsToJSON(args.results);
+        case "geojson":
+            return identifyResultsToGeoJSON(args.results);
+        case "csv":
+            return identifyResultsToCSV(args.results, progress);
+        case "csvzip":
+            return identifyResultsToCSVZip(args.results, progress);
+        default:
+            throw new Error("Unsupported export format: " + args.format);
+        }
+    },
+    /**
+     * Serializes features as tab separated text, as exported by the AttributeTable.
+     *
+     * Arguments `{fields, features}`:
+     *
+     * * `fields`: The ids of the exported fields
+     * * `features`: The list of GeoJSON features
+     *
+     * Returns the text.
+     */
+    exportAttributeTable(args, progress) {
+        let data = "id\t" + args.fields.join("\t") + "\n";
+        args.features.forEach((feature, idx) => {
+            data += feature.id + "\t" + args.fields.map(field => feature.properties[field]).join("\t") + "\n";
+            if ((idx + 1) % PROGRESS_INTERVAL === 0) {
+                progress((idx + 1) / args.features.length);
+            }
+        });
+        return data;
+    }
+};
+
+export default WorkerTasks;
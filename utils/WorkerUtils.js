@@ -0,0 +1,90 @@
+/**
+ * Copyright 2024 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import Proj4js from 'proj4';
+
+import WorkerTasks from './WorkerTasks';
+
+// Number of features above which exports are serialized in a web worker
+export const WORKER_EXPORT_THRESHOLD = 1000;
+
+function abortError(signal) {
+    return signal.reason ?? new DOMException("The task was aborted", "AbortError");
+}
+
+const WorkerUtils = {
+    /**
+     * Runs a task of `WorkerTasks`, by default in a dedicated web worker.
+     *
+     * @param task {string} The name of the task
+     * @param args {Object} The task arguments, must be structured-cloneable
+     * @param options {Object} Options:
+     *
+     * * `worker`: Whether to run the task in a web worker, default `true`. Small tasks are faster to run inline.
+     * * `onProgress`: Callback `onProgress(fraction)` invoked while the task is running.
+     * * `signal`: An `AbortSignal` which cancels the task.
+     *
+     * @return {Promise} A promise resolving to the result of the task, which is rejected with an `AbortError` if the task is cancelled
+     */
+    runTask(task, args, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const signal = options.signal;
+        if (signal?.aborted) {
+            return Promise.reject(abortError(signal));
+        }
+        if (options.worker === false || typeof Worker === "undefined") {
+            return new Promise(resolve => resolve(WorkerTasks[task](args, onProgress))).then(result => {
+                if (signal?.aborted) {
+                    throw abortError(signal);
+                }
+                return result;
+            });
+        }
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./TaskWorker.js', import.meta.url));
+            const onAbort = () => {
+                worker.terminate();
+                reject(abortError(signal));
+            };
+            const finish = () => {
+                worker.terminate();
+                signal?.removeEventListener("abort", onAbort);
+            };
+            signal?.addEventListener("abort", onAbort, {once: true});
+            worker.onmessage = (ev) => {
+                if (ev.data.progress !== undefined) {
+                    onProgress(ev.data.progress);
+                } else if (ev.data.error !== undefined) {
+                    finish();
+                    reject(new Error(ev.data.error));
+                } else {
+                    finish();
+                    resolve(ev.data.result);
+                }
+            };
+            worker.onerror = (ev) => {
+                finish();
+                reject(new Error(ev.message));
+            };
+            worker.postMessage({task, args});
+        });
+    },
+    /**
+     * Returns the proj4 definitions of all registered projections, to make them available to worker tasks.
+     */
+    getProjectionDefs() {
+        return Object.keys(Proj4js.defs).reduce((res, code) => {
+            if (typeof Proj4js.defs[code] === "object") {
+                res[code] = Proj4js.defs[code];
+            }
+            return res;
+        }, {});
+    }
+};
+
+export default WorkerUtils;